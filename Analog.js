@@ -0,0 +1,284 @@
+"use strict";
+
+const math = require('mathjs');
+
+/**
+ * Registers of the main board holding the reference voltages (Neuron technical manual p.16)
+ */
+const VREF_REG = 1009;
+const VREF_INT_REG = 5;
+
+/**
+ * Mode register values of the analog ios
+ */
+const MODES = {
+    'Voltage': 0,
+    'Current': 1,
+    'Resistance': 3
+};
+
+/**
+ * Units of the analog io values per mode
+ */
+const UNITS = {
+    'Voltage': 'V',
+    'Current': 'mA',
+    'Resistance': 'Ohm'
+};
+
+/**
+ * Get the tolerance class of an analog io.
+ *
+ * Analog outputs don't declare their tolerances, only the ones of the main board have calibration registers.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @returns {string}
+ *   brain or 500series
+ */
+const getTolerances = (feature) => {
+    if (feature.def.tolerances) return feature.def.tolerances;
+    return (feature.def.cal_reg !== undefined) ? 'brain' : '500series';
+};
+
+/**
+ * Get the mode register of an analog io.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @returns {number|undefined}
+ */
+const getModeRegister = (feature) => {
+    if (feature.def.mode_reg === undefined) return undefined;
+    return feature.def.mode_reg + feature.position;
+};
+
+/**
+ * Get the registers an analog io is decoded from besides its value: its mode and calibration registers.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @returns {number[]}
+ */
+const getRegisters = (feature) => {
+    const registers = [];
+    const modeRegister = getModeRegister(feature);
+    if ((feature.def.modes || []).length > 1 && modeRegister !== undefined) registers.push(modeRegister);
+    if (getTolerances(feature) === 'brain') {
+        // The deviation and offset registers for voltage and current, see getCalibration().
+        if (modeRegister !== undefined) {
+            registers.push(modeRegister + 1, modeRegister + 2, modeRegister + 3, modeRegister + 4);
+        }
+        registers.push(VREF_REG, VREF_INT_REG);
+        if (feature.def.res_val_reg !== undefined) registers.push(feature.def.res_val_reg + feature.position);
+    }
+    return registers;
+};
+
+/**
+ * Get the active mode of an analog io.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @param registers
+ *   The registers read from the board.
+ * @returns {string|undefined}
+ *   One of the modes of the feature, undefined as long as the mode register hasn't been read.
+ */
+const getMode = (feature, registers) => {
+    const modes = feature.def.modes || ['Voltage'];
+    if (modes.length === 1) return modes[0];
+
+    const value = registers[getModeRegister(feature)];
+    return modes.find(mode => MODES[mode] === value);
+};
+
+/**
+ * Get the value range of an analog io in the given mode.
+ *
+ * Currents are declared in A in the definitions but handled in mA.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @param mode
+ *   e.g. Voltage
+ * @returns {{min: number, max: number, unit: string}}
+ */
+const getRange = (feature, mode) => {
+    const def = feature.def;
+    switch (mode) {
+        case 'Current':
+            return {min: def.min_c * 1000, max: def.max_c * 1000, unit: UNITS[mode]};
+        case 'Resistance':
+            return {min: def.min_r, max: def.max_r, unit: UNITS[mode]};
+        default:
+            return {min: def.min_v, max: def.max_v, unit: UNITS[mode]};
+    }
+};
+
+/**
+ * Convert an unsigned register value to a signed 16 bit integer.
+ *
+ * @param value
+ * @returns {number}
+ */
+const toInt16 = (value) => (value > 0x7FFF) ? value - 0x10000 : value;
+
+/**
+ * Convert two registers to a 32 bit float, high word first.
+ *
+ * @param high
+ * @param low
+ * @returns {number}
+ */
+const toFloat32 = (high, low) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt16BE(high, 0);
+    buffer.writeUInt16BE(low, 2);
+    return buffer.readFloatBE(0);
+};
+
+/**
+ * Get the linear conversion from raw values to engineering units of a calibrated analog io of the main board.
+ *
+ * The deviation and offset registers directly follow the mode register, first for voltage then for current. Both are
+ * signed values.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @param mode
+ *   e.g. Voltage
+ * @param registers
+ *   The registers read from the board.
+ * @returns {{factor: number, offset: number}|undefined}
+ *   Undefined as long as the calibration registers haven't been read.
+ */
+const getCalibration = (feature, mode, registers) => {
+    const vref = registers[VREF_REG];
+    const vrefInt = registers[VREF_INT_REG];
+    const calibration = getModeRegister(feature) + ((mode === 'Current') ? 3 : 1);
+    const dev = registers[calibration];
+    const offset = registers[calibration + 1];
+    if (vref === undefined || !vrefInt || dev === undefined || offset === undefined) {
+        return undefined;
+    }
+
+    // Neuron technical manual p.16
+    return {
+        factor: (3.3 * (vref / vrefInt)) *
+            ((mode === 'Voltage') ? 3 : (mode === 'Current') ? 10 : 1) *
+            (1 / 4096) *
+            (1 + (toInt16(dev) / 10000)),
+        offset: toInt16(offset) / 1000
+    };
+};
+
+/**
+ * Analog decoders per tolerance class.
+ *
+ * decode() returns the value of an io in the unit of its mode, or undefined as long as the registers it depends on
+ * haven't been read. encode() returns the raw register value for an analog output.
+ */
+const DECODERS = {
+
+    // Analog ios of the main board: 12 bit values calibrated against the reference voltage.
+    'brain': {
+        decode: (feature, mode, registers) => {
+            // Analog outputs in resistance mode measure the resistance on a register of their own.
+            if (mode === 'Resistance' && feature.def.res_val_reg !== undefined) {
+                return registers[feature.def.res_val_reg + feature.position];
+            }
+
+            const raw = registers[feature.reg];
+            const calibration = getCalibration(feature, mode, registers);
+            if (raw === undefined || !calibration) return undefined;
+            return math.round(calibration.factor * raw + calibration.offset, 2);
+        },
+        encode: (feature, value, mode, registers) => {
+            const calibration = getCalibration(feature, mode, registers);
+            if (!calibration) return undefined;
+            return Math.min(4095, Math.max(0, Math.round((value - calibration.offset) / calibration.factor)));
+        }
+    },
+
+    // Analog ios of the 500 series boards and extensions: inputs are floats in the unit of the mode, outputs are
+    // 0 - 4000 for 0 - 10 V (Neuron technical manual p.18).
+    '500series': {
+        decode: (feature, mode, registers) => {
+            const high = registers[feature.reg];
+            if (high === undefined) return undefined;
+
+            if (feature.type === 'AO') {
+                return math.round(high / 4000 * 10, 3);
+            }
+            const low = registers[feature.reg + 1];
+            if (low === undefined) return undefined;
+            return math.round(toFloat32(high, low), 3);
+        },
+        encode: (feature, value) => {
+            return Math.min(4000, Math.max(0, Math.round(value / 10 * 4000)));
+        }
+    }
+};
+
+/**
+ * Get the decoder of an analog io.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @returns {{decode: Function, encode: Function}}
+ */
+const getDecoder = (feature) => DECODERS[getTolerances(feature)] || DECODERS['500series'];
+
+/**
+ * Decode an analog io from the registers read from the board.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @param registers
+ *   The registers read from the board.
+ * @returns {{value: number, unit: string, mode: string}|undefined}
+ *   Undefined as long as the registers the io depends on haven't been read.
+ */
+const decode = (feature, registers) => {
+    const mode = getMode(feature, registers);
+    if (mode === undefined) return undefined;
+
+    const value = getDecoder(feature).decode(feature, mode, registers);
+    if (value === undefined || isNaN(value)) return undefined;
+
+    return {
+        value: value,
+        unit: UNITS[mode],
+        mode: mode
+    };
+};
+
+/**
+ * Convert a value in engineering units to a raw analog output register value.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @param value
+ *   The value in the unit of the mode.
+ * @param mode
+ *   e.g. Voltage
+ * @param registers
+ *   The registers read from the board.
+ * @returns {number|undefined}
+ *   Undefined as long as the calibration registers haven't been read.
+ */
+const encode = (feature, value, mode, registers) => getDecoder(feature).encode(feature, value, mode, registers);
+
+module.exports.VREF_REG = VREF_REG;
+module.exports.VREF_INT_REG = VREF_INT_REG;
+module.exports.MODES = MODES;
+module.exports.UNITS = UNITS;
+module.exports.DECODERS = DECODERS;
+module.exports.getTolerances = getTolerances;
+module.exports.getModeRegister = getModeRegister;
+module.exports.getRegisters = getRegisters;
+module.exports.getMode = getMode;
+module.exports.getRange = getRange;
+module.exports.decode = decode;
+module.exports.encode = encode;
@@ -2,9 +2,24 @@
 
 const EventEmitter = require('events').EventEmitter;
 const Neuron = require('./Neuron');
+const Analog = require('./Analog');
+const Pwm = require('./Pwm');
+const Uart = require('./Uart');
+const Dali = require('./Dali');
+const Registers = require('./Registers');
+const WriteVerifyError = require('./Errors').WriteVerifyError;
+const ConfigError = require('./Errors').ConfigError;
+const InterlockError = require('./Errors').InterlockError;
+const NeuronError = require('./Errors').NeuronError;
+const UnknownIdError = require('./Errors').UnknownIdError;
+const TimeoutError = require('./Errors').TimeoutError;
+const fromModbus = require('./Errors').fromModbus;
+const emitError = require('./Errors').emitError;
 const RtuConnection = require("./RtuConnection");
 const TcpConnection = require("./TcpConnection");
-const math = require('mathjs');
+const Simulator = require('./Simulator');
+const OneWire = require('./OneWire');
+const Gestures = require('./Gestures');
 
 const debug = require('debug');
 const info = debug('unipi-neuron:board:info');
@@ -13,21 +28,42 @@ const log = debug('unipi-neuron:board:log');
 const error = debug('unipi-neuron:board:error');
 
 /**
- * Modbus exceptions codes
+ * Reconnect delays in milliseconds, the delay doubles after every failed attempt
  */
+const RECONNECT_MIN_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
 
-const MODBUS_ERRNO = {
-    0x01: "Illegal Function",
-    0x02: "Illegal Data Address",
-    0x03: "Illegal Data Value",
-    0x04: "Failure In Associated Device",
-    0x05: "Acknowledge",
-    0x06: "Busy, Rejected Message",
-    0x07: "NAK – Negative Acknowledgement",
-    0x08: "Memory Parity Error",
-    0x0A: "Gateway Path Unavailable",
-    0x0B: "Gateway Target Device Failed to respond"
-};
+/**
+ * Number of polling cycles without any answer after which the connection is considered lost
+ */
+const MAX_FAILED_CYCLES = 3;
+
+/**
+ * Default time in milliseconds to wait for every io of a board to be read
+ */
+const READY_TIMEOUT = 10000;
+
+/**
+ * Counters are 32 bit values and wrap around to 0 after 2^32 - 1 pulses
+ */
+const COUNTER_WRAP = 0x100000000;
+
+/**
+ * Default time window in milliseconds over which the pulse rates of the counters are averaged
+ */
+const RATE_WINDOW = 60000;
+
+/**
+ * Bits of the watchdog value register
+ */
+const WATCHDOG_ENABLED = 0x01;
+const WATCHDOG_RESET = 0x02;
+
+/**
+ * Time in milliseconds to wait for a DALI transaction to finish and the interval at which to check it
+ */
+const DALI_TIMEOUT = 500;
+const DALI_POLL_INTERVAL = 20;
 
 /**
  * Represents a single board.
@@ -40,449 +76,2175 @@ class Board extends EventEmitter {
     /**
      * Create a single board.
      *
+     * The config is expected with its defaults filled in by Config.normalize.
+     *
      * @param config.type
-     *   A TCP or RTU connection type.
+     *   A TCP, RTU or simulator connection type.
      * @param config.id
      *   The board id to connect to.
+     * @param config.baudRate
+     *   The baud rate of an RTU connection, defaults to 19200.
+     * @param config.model
+     *   The board model (e.g. L203, M10x or xS10), used to load the hardware definition.
+     * @param config.definition
+     *   The path of a hardware definition file, e.g. for a custom Modbus device.
+     * @param config.registers
+     *   The data types of registers by address, e.g. {500: {type: 'float32', wordOrder: 'little', scale: 0.1}}.
      * @param config.groups
      *   The number of groups.
+     * @param config.interval
+     *   The polling interval in milliseconds.
+     * @param config.timeout
+     *   The time in milliseconds to wait for an answer of the board.
+     * @param config.readyTimeout
+     *   The time in milliseconds ready() waits for every io to be read, defaults to 10000.
+     * @param config.rateWindow
+     *   The time window in milliseconds over which the pulse rates of the counters are averaged.
+     * @param config.keepAlive
+     *   Keep enabled watchdogs alive from the polling loop, defaults to true.
+     * @param config.oneWire
+     *   Read the 1-Wire sensors of the w1 sysfs interface, true or {root, interval}.
+     * @param config.gestures
+     *   Decode the presses of pushbuttons on digital inputs, {id: true or {longPress, doubleClick, repeat}}.
      * @param config.
      */
     constructor(config) {
         super();
 
-        config.interval = config.interval || 10;
-        config.id = config.id || 0;
-        if (config.id === 0) config.name = config.name || 'local';
-        else config.name = config.name || config.id.toString();
-        config.type = config.type || 'tcp';
-
-        // Switch between tcp and rtu connections.
-        switch (config.type) {
-            case 'tcp':
-                config.port = config.port || 502;
-                config.ip = config.ip || '127.0.0.1';
-                this.client = new TcpConnection(config.ip, config.port);
-                break;
-
-            default:
-                config.socket = config.socket || '/dev/extcomm/0/0';
-                this.client = new RtuConnection(config.socket);
-        }
+        this.config = config;
 
         const name = config.name;
         const id = config.id;
-        const client = this.client;
         let groups = config.groups;
 
         this.state = {};
         this.counter = {};
-        this.groups = [];
+        this.rates = {};
+        this.registers = {};
+        this.analog = {};
+        this.changed = {};
+        this.features = {};
         this.id = id || 0;
         this.name = name || 'local';
 
-        // try to guess neuron model and set the config.groups accordinaly
-        if (client.port && id === 0) {
+        if (config.definition) {
+            // Load the definition file of a custom device
+            const def = Neuron.loadDefinition(config.definition);
+            if (def) {
+                this.model = {
+                    type: config.model || def.type,
+                    groups: this.countGroups(def),
+                    def: def
+                };
+            }
+        } else if (config.model) {
+            // Load the definition of the configured model
+            const def = Neuron.getDefinition(config.model);
+            if (def) {
+                this.model = {
+                    type: config.model,
+                    groups: this.countGroups(def),
+                    def: def
+                };
+            }
+        } else if (config.type !== 'rtu' && id === 0) {
+            // try to guess neuron model and set the config.groups accordinaly
             const neuron = Neuron.getNeuronProperties();
-            if (neuron && neuron.model) {
+            if (neuron && neuron.model && neuron.model.def) {
                 this.model = neuron.model;
                 groups = neuron.model.groups;
             }
         }
 
+        // Build the io map and the polled register blocks from the definition.
+        this.blocks = [];
+        if (this.model) {
+            this.mapFeatures(this.model.def, groups);
+            this.mapBlocks(this.model.def, groups);
+        } else {
+            error(`No hardware definition found for board ${this.name}, set the model in its config`);
+        }
+        this.mapSafety(config);
+        this.mapGestures(config);
+
+        // Only start a simulator once the config is known to be valid.
+        if (config.type === 'simulator') {
+            // Serve a simulated board of the configured model on a local port.
+            this.simulator = new Simulator({model: config.model, definition: config.definition, port: config.port});
+        }
+        this.client = this.createClient();
+
+        this.interval = config.interval;
+        this.timeout = config.timeout || 1000;
+        this.rateWindow = config.rateWindow || RATE_WINDOW;
+        this.keepAlive = config.keepAlive !== false;
+        this.keptAlive = {};
+        this.outputTimers = {};
+        this.daliQueues = {};
+        this.cycle = 0;
+        this.overruns = 0;
+        this.failedCycles = 0;
+        this.polling = false;
+        this.closed = false;
+        this.reconnectDelay = RECONNECT_MIN_DELAY;
+        this.status = {
+            connected: false,
+            lastSeen: undefined,
+            errors: 0,
+            reconnects: 0,
+            lastError: undefined
+        };
+        this.readyTimeout = config.readyTimeout || READY_TIMEOUT;
+        this.isReady = false;
+        this.readyPromise = new Promise((resolve, reject) => {
+            this.resolveReady = resolve;
+            this.rejectReady = reject;
+        });
+        // Boards closed before they were ready reject the waiting calls only.
+        this.readyPromise.catch(() => {});
+
+        // 1-Wire sensors are read from the w1 sysfs interface next to the Modbus ios.
+        if (config.oneWire) {
+            this.oneWire = new OneWire((config.oneWire === true) ? {} : config.oneWire);
+            this.oneWire.on('data', (id, value, time) => this.storeRegisterState({id: id}, value, time));
+            this.oneWire.on('removed', id => {
+                delete this.state[id];
+                delete this.changed[id];
+            });
+            this.oneWire.on('error', err => this.handleError(err));
+            this.oneWire.start();
+        }
+
         // Connect to the board.
-        this.client.connect(() => {
-            this.client.setID(id);
-
-            // Read board possibilities
-            for (let i = 0; i < groups; i++) {
-                // We can read the input and output capabilities of group one on register 1001, for group two on 1101
-                // and so on.
-                let start = 1001 + (i * 100);
-                this.client.readHoldingRegisters(start, 2)
-                    .then(data => {
-                        let bin = this.dec2bin(data.data[0]);
-                        /// Cannot calc AO AI and SERIAL numbers, unknown bitwise operation to apply to modbus reading ???
-                        /// TODO: better parsing hw_definitions files from evok !
-                        //let ext = this.dec2bin(data.data[1]);
-                        // On first register adress : first eight bits are for the input number, second eight bits are for the output number.
-                        // On second register address : first four bits are for the serial port number, second four bits are for the analog input number, third eight bits are for the analog output number.
-                        this.groups[i] = {
-                            'id': (i + 1),
-                            'di': (parseInt(bin.slice(0, 8), 2)),
-                            'do': (parseInt(bin.slice(8, 16), 2)),
-                            //'ao': (parseInt(ext.slice(4, 8), 2)),
-                            //'ai': (parseInt(ext.slice(8, 16), 2)),
-                            //'serial': (parseInt(ext.slice(0, 4), 2)),
-                        };
-                        // Add fixed registers
-                        if (id === 0 && i === 0) {
-                            // for main board
-                            this.groups[0].led = 4;
-                            this.groups[0].ai = 1;
-                            this.groups[0].ao = 1;
-                        }
-                    })
-                    .catch(err => {
-                        const errdesc = MODBUS_ERRNO[parseInt(err.message.split(' ').pop())];
-                        if (errdesc) error(`ModBus::readHoldingRegisters Error: ${errdesc} (board: ${this.name}, ref: pins enums, register: ${start}, length: 2)`);
-                        else error(err);
-                    });
+        this.connect();
+    }
+
+    /**
+     * Create the connection to the board.
+     *
+     * A connection cannot be reopened once closed, every (re)connect needs a new one.
+     *
+     * @returns {TcpConnection|RtuConnection}
+     */
+    createClient() {
+        switch (this.config.type) {
+            case 'tcp':
+                return new TcpConnection(this.config.ip, this.config.port);
+
+            case 'simulator':
+                return new TcpConnection('127.0.0.1', this.simulator.port);
+
+            default:
+                return new RtuConnection(this.config.socket, this.config.baudRate);
+        }
+    }
+
+    /**
+     * Connect to the board and start polling, retry with an increasing delay when the connection fails.
+     */
+    connect() {
+        // Wait for the simulator to pick its port before connecting to it.
+        if (this.simulator && this.simulator.port === undefined) {
+            this.simulator.listen().then(() => {
+                if (this.closed) return;
+                this.client = this.createClient();
+                this.connect();
+            }, err => {
+                this.handleError(fromModbus(err, 'start the simulator', {board: this.name}));
+            });
+            return;
+        }
+
+        this.client.connect(err => {
+            if (this.closed) return;
+            if (err) {
+                warn(`Cannot connect to board ${this.name}`);
+                this.handleError(fromModbus(err, 'connect', {board: this.name}));
+                this.scheduleReconnect();
+                return;
+            }
+
+            this.client.setID(this.id);
+            // Never wait forever on an answer, a pending request blocks the next polling cycles.
+            this.client.setTimeout(this.timeout);
+
+            info(`Connected to board ${this.name}`);
+            this.reconnectDelay = RECONNECT_MIN_DELAY;
+            this.failedCycles = 0;
+            this.polling = false;
+            this.status.connected = true;
+            this.emit('connected');
+
+            // Outputs may have been left in any state while the board was unreachable.
+            if (this.failsafePending) {
+                this.failsafePending = false;
+                this.applyFailsafe();
             }
 
             // Update the board state according to the config interval.
             this.updateStateLoopId = setInterval(() => {
                 this.updateState();
-            }, config.interval);
-
-            // Update the board count according to the config interval (times five).
-            this.updateCountLoopId = setInterval(() => {
-                this.updateCount();
-            }, (config.interval * 5));
+            }, this.interval);
 
         });
     }
 
     /**
-     * Validate that the given id is known to this board.
+     * Stop polling a board that stopped answering, close its connection and reconnect.
      *
-     * @param id
-     *   e.g. local-DO1.1
+     * @param err
+     *   The reason of the disconnect.
      */
-    validate(id) {
-        if (this.getState(id) === undefined) {
-            throw new SyntaxError('Unknown ID: ' + id);
+    disconnect(err) {
+        if (this.closed) return;
+
+        clearInterval(this.updateStateLoopId);
+        this.updateStateLoopId = undefined;
+
+        if (this.status.connected) {
+            warn(`Lost connection to board ${this.name}: ${err.message}`);
+            this.status.connected = false;
+            this.failsafePending = Object.keys(this.failsafe).length > 0;
+            // The buttons may change unseen until the board is back.
+            this.gestures.reset();
+            this.emit('disconnected', err);
+        }
+
+        if (this.client.isOpen) {
+            this.client.close(() => {});
         }
+        this.scheduleReconnect();
     }
 
     /**
-     * Get the value of the given io id.
+     * Reconnect after the current delay and double the delay for the next attempt.
+     */
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimeoutId);
+        this.reconnectTimeoutId = setTimeout(() => {
+            this.status.reconnects++;
+            this.client = this.createClient();
+            this.connect();
+        }, this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_DELAY);
+    }
+
+    /**
+     * Record an error in the board status and emit it to the error listeners.
      *
-     * @param id
-     *   e.g. DO1.1
+     * @param err
      */
-    getState(id) {
-        return this.state[id];
+    handleError(err) {
+        error(err.message);
+        this.status.errors++;
+        this.status.lastError = err;
+        emitError(this, err);
     }
 
     /**
-     * Get the value of the given DI id.
+     * Get the connection health of the board.
      *
-     * @param id
-     *   e.g. DI1.1
+     * @returns {{}}
      */
-    getCount(id) {
-        return this.counter[id];
+    getStatus() {
+        return {
+            connected: this.status.connected,
+            lastSeen: this.status.lastSeen,
+            errors: this.status.errors,
+            reconnects: this.status.reconnects,
+            lastError: this.status.lastError && this.status.lastError.message
+        };
     }
 
     /**
-     * Set an io to the given value
+     * Count the major groups declared in a hardware definition.
      *
-     * @param id
-     *   e.g. local-DO1.1
-     * @param {boolean} value
-     * @param {int} retries
-     *   Used internally to check how many retries have been tried.
+     * @param def
+     *   The hardware definition.
+     * @returns {number}
      */
-    set(id, value) {
-        this.validate(id);
+    countGroups(def) {
+        return Neuron.countGroups(def);
+    }
 
-        let arr = id.split('.');
-        let group = parseInt(arr[0].substr(arr[0].length - 1, 1));
-        let num = arr[1];
-        arr = arr[0].split('-');
-        let pin = arr[0];
-        let type = pin.substring(0, pin.length - 1).toLowerCase();
-        let coilId;
-        let registerId;
-
-        // set coilId
-        if (type === 'di') {
-            info('Cannot set state on digital input');
-            return;
-        } else if (type === 'ai') {
-            info('Cannot set state on analog input');
-            return;
-        } else if (type === 'do') {
-            coilId = (group - 1) * 100 + (num - 1);
-            this._writeCoil(coilId, id, value);
-        } else if (type === 'led' && group === 1) {
-            coilId = this.groups[0].do + this.groups[0].di + (num - 1);
-            this._writeCoil(coilId, id, value);
-        } else if (type === 'ao') {
-            // TODO: get AO register and set via _writeRegister()
-            //registerId = num;
-            //this._writeRegister(registerId, id, value);
-        }
+    /**
+     * Build the io map of the board from the modbus features of its definition.
+     *
+     * Ios are numbered per type and group in the order of the definition (e.g. DI2.1, DI2.2 ...), registers are
+     * numbered by their address (e.g. REG1.1000).
+     *
+     * @param def
+     *   The hardware definition.
+     * @param groups
+     *   Only map the features of the first n groups, defaults to all groups.
+     */
+    mapFeatures(def, groups) {
+        this.features = Neuron.mapFeatures(def, groups);
+
+        // Registers with a data type can span more than one word.
+        const formats = this.config.registers || {};
+        Object.keys(formats).forEach(reg => {
+            const id = Object.keys(this.features).find(key => this.features[key].type === 'REG' &&
+                this.features[key].reg === Number(reg));
+            if (!id) {
+                throw new ConfigError(`Invalid board "${this.name}": registers.${reg} is not a register of its definition`, {
+                    board: this.name,
+                    property: `registers.${reg}`
+                });
+            }
+            this.features[id].format = Registers.normalize(formats[reg]);
+            this.features[id].size = this.features[id].format.words;
+        });
     }
 
-    _writeRegister(registerId, id, value, retries = 0) {
-        this.client.writeRegister(registerId, value)
-            .catch(err => {
-                warn(`Cannot write ${value} to register ${registerId} (pin: ${id}) on board ${this.name}`);
-                const errdesc = MODBUS_ERRNO[parseInt(err.message.split(' ').pop())];
-                if (errdesc) error(`ModBus::writeRegister Error: ${errdesc} (board: ${this.name}, ref: ${id}, register: ${registerId}, value: ${value})`);
-                else error(err);
-            });
+    /**
+     * Check the interlocks, failsafe values and maximum on times of the config against the io map.
+     *
+     * @param config
+     *   The board config.
+     * @throws {ConfigError}
+     *   When an output is unknown or of the wrong type.
+     */
+    mapSafety(config) {
+        const check = (id, property, types) => {
+            if (!this.features[id] || types.indexOf(this.features[id].type) === -1) {
+                throw new ConfigError(`Invalid board "${this.name}": ${property} must be one of the ${types.join(', ')} ios of the board, got ${id}`, {
+                    board: this.name,
+                    property: property
+                });
+            }
+        };
+        const digital = ['DO', 'RO', 'LED'];
 
-        // Writing can sometimes fail, especially on boards connected over a (bad) UART connection. Validating the write
-        // and retrying the write after a small delay mitigates the problem.
-        if (retries < 5) {
-            setTimeout(() => {
-                if (this.getState(id) != value) {
-                    retries++;
-                    console.log('Retry (' + retries + ')');
-                    this._writeRegister(registerId, id, value, retries);
-                }
-            }, (100 * (retries + 1)));
-        }
+        this.interlocks = (config.interlocks || []).map((interlock, i) => {
+            interlock.outputs.forEach(id => check(id, `interlocks[${i}].outputs`, digital));
+            return {outputs: interlock.outputs, deadTime: interlock.deadTime || 0};
+        });
+        this.failsafe = Object.assign({}, config.failsafe);
+        Object.keys(this.failsafe).forEach(id => check(id, `failsafe.${id}`, digital.concat('AO')));
+        this.maxOnTime = Object.assign({}, config.maxOnTime);
+        Object.keys(this.maxOnTime).forEach(id => check(id, `maxOnTime.${id}`, digital));
+
+        this.offSince = {};
+        this.switchingOn = {};
+        this.onTimers = {};
+        this.failsafePending = false;
     }
 
     /**
-     * Actual write to the board DOs and LEDs.
-     * 
-     * @param {any} coilId 
-     * @param {any} value 
-     * @memberof Board
+     * Set up the gesture decoding of the digital inputs wired to pushbuttons.
+     *
+     * @param config
+     *   The board config.
+     * @throws {ConfigError}
+     *   When an input is unknown or no digital input.
      */
-    _writeCoil(coilId, id, value, retries = 0) {
-        this.client.writeCoil(coilId, value)
-            .catch(err => {
-                warn(`Cannot write ${value} to coil ${coilId} (pin: ${id}) on board ${this.name}`);
-                const errdesc = MODBUS_ERRNO[parseInt(err.message.split(' ').pop())];
-                if (errdesc) error(errdesc);
-                else error(`ModBus::writeCoil Error: ${errdesc} (board: ${this.name}, ref: ${id}, coil: ${coilId}, value: ${value})`);
-            });
+    mapGestures(config) {
+        const gestures = config.gestures || {};
+        Object.keys(gestures).forEach(id => {
+            if (!this.features[id] || this.features[id].type !== 'DI') {
+                throw new ConfigError(`Invalid board "${this.name}": gestures.${id} must be a DI of the board, got ${id}`, {
+                    board: this.name,
+                    property: `gestures.${id}`
+                });
+            }
+        });
 
-        // Writing can sometimes fail, especially on boards connected over a (bad) UART connection. Validating the write
-        // and retrying the write after a small delay mitigates the problem.
-        if (retries < 5) {
-            setTimeout(() => {
-                if (this.getState(id) != value) {
-                    retries++;
-                    console.log('Retry (' + retries + ')');
-                    this._writeCoil(coilId, id, value, retries);
-                }
-            }, (100 * (retries + 1)));
-        }
+        this.gestures = new Gestures(gestures);
+        Gestures.EVENTS.forEach(event => this.gestures.on(event, (...args) => this.emit(event, ...args)));
     }
 
     /**
-     * Convert the given decimal value to a 16bit binary string.
+     * Whether a digital output is on, in PWM mode or being switched on.
      *
-     * @param dec
-     * @returns {string}
+     * @param id
+     *   e.g. RO1.1
+     * @returns {boolean}
      */
-    dec2bin(dec) {
-        // Convert decimal string to binary.
-        let bin = parseInt(dec, 10).toString(2);
-        // Pad to a 16bit binary number.
-        return ('0000000000000000' + bin.toString()).slice(-16);
+    isOn(id) {
+        const feature = this.features[id];
+        return this.state[id] === 1 || this.switchingOn[id] === true ||
+            (feature.pwmReg !== undefined && this.registers[feature.pwmReg] > 0);
+    }
+
+    /**
+     * Check that switching on a digital output keeps its interlocks.
+     *
+     * @param id
+     *   e.g. RO1.1
+     * @throws {InterlockError}
+     *   When another output of an interlock is on or was switched off within the dead time.
+     */
+    checkInterlock(id) {
+        const now = Date.now();
+        this.interlocks.filter(interlock => interlock.outputs.indexOf(id) !== -1).forEach(interlock => {
+            interlock.outputs.filter(other => other !== id).forEach(other => {
+                if (this.isOn(other)) {
+                    throw new InterlockError(`Cannot switch ${id} on, ${other} of board ${this.name} is on`,
+                        {board: this.name, id: id, interlock: other});
+                }
+                if ((this.offSince[other] || 0) + interlock.deadTime > now) {
+                    throw new InterlockError(`Cannot switch ${id} on, ${other} of board ${this.name} was switched off less than ${interlock.deadTime} ms ago`,
+                        {board: this.name, id: id, interlock: other});
+                }
+            });
+        });
     }
 
     /**
-     * Convert and store the given group array data in the data variable for DI/DO.
+     * Write a digital output, an output being switched on counts as on for its interlocks.
      *
-     * @param prefix
-     *   The io prefix (e.g. DO, DI ...)
+     * @param id
+     *   e.g. RO1.1
      * @param value
-     *   The value array from readHoldingRegisters
-     * @param length
-     *   The length of the io group, defaults to 16.
+     * @param write
+     *   Runs the write.
+     * @returns {Promise}
      */
-    storeDigitalState(prefix, value, length = 16) {
-        const bin = this.dec2bin(value);
+    _switchOutput(id, value, write) {
+        // Start the dead time once the write is done, the next poll may take a while.
+        if (!value) return write().then(result => {
+            this.offSince[id] = Date.now();
+            return result;
+        });
 
-        // Convert to an array and reverse the values (first bit -> first value)
-        const arr = bin.split('').reverse();
+        this.checkInterlock(id);
+        this.switchingOn[id] = true;
+        return write().then(result => {
+            delete this.switchingOn[id];
+            return result;
+        }, err => {
+            delete this.switchingOn[id];
+            throw err;
+        });
+    }
 
-        for (let i = 0; i < length; i++) {
-            const id = prefix + '.' + (i + 1);
-            const value = parseInt(arr[i]);
-            const currentValue = this.getState(id);
-            if (currentValue !== value) {
-                this.state[id] = value;
-                if (currentValue !== undefined) {
-                    this.emit('update', id, value.toString());
-                }
-            }
+    /**
+     * Track when a digital output switches, for the dead time of its interlocks and its maximum on time.
+     *
+     * @param id
+     *   e.g. RO1.1
+     * @param value
+     *   The new state.
+     * @param time
+     */
+    trackOutput(id, value, time) {
+        if (!value) {
+            this.offSince[id] = time;
+            clearTimeout(this.onTimers[id]);
+            delete this.onTimers[id];
+            return;
         }
+        if (this.maxOnTime[id] === undefined || this.onTimers[id]) return;
+
+        this.onTimers[id] = setTimeout(() => {
+            delete this.onTimers[id];
+            warn(`${id} of board ${this.name} was on for its maximum of ${this.maxOnTime[id]} ms, switching it off`);
+            this.emit('maxOnTime', id, Date.now());
+            this.set(id, false).catch(err => this.handleError(err));
+        }, this.maxOnTime[id]);
     }
 
     /**
-     * Convert and store the given group analogue data in the data variable for AI/AO.
-     * 
-     * @param {any} prefix 
-     * @param {any} group 
-     * @param {any} id 
-     * @param {any} value 
-     * @memberof Board
+     * Set the outputs to their failsafe values, those switching off first so interlocks are kept.
+     *
+     * @returns {Promise}
+     *   Resolves once all failsafe values have been written, failures are emitted as errors.
      */
-    storeAnalogueState(prefix, group, id, value) {
-        let mode = 0;
-        let vref = 0;
-        let vrefInt = 0;
-        let offset = 0;
-        let dev = 0;
-
-        if (group === 1) {
-            // Get mode (3 = resistance, 1 = current, 0 = voltage)
-            let catched = false;
-            this.client.readHoldingRegisters(1019, 1)
-                .then(data => {
-                    mode = data.data[0];
-                    // Get Vref
-                    return this.client.readHoldingRegisters(1009, 1);
-                })
-                .catch(err => {
-                    const errdesc = MODBUS_ERRNO[parseInt(err.message.split(' ').pop())];
-                    if (errdesc) error(`ModBus::readHoldingRegisters Error: ${errdesc} (board: ${this.name}, ref: vref, register: 1019, length: 1)`);
-                    else error(err);
-                    catched = true;
-                })
-                .then(data => {
-                    vref = data.data[0];
-                    // Get vrefInt
-                    return this.client.readHoldingRegisters(5, 1);
-                })
-                .catch(err => {
-                    if (catched === false) {
-                        const errdesc = MODBUS_ERRNO[parseInt(err.message.split(' ').pop())];
-                        if (errdesc) error(`ModBus::readHoldingRegisters Error: ${errdesc} (board: ${this.name}, ref: vrefInt, register: 5, length: 1)`);
-                        else error(err);
-                        catched = true;
-                    }
-                })
-                .then(data => {
-                    vrefInt = data.data[0];
-                    // Get offest and deviation
-                    if (mode !== 1) {
-                        return this.client.readHoldingRegisters(1020 + ((prefix === 'AO') ? 0 : 5), 2);
-                    } else if (mode === 1 && group === 1) {
-                        return this.client.readHoldingRegisters(1022 + ((prefix === 'AO') ? 0 : 5), 2);
-                    }
-                })
-                .catch(err => {
-                    if (catched === false) {
-                        const errdesc = MODBUS_ERRNO[parseInt(err.message.split(' ').pop())];
-                        if (errdesc) error(`ModBus::readHoldingRegisters Error: ${errdesc} (board: ${this.name}, ref=${prefix}.${group}.${id} register: ${((mode !==1) ? 1020: 1022) + ((prefix === 'AO') ? 0 : 5)}, length: 2)`);
-                        else error(err);
-                        catched = true;
-                    }
-                })
-                .then(data => {
-                    dev = data.data[0];
-                    offset = data.data[1];
-                    // Calc result (Neuron technical manual p.16)
-                    const result = math.round(
-                        (3.3 * (vref / vrefInt)) *
-                        ((mode === 0) ? 3 : (mode === 1) ? 10 : 1) *
-                        (value / 4096) *
-                        (1 + (dev / 10000)) + (offset / 1000), 2);
-                    const currentValue = this.getState(id);
-                    if (currentValue !== result) {
-                        this.state[`${prefix}${group}.${id}`] = result;
-                        if (currentValue !== undefined) {
-                            this.emit('update', id, result);
-                        }
+    applyFailsafe() {
+        const ids = Object.keys(this.failsafe).sort((a, b) => (this.failsafe[a] ? 1 : 0) - (this.failsafe[b] ? 1 : 0));
+        if (ids.length > 0) info(`Set the failsafe values of board ${this.name}`);
+        return ids.reduce((promise, id) => promise
+            .then(() => this.set(id, this.failsafe[id]))
+            .catch(err => this.handleError(err)), Promise.resolve());
+    }
+
+    /**
+     * Build the register blocks to poll from the modbus register blocks of the definition.
+     *
+     * Each block is read in a single request once every `frequency` polling cycles, the ios are decoded from the
+     * registers read. Ios outside of the declared blocks get a block of their own which is read on every cycle.
+     *
+     * @param def
+     *   The hardware definition.
+     * @param groups
+     *   Only poll the blocks of the first n groups, defaults to all groups.
+     */
+    mapBlocks(def, groups) {
+        this.blocks = [];
+
+        (def.modbus_register_blocks || []).forEach(definition => {
+            const group = definition.board_index || 1;
+            if (groups && group > groups) return;
+            this.blocks.push(this.createBlock(definition.start_reg, definition.count, definition.frequency || 1));
+        });
+
+        for (let id in this.features) {
+            if (this.features.hasOwnProperty(id)) {
+                const feature = this.features[id];
+                let block = this.findBlock(feature.reg, feature.size);
+                if (!block) {
+                    warn(`No register block for ${id} on board ${this.name}, polling it separately`);
+                    block = this.createBlock(feature.reg, feature.size, 1);
+                    this.blocks.push(block);
+                }
+                block.features.push(feature);
+
+                // Analog ios are decoded again when a block holding their mode or calibration registers is read.
+                if (feature.type === 'AI' || feature.type === 'AO') {
+                    Analog.getRegisters(feature).forEach(register => {
+                        const dependency = this.findBlock(register, 1);
+                        if (dependency && dependency.features.indexOf(feature) === -1) dependency.features.push(feature);
+                    });
+                }
+
+                // The duty cycle of a digital output in PWM mode can be read in another block than its value.
+                if (feature.pwmReg !== undefined) {
+                    let pwmBlock = this.findBlock(feature.pwmReg, 1);
+                    if (!pwmBlock) {
+                        warn(`No register block for the duty cycle of ${id} on board ${this.name}, polling it separately`);
+                        pwmBlock = this.createBlock(feature.pwmReg, 1, 1);
+                        this.blocks.push(pwmBlock);
                     }
-                })
-                .catch(err => {
-                    if (catched === false) {
-                        const errdesc = MODBUS_ERRNO[parseInt(err.message.split(' ').pop())];
-                        if (errdesc) error(`ModBus::readHoldingRegisters Error: ${errdesc} (board: ${this.name}, register: ${start}, length: 2)`);
-                        else error(err);
+                    if (pwmBlock !== block) pwmBlock.features.push(feature);
+                }
+
+                if (feature.counterReg !== undefined) {
+                    let counterBlock = this.findBlock(feature.counterReg, 2);
+                    if (!counterBlock) {
+                        warn(`No register block for the counter of ${id} on board ${this.name}, polling it separately`);
+                        counterBlock = this.createBlock(feature.counterReg, 2, 1);
+                        this.blocks.push(counterBlock);
                     }
-                });
-        } else {
-            // TODO : check if there are no binary operation to convert the actual value
-            if (prefix === 'AO') {
-                // convert to real value (Neuron technical manual p.18)
-                value = value / 4000 * 10;
-            }
-            const currentValue = this.getState(id);
-            if (currentValue !== value) {
-                this.state[`${prefix}${group}.${id}`] = value;
-                if (currentValue !== undefined) {
-                    this.emit('update', id, value);
+                    counterBlock.counters.push(feature);
                 }
             }
-
         }
     }
 
     /**
-     * Update the board io states by reading the holding registers.
+     * Create a register block.
+     *
+     * @param start
+     *   The first register of the block.
+     * @param count
+     *   The number of registers in the block.
+     * @param frequency
+     *   Read the block once every n polling cycles.
+     * @returns {{}}
      */
-    updateState() {
-        for (let i = 0; i < this.groups.length; i++) {
-            let group = this.groups[i];
-            let start = (group.id - 1) * 100;
-            // Read DI and DO states
-            this.client.readHoldingRegisters(start, 2)
-                .then(data => {
-                    this.storeDigitalState('DI' + group.id, data.data[0], group.di);
-                    this.storeDigitalState('DO' + group.id, data.data[1], group.do);
-                })
-                .catch(err => {
-                    const errdesc = MODBUS_ERRNO[parseInt(err.message.split(' ').pop())];
-                    if (errdesc) error(`ModBus::readHoldingRegisters Error: ${errdesc} (board: ${this.name}, register: ${start}, length: 2)`);
-                    else error(err);
-                });
-            // Read LED states
-            if (group.id === 1) {
-                this.client.readHoldingRegisters(20, 1)
-                    .then(data => {
-                        this.storeDigitalState('LED' + group.id, data.data[0], group.led);
-                    })
-                    .catch(err => {
-                        const errdesc = MODBUS_ERRNO[parseInt(err.message.split(' ').pop())];
-                        if (errdesc) error(`ModBus::readHoldingRegisters Error: ${errdesc} (board: ${this.name}, register: 20, length: 1)`);
-                        else error(err);
-                    });
+    createBlock(start, count, frequency) {
+        return {
+            start: start,
+            count: count,
+            frequency: frequency,
+            features: [],
+            counters: [],
+            stats: {
+                reads: 0,
+                errors: 0,
+                duration: 0,
+                average: 0,
+                lastRead: undefined
             }
-            // Read AO and AI states (only on group 1 and not x5xx series for now)
-            if (group.id === 1) {
-                this.client.readHoldingRegisters(2, 2)
-                    .then(data => {
-                        this.storeAnalogueState('AO', group.id, 1, data.data[0]);
-                        this.storeAnalogueState('AI', group.id, 1, data.data[1]);
-                    })
-                    .catch(err => {
-                        const errdesc = MODBUS_ERRNO[parseInt(err.message.split(' ').pop())];
-                        if (errdesc) error(`ModBus::readHoldingRegisters Error: ${errdesc} (board: ${this.name}, register: 2, length: 2)`);
-                        else error(err);
-                    });
+        };
+    }
+
+    /**
+     * Find the block holding the given registers.
+     *
+     * @param reg
+     *   The first register.
+     * @param size
+     *   The number of registers.
+     * @returns {{}|undefined}
+     */
+    findBlock(reg, size) {
+        for (let i = 0; i < this.blocks.length; i++) {
+            const block = this.blocks[i];
+            if (reg >= block.start && reg + size <= block.start + block.count) {
+                return block;
             }
         }
+        return undefined;
     }
 
     /**
-     * Update the board io states by reading the holding registers.
+     * Validate that the given id is known to this board.
+     *
+     * @param id
+     *   e.g. local-DO1.1
      */
-    updateCount() {
-        // Look for a better way of determining these.
-        let countStart = [8, 103, 203];
-
-        for (let i = 0; i < this.groups.length; i++) {
-            let group = this.groups[i];
-            // Read DI counters
-            this.client.readHoldingRegisters(countStart[i], (group.di * 2))
-                .then(data => {
-                    for (let j = 0; j < group.di; j++) {
-                        let id = 'DI' + group.id + '.' + (j + 1);
-                        // Counters are stored over two words.
-                        this.counter[id] = data.data[j * 2] + data.data[j * 2 + 1];
-                    }
-                })
-                .catch(err => {
-                    const errdesc = MODBUS_ERRNO[parseInt(err.message.split(' ').pop())];
-                    if (errdesc) error(`ModBus::readHoldingRegisters Error: ${errdesc} (board: ${this.name}, register: ${countStart[i]}, length: ${group.di * 2})`);
-                    else error(err);
-                });
+    validate(id) {
+        if (this.features[id] === undefined) {
+            throw new UnknownIdError(`Unknown id ${id} on board ${this.name}`, {board: this.name, id: id});
         }
     }
 
+    /**
+     * Get the value of the given io id.
+     *
+     * @param id
+     *   e.g. DO1.1
+     */
+    getState(id) {
+        // 1-Wire sensors are no features, they are known once read.
+        if (this.state[id] === undefined) this.validate(id);
+        return this.state[id];
+    }
+
+    /**
+     * Get the value of the given DI id.
+     *
+     * @param id
+     *   e.g. DI1.1
+     */
+    getCount(id) {
+        this.validate(id);
+        return this.counter[id];
+    }
+
+    /**
+     * Get the pulse rate of the given DI id, averaged over the rate window.
+     *
+     * @param id
+     *   e.g. DI1.1
+     * @returns {{perSecond: number, perMinute: number}|undefined}
+     *   Undefined as long as the counter has not been read.
+     */
+    getRate(id) {
+        this.validate(id);
+        const rate = this.rates[id];
+        if (!rate) return undefined;
+
+        const start = Math.max(rate.start, rate.time - this.rateWindow);
+        const elapsed = (rate.time - start) / 1000;
+        // The first sample is the last change before the window, every pulse after it falls within the window.
+        const pulses = rate.total - rate.samples[0].total;
+        const perSecond = (elapsed > 0) ? pulses / elapsed : 0;
+        return {
+            perSecond: perSecond,
+            perMinute: perSecond * 60
+        };
+    }
+
+    /**
+     * Reset the counter of the given DI id to 0.
+     *
+     * @param id
+     *   e.g. DI1.1
+     * @returns {Promise}
+     *   Resolves once the reset has been read back from the board.
+     */
+    resetCount(id) {
+        return new Promise(resolve => {
+            this.validate(id);
+
+            const feature = this.features[id];
+            if (feature.counterReg === undefined) {
+                throw new TypeError(`Cannot reset ${id}, it has no counter`);
+            }
+            const register = feature.counterReg;
+
+            resolve(this._writeVerified(
+                () => {
+                    const before = this.counter[id];
+                    // The next read of a lower value is the reset, not a wrap around.
+                    if (this.rates[id]) this.rates[id].reset = true;
+                    return this.client.writeRegisters(register, [0, 0])
+                        .catch(err => {
+                            this.handleError(fromModbus(err, `reset the counter of ${id}`, {board: this.name, id: id, register: register}));
+                        })
+                        .then(() => before);
+                },
+                (before) => this.client.readHoldingRegisters(register, 2)
+                    .then(data => {
+                        this.registers[register] = data.data[0];
+                        this.registers[register + 1] = data.data[1];
+                        this.storeCounter(feature, Date.now());
+                        // Pulses may have been counted since the reset.
+                        return this.counter[id] === 0 || before === undefined || this.counter[id] < before;
+                    }),
+                {board: this.name, id: id, register: register, value: 0}
+            ));
+        });
+    }
+
+    /**
+     * Set an io to the given value
+     *
+     * @param id
+     *   e.g. local-DO1.1
+     * @param {boolean} value
+     * @returns {Promise}
+     *   Resolves once the value has been read back from the board, rejects when the io cannot be set to the value or
+     *   with a WriteVerifyError when the value could not be verified after all retries.
+     */
+    set(id, value) {
+        return new Promise(resolve => {
+            this.validate(id);
+
+            const feature = this.features[id];
+
+            // set coilId
+            if (feature.type === 'DI') {
+                throw new TypeError('Cannot set state on digital input');
+            } else if (feature.type === 'AI') {
+                throw new TypeError('Cannot set state on analog input');
+            } else if (feature.type === 'DO' || feature.type === 'RO' || feature.type === 'LED') {
+                // A newer command replaces a running pulse or blink.
+                this.cancelTimer(id);
+                resolve(this._setOutput(id, value));
+            } else if (feature.type === 'AO') {
+                const mode = Analog.getMode(feature, this.registers);
+                if (mode === undefined) {
+                    throw new Error(`Cannot set ${id}, its mode has not been read yet`);
+                }
+                if (mode === 'Resistance') {
+                    throw new Error(`Cannot set ${id}, it measures resistance`);
+                }
+
+                const range = Analog.getRange(feature, mode);
+                const number = parseFloat(value);
+                if (isNaN(number) || number < range.min || number > range.max) {
+                    throw new RangeError(`Cannot set ${id} to ${value}, the ${mode} range is ${range.min} - ${range.max} ${range.unit}`);
+                }
+
+                const raw = Analog.encode(feature, number, mode, this.registers);
+                if (raw === undefined) {
+                    throw new Error(`Cannot set ${id}, its calibration has not been read yet`);
+                }
+                resolve(this._writeRegister(feature.reg, id, raw));
+            } else if (feature.type === 'REG') {
+                // Registers without a data type are written as is.
+                const words = Registers.encode(feature.format || Registers.normalize('uint16'), value);
+                if (words.length === 1) {
+                    resolve(this._writeRegister(feature.reg, id, words[0]));
+                } else {
+                    resolve(this._writeRegisters(feature.reg, id, words));
+                }
+            } else {
+                throw new TypeError(`Cannot set state on ${id}`);
+            }
+        });
+    }
+
+    /**
+     * Switch a digital output, without cancelling a running pulse or blink.
+     *
+     * @param id
+     *   e.g. DO1.1
+     * @param {boolean} value
+     * @returns {Promise}
+     */
+    _setOutput(id, value) {
+        const feature = this.features[id];
+        if (feature.coil === undefined) {
+            throw new TypeError(`Cannot set state on ${id}, it has no coil`);
+        }
+        // Leave PWM mode before switching the output.
+        if (this.getMode(id) === 'PWM') {
+            return this._switchOutput(id, value, () => this._writeRegister(feature.pwmReg, id, 0)
+                .then(() => this._writeCoil(feature.coil, id, value)));
+        }
+        return this._switchOutput(id, value, () => this._writeCoil(feature.coil, id, value));
+    }
+
+    /**
+     * Check that an io is a digital output and its durations are valid.
+     *
+     * @param id
+     *   e.g. DO1.1
+     * @param {...number} durations
+     *   Times in milliseconds.
+     * @throws {UnknownIdError|TypeError|RangeError}
+     */
+    _validateTimed(id, ...durations) {
+        this.validate(id);
+        const type = this.features[id].type;
+        if (type !== 'DO' && type !== 'RO' && type !== 'LED') {
+            throw new TypeError(`Cannot time ${id}, only digital outputs can be pulsed, blinked or toggled`);
+        }
+        durations.forEach(duration => {
+            if (typeof duration !== 'number' || !isFinite(duration) || duration < 0) {
+                throw new RangeError(`Invalid duration ${duration} for ${id}, use a number of milliseconds`);
+            }
+        });
+    }
+
+    /**
+     * Cancel the running pulse or blink of an output, its Promise resolves.
+     *
+     * @param id
+     *   e.g. DO1.1
+     */
+    cancelTimer(id) {
+        const timer = this.outputTimers[id];
+        if (!timer) return;
+        delete this.outputTimers[id];
+        clearTimeout(timer.timeout);
+        timer.resolve();
+    }
+
+    /**
+     * Switch a digital output through a sequence of values, replacing a running sequence of the output.
+     *
+     * @param id
+     *   e.g. DO1.1
+     * @param {Function} step
+     *   Returns the value and the time in milliseconds to keep it for the given step number, undefined after the
+     *   last step.
+     * @returns {Promise}
+     *   Resolves once the sequence is done or replaced by a newer command, rejects when a write fails.
+     */
+    _runTimed(id, step) {
+        this.cancelTimer(id);
+        return new Promise((resolve, reject) => {
+            const timer = {resolve: resolve};
+            this.outputTimers[id] = timer;
+
+            const next = (i) => {
+                if (this.outputTimers[id] !== timer) return;
+                const current = step(i);
+                if (current === undefined) {
+                    delete this.outputTimers[id];
+                    resolve();
+                    return;
+                }
+                // Time the step from the moment the board switched the output, a broken interlock rejects the run.
+                Promise.resolve().then(() => this._setOutput(id, current.value)).then(() => {
+                    if (this.outputTimers[id] !== timer) return;
+                    timer.timeout = setTimeout(() => next(i + 1), current.time);
+                }).catch(err => {
+                    if (this.outputTimers[id] === timer) delete this.outputTimers[id];
+                    reject(err);
+                });
+            };
+            next(0);
+        });
+    }
+
+    /**
+     * Switch a digital output on for a time and off again.
+     *
+     * @param id
+     *   e.g. DO1.1
+     * @param {number} time
+     *   The time in milliseconds.
+     * @returns {Promise}
+     *   Resolves once the output is off again or a newer command replaced the pulse.
+     */
+    pulse(id, time) {
+        return this.setFor(id, true, time);
+    }
+
+    /**
+     * Switch a digital output to a value for a time and back to the opposite value.
+     *
+     * @param id
+     *   e.g. DO1.1
+     * @param {boolean} value
+     * @param {number} time
+     *   The time in milliseconds.
+     * @returns {Promise}
+     *   Resolves once the output is switched back or a newer command replaced it.
+     */
+    setFor(id, value, time) {
+        return new Promise(resolve => {
+            this._validateTimed(id, time);
+            value = !!value;
+            resolve(this._runTimed(id, i => (i < 2) ? {value: (i === 0) ? value : !value, time: time} : undefined));
+        });
+    }
+
+    /**
+     * Blink a digital output, it is off once done.
+     *
+     * @param id
+     *   e.g. LED1.1
+     * @param {number} onTime
+     *   The time in milliseconds to keep the output on.
+     * @param {number} offTime
+     *   The time in milliseconds to keep the output off between blinks.
+     * @param {number} count
+     *   The number of blinks, blinks until a newer command for the output when left out.
+     * @returns {Promise}
+     *   Resolves once the last blink is done or a newer command replaced the blinking.
+     */
+    blink(id, onTime, offTime, count) {
+        return new Promise(resolve => {
+            this._validateTimed(id, onTime, offTime);
+            if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+                throw new RangeError(`Invalid blink count ${count} for ${id}, use a positive integer`);
+            }
+            resolve(this._runTimed(id, i => {
+                if (count !== undefined && i >= count * 2) return undefined;
+                if (i % 2 === 0) return {value: true, time: onTime};
+                // The last switch off needs no wait.
+                return {value: false, time: (i === count * 2 - 1) ? 0 : offTime};
+            }));
+        });
+    }
+
+    /**
+     * Switch a digital output to the opposite of its state, replacing a running pulse or blink.
+     *
+     * @param id
+     *   e.g. DO1.1
+     * @returns {Promise}
+     *   Resolves once the value has been read back from the board.
+     */
+    toggle(id) {
+        return new Promise(resolve => {
+            this._validateTimed(id);
+            resolve(this.set(id, this.state[id] !== 1));
+        });
+    }
+
+    /**
+     * Get the value, unit and active mode of an analog io.
+     *
+     * @param id
+     *   e.g. AI1.1
+     * @returns {{value: number, unit: string, mode: string}|undefined}
+     */
+    getAnalogState(id) {
+        return this.analog[id];
+    }
+
+    /**
+     * Get the active mode of an analog io.
+     *
+     * @param id
+     *   e.g. AO1.1
+     * @returns {string|undefined}
+     *   e.g. Voltage, undefined as long as the mode has not been read.
+     */
+    getMode(id) {
+        this.validate(id);
+        const feature = this.features[id];
+        if (feature.type === 'DO' && feature.pwmReg !== undefined) {
+            const duty = this.registers[feature.pwmReg];
+            if (duty === undefined) return undefined;
+            return (duty > 0) ? 'PWM' : 'Simple';
+        }
+        return Analog.getMode(feature, this.registers);
+    }
+
+    /**
+     * Switch an analog io or a digital output to one of the modes of its definition.
+     *
+     * Digital outputs switch to PWM mode by setting a duty cycle with setPwm(), switching them to Simple mode stops
+     * the PWM.
+     *
+     * @param id
+     *   e.g. AO1.1 or DO1.1
+     * @param mode
+     *   e.g. Voltage, Current or Resistance for analog ios, Simple or PWM for digital outputs
+     * @returns {Promise}
+     *   Resolves once the mode has been read back from the board.
+     */
+    setMode(id, mode) {
+        return new Promise(resolve => {
+            this.validate(id);
+
+            const feature = this.features[id];
+            const modes = feature.def.modes || [];
+            if (modes.indexOf(mode) === -1) {
+                throw new RangeError(`Unknown mode ${mode} for ${id}, use one of: ${modes.join(', ')}`);
+            }
+
+            // Single mode ios have nothing to switch.
+            if (modes.length === 1) return resolve();
+
+            if (feature.type === 'DO' && feature.pwmReg !== undefined) {
+                if (mode === 'Simple') return resolve(this._writeRegister(feature.pwmReg, id, 0));
+                if (this.getMode(id) !== 'PWM') {
+                    throw new TypeError(`Cannot switch ${id} to PWM without a duty cycle, use setPwm()`);
+                }
+                return resolve();
+            }
+            if (feature.type === 'DI') {
+                throw new TypeError(`Cannot switch the mode of ${id}, use configureInput()`);
+            }
+            if (feature.type !== 'AI' && feature.type !== 'AO') {
+                throw new TypeError(`Cannot switch the mode of ${id}`);
+            }
+
+            resolve(this._writeRegister(Analog.getModeRegister(feature), id, Analog.MODES[mode]));
+        });
+    }
+
+    /**
+     * Get the PWM duty cycle and frequency of a digital output.
+     *
+     * @param id
+     *   e.g. DO1.1
+     * @returns {{duty: number, frequency: number}|undefined}
+     *   The duty cycle in % (0 when the output is not in PWM mode) and the frequency in Hz, undefined as long as the
+     *   registers have not been read.
+     */
+    getPwm(id) {
+        this.validate(id);
+        const feature = this.features[id];
+        if (feature.pwmReg === undefined) {
+            throw new TypeError(`${id} does not support PWM`);
+        }
+
+        const duty = Pwm.getDuty(feature, this.registers);
+        const frequency = Pwm.getFrequency(feature, this.registers);
+        if (duty === undefined || frequency === undefined) return undefined;
+        return {
+            duty: duty,
+            frequency: frequency
+        };
+    }
+
+    /**
+     * Switch a digital output to PWM mode.
+     *
+     * All digital outputs of a board share the PWM frequency, changing it keeps the duty cycles of the other outputs.
+     *
+     * @param id
+     *   e.g. DO1.1
+     * @param duty
+     *   The duty cycle in %, 0 switches the output off and back to Simple mode.
+     * @param frequency
+     *   The frequency in Hz, keeps the current frequency when left out.
+     * @returns {Promise}
+     *   Resolves once all registers have been read back from the board.
+     */
+    setPwm(id, duty, frequency) {
+        return new Promise(resolve => {
+            this.validate(id);
+            const feature = this.features[id];
+            const def = feature.def;
+            if (feature.pwmReg === undefined || (def.modes || []).indexOf('PWM') === -1) {
+                throw new TypeError(`${id} does not support PWM`);
+            }
+
+            const number = parseFloat(duty);
+            if (isNaN(number) || number < 0 || number > 100) {
+                throw new RangeError(`Cannot set the duty cycle of ${id} to ${duty}, use 0 - 100 %`);
+            }
+            this.cancelTimer(id);
+
+            let timer;
+            if (frequency !== undefined) {
+                timer = Pwm.encodeFrequency(parseFloat(frequency));
+                if (!timer) {
+                    const range = Pwm.getFrequencyRange();
+                    throw new RangeError(`Cannot set the PWM frequency of ${id} to ${frequency}, the range is ${range.min} - ${range.max} Hz`);
+                }
+            } else {
+                const cycle = this.registers[def.pwm_c_reg];
+                if (cycle === undefined) {
+                    throw new Error(`Cannot set ${id}, its PWM frequency has not been read yet`);
+                }
+                if (cycle === 0) {
+                    throw new Error(`Cannot set ${id}, set a PWM frequency first`);
+                }
+            }
+
+            const cycle = timer ? timer.cycle : this.registers[def.pwm_c_reg];
+            const write = () => {
+                let promise = Promise.resolve();
+                if (timer && (timer.prescaler !== this.registers[def.pwm_ps_reg] || timer.cycle !== this.registers[def.pwm_c_reg])) {
+                    // Keep the duty cycles of the other outputs sharing the timer.
+                    const others = Object.keys(this.features)
+                        .map(key => this.features[key])
+                        .filter(other => other !== feature && other.pwmReg !== undefined &&
+                            other.def.pwm_c_reg === def.pwm_c_reg && this.getMode(other.id) === 'PWM')
+                        .map(other => ({feature: other, duty: Pwm.getDuty(other, this.registers)}));
+
+                    promise = promise
+                        .then(() => this._writeRegister(def.pwm_ps_reg, id, timer.prescaler))
+                        .then(() => this._writeRegister(def.pwm_c_reg, id, timer.cycle));
+                    others.forEach(other => {
+                        promise = promise.then(() => this._writeRegister(other.feature.pwmReg, other.feature.id,
+                            Pwm.encodeDuty(other.duty, cycle)));
+                    });
+                }
+                return promise.then(() => this._writeRegister(feature.pwmReg, id, Pwm.encodeDuty(number, cycle)));
+            };
+
+            // A duty cycle above 0 switches the output on for its interlocks, like set().
+            resolve(this._switchOutput(id, number > 0, write));
+        });
+    }
+
+    /**
+     * Get the output a digital input can switch directly on the board: the DO or RO of its group with the same number.
+     *
+     * @param feature
+     *   The io feature of the digital input.
+     * @returns {{}|undefined}
+     */
+    getDirectSwitchOutput(feature) {
+        for (let id in this.features) {
+            if (this.features.hasOwnProperty(id)) {
+                const output = this.features[id];
+                if ((output.type === 'DO' || output.type === 'RO') && output.group === feature.group &&
+                    output.index === feature.index) {
+                    return output;
+                }
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Get the register and bit of a digital input in one of the bitmask config registers of its definition.
+     *
+     * @param feature
+     *   The io feature of the digital input.
+     * @param {string} key
+     *   e.g. direct_reg, polar_reg or toggle_reg
+     * @returns {{register: number, bit: number}}
+     */
+    getInputConfigBit(feature, key) {
+        return {
+            register: feature.def[key] + Math.floor(feature.position / 16),
+            bit: feature.position % 16
+        };
+    }
+
+    /**
+     * Get the configuration of a digital input as read from the board.
+     *
+     * @param id
+     *   e.g. DI1.2
+     * @returns {{debounce: number, directSwitch: string|boolean, mode: string}}
+     *   Options the board does not support or that have not been read yet are left out.
+     */
+    getInputConfig(id) {
+        this.validate(id);
+        const feature = this.features[id];
+        if (feature.type !== 'DI') {
+            throw new TypeError(`Cannot get the input config of ${id}, it is not a digital input`);
+        }
+
+        const def = feature.def;
+        const isSet = (key) => {
+            const config = this.getInputConfigBit(feature, key);
+            const value = this.registers[config.register];
+            return (value === undefined) ? undefined : ((value >> config.bit) & 1) === 1;
+        };
+        const result = {};
+
+        if (def.deboun_reg !== undefined && this.registers[def.deboun_reg + feature.position] !== undefined) {
+            result.debounce = this.registers[def.deboun_reg + feature.position];
+        }
+        if (def.direct_reg !== undefined && isSet('direct_reg') !== undefined) {
+            const output = this.getDirectSwitchOutput(feature);
+            result.directSwitch = (isSet('direct_reg') && output) ? output.id : false;
+        }
+        if (def.polar_reg !== undefined && def.toggle_reg !== undefined &&
+            isSet('polar_reg') !== undefined && isSet('toggle_reg') !== undefined) {
+            result.mode = isSet('toggle_reg') ? 'Toggle' : isSet('polar_reg') ? 'Inverted' : 'Simple';
+        }
+        return result;
+    }
+
+    /**
+     * Configure a digital input on the board.
+     *
+     * With DirectSwitch the board switches the output with the same number as the input itself, this keeps working
+     * when nothing is polling the board. The mode decides how: Simple follows the input, Inverted follows the inverted
+     * input and Toggle toggles the output on every rising edge.
+     *
+     * @param id
+     *   e.g. DI1.2
+     * @param options.debounce
+     *   The debounce time as stored by the board.
+     * @param options.directSwitch
+     *   The output to switch, e.g. DO1.2, or false to disable DirectSwitch.
+     * @param options.mode
+     *   The DirectSwitch mode, one of the ds_modes of the definition: Simple, Inverted or Toggle.
+     * @returns {Promise}
+     *   Resolves once all options have been read back from the board.
+     */
+    configureInput(id, options) {
+        return new Promise(resolve => {
+            this.validate(id);
+            const feature = this.features[id];
+            const def = feature.def;
+            options = options || {};
+            if (feature.type !== 'DI') {
+                throw new TypeError(`Cannot configure ${id}, it is not a digital input`);
+            }
+
+            // Validate all options against the definition before writing any of them.
+            const writes = [];
+            if (options.debounce !== undefined) {
+                if (def.deboun_reg === undefined) {
+                    throw new TypeError(`Cannot set the debounce of ${id}, the board does not support it`);
+                }
+                const debounce = Number(options.debounce);
+                if (!Number.isInteger(debounce) || debounce < 0 || debounce > 0xFFFF) {
+                    throw new RangeError(`Cannot set the debounce of ${id} to ${options.debounce}, use 0 - 65535`);
+                }
+                writes.push(() => this._writeRegister(def.deboun_reg + feature.position, id, debounce));
+            }
+
+            if (options.directSwitch !== undefined) {
+                if (def.direct_reg === undefined || (def.modes || []).indexOf('DirectSwitch') === -1) {
+                    throw new TypeError(`Cannot set DirectSwitch on ${id}, the board does not support it`);
+                }
+                const output = this.getDirectSwitchOutput(feature);
+                if (options.directSwitch && (!output || output.id !== options.directSwitch)) {
+                    throw new RangeError(`${id} can only switch ${output ? output.id : 'no output'} directly`);
+                }
+                writes.push(() => this._writeBit(this.getInputConfigBit(feature, 'direct_reg'), id, !!options.directSwitch));
+            }
+
+            if (options.mode !== undefined) {
+                const modes = def.ds_modes || [];
+                if (modes.indexOf(options.mode) === -1 || def.polar_reg === undefined || def.toggle_reg === undefined) {
+                    throw new RangeError(`Unknown mode ${options.mode} for ${id}, use one of: ${modes.join(', ')}`);
+                }
+                writes.push(() => this._writeBit(this.getInputConfigBit(feature, 'polar_reg'), id,
+                    options.mode === 'Inverted'));
+                writes.push(() => this._writeBit(this.getInputConfigBit(feature, 'toggle_reg'), id,
+                    options.mode === 'Toggle'));
+            }
+
+            resolve(writes.reduce((promise, write) => promise.then(write), Promise.resolve()));
+        });
+    }
+
+    /**
+     * Set a single bit of a board register, keeping the other bits as read from the board.
+     *
+     * @param {{register: number, bit: number}} config
+     * @param {string} id
+     *   The io the bit belongs to.
+     * @param {boolean} value
+     * @returns {Promise}
+     */
+    _writeBit(config, id, value) {
+        return this._readBack(config.register)
+            .then(() => {
+                const mask = 1 << config.bit;
+                const current = this.registers[config.register];
+                return this._writeRegister(config.register, id, value ? (current | mask) : (current & ~mask));
+            });
+    }
+
+    /**
+     * Get the UART port feature by its number.
+     *
+     * @param n
+     *   The number of the port on the board, starting from 1 in the order of the definition.
+     * @returns {{}}
+     */
+    getUart(n) {
+        const uarts = Object.keys(this.features)
+            .map(id => this.features[id])
+            .filter(feature => feature.type === 'UART');
+        const feature = uarts[n - 1];
+        if (!feature) {
+            throw new RangeError(`Unknown UART port ${n}, board ${this.name} has ${uarts.length} ports`);
+        }
+        return feature;
+    }
+
+    /**
+     * Get the config of a UART port as read from the board.
+     *
+     * @param n
+     *   The number of the port on the board, starting from 1.
+     * @returns {{speed: string, parity: string, stopBits: string}|undefined}
+     *   Undefined as long as the config register has not been read.
+     */
+    getUartConfig(n) {
+        const feature = this.getUart(n);
+        const value = this.registers[feature.reg];
+        if (value === undefined) return undefined;
+        return Uart.decode(value);
+    }
+
+    /**
+     * Configure a UART port.
+     *
+     * @param n
+     *   The number of the port on the board, starting from 1.
+     * @param config
+     *   e.g. {speed: '9600bps', parity: 'Even', stopBits: 'One'}, options that are left out are kept. The values must
+     *   be in the speed_modes, parity_modes and stopb_modes of the definition.
+     * @returns {Promise}
+     *   Resolves once the config has been read back from the board.
+     */
+    setUartConfig(n, config) {
+        return new Promise(resolve => {
+            const feature = this.getUart(n);
+            // Validate the config before reading the current value.
+            Uart.encode(feature, config || {}, 0);
+
+            resolve(this._readBack(feature.reg)
+                .then(() => this._writeRegister(feature.reg, feature.id,
+                    Uart.encode(feature, config || {}, this.registers[feature.reg]))));
+        });
+    }
+
+    /**
+     * Get a DALI light channel feature.
+     *
+     * @param id
+     *   e.g. LIGHT2.1
+     * @returns {{}}
+     */
+    getLightChannel(id) {
+        this.validate(id);
+        const feature = this.features[id];
+        if (feature.type !== 'LIGHT') {
+            throw new TypeError(`${id} is not a DALI light channel`);
+        }
+        return feature;
+    }
+
+    /**
+     * Set the arc power level of DALI ballasts.
+     *
+     * @param id
+     *   The light channel, e.g. LIGHT2.1
+     * @param target
+     *   A short address 0 - 63, a group G0 - G15 or broadcast.
+     * @param level
+     *   The arc power level 0 - 254.
+     * @returns {Promise}
+     *   Resolves once the level has been sent.
+     */
+    setDaliLevel(id, target, level) {
+        return new Promise(resolve => {
+            const feature = this.getLightChannel(id);
+            target = Dali.parseTarget(target);
+            const number = Number(level);
+            if (!Number.isInteger(number) || number < 0 || number > Dali.MAX_LEVEL) {
+                throw new RangeError(`Cannot set ${id} ${target.name} to ${level}, use 0 - ${Dali.MAX_LEVEL}`);
+            }
+
+            resolve(this._daliSend(feature, Dali.encodeAddress(target, false), number)
+                .then(() => this.storeDaliLevel(feature, target, number, Date.now())));
+        });
+    }
+
+    /**
+     * Query the actual arc power level of a DALI ballast.
+     *
+     * @param id
+     *   The light channel, e.g. LIGHT2.1
+     * @param address
+     *   The short address 0 - 63.
+     * @returns {Promise}
+     *   Resolves with the level, undefined when the ballast did not answer.
+     */
+    queryDaliLevel(id, address) {
+        return this._daliQuery(id, address, Dali.COMMANDS.QUERY_ACTUAL_LEVEL)
+            .then(result => {
+                if (result.flags !== Dali.ANSWER) return undefined;
+                this.storeDaliLevel(this.features[id], Dali.parseTarget(address), result.answer, Date.now());
+                return result.answer;
+            });
+    }
+
+    /**
+     * Query the status of a DALI ballast.
+     *
+     * @param id
+     *   The light channel, e.g. LIGHT2.1
+     * @param address
+     *   The short address 0 - 63.
+     * @returns {Promise}
+     *   Resolves with the status bits, e.g. {lampOn: true, lampFailure: false ...}, undefined when the ballast did not
+     *   answer.
+     */
+    queryDaliStatus(id, address) {
+        return this._daliQuery(id, address, Dali.COMMANDS.QUERY_STATUS)
+            .then(result => (result.flags === Dali.ANSWER) ? Dali.decodeStatus(result.answer) : undefined);
+    }
+
+    /**
+     * Scan a DALI bus for ballasts by querying every short address.
+     *
+     * @param id
+     *   The light channel, e.g. LIGHT2.1
+     * @returns {Promise}
+     *   Resolves with the short addresses that answered.
+     */
+    scanDali(id) {
+        const found = [];
+        let promise = Promise.resolve();
+        for (let address = 0; address <= 63; address++) {
+            promise = promise
+                .then(() => this._daliQuery(id, address, Dali.COMMANDS.QUERY_CONTROL_GEAR_PRESENT))
+                .then(result => {
+                    // Colliding answers mean more than one ballast uses the address.
+                    if (result.flags === Dali.ANSWER || result.flags === Dali.FRAMING_ERROR) found.push(address);
+                });
+        }
+        return promise.then(() => found);
+    }
+
+    /**
+     * Store the arc power level of a DALI target, e.g. LIGHT2.1.5 or LIGHT2.1.G3
+     *
+     * @param feature
+     *   The light channel feature.
+     * @param target
+     *   A parsed target.
+     * @param level
+     * @param time
+     */
+    storeDaliLevel(feature, target, level, time) {
+        const id = `${feature.id}.${target.name}`;
+        // Levels are only known once sent or queried, the first one is a change as well.
+        if (this.state[id] !== level) {
+            this.state[id] = level;
+            this.changed[id] = time;
+            this.emit('update', id, level, time);
+        }
+    }
+
+    /**
+     * Send a DALI query to a single ballast.
+     *
+     * @param id
+     *   The light channel, e.g. LIGHT2.1
+     * @param address
+     *   The short address 0 - 63.
+     * @param command
+     * @returns {Promise}
+     *   Resolves with the answer and flags.
+     */
+    _daliQuery(id, address, command) {
+        return new Promise(resolve => {
+            const feature = this.getLightChannel(id);
+            const target = Dali.parseTarget(address);
+            if (target.type !== 'short') {
+                throw new RangeError(`Cannot query ${target.name}, use a short address 0 - 63`);
+            }
+            resolve(this._daliSend(feature, Dali.encodeAddress(target, true), command));
+        });
+    }
+
+    /**
+     * Send a DALI forward frame, one frame at a time per light channel.
+     *
+     * @param feature
+     *   The light channel feature.
+     * @param address
+     *   The address byte.
+     * @param data
+     *   The data byte.
+     * @returns {Promise}
+     *   Resolves with the answer and flags of the receive registers once the transaction finished.
+     */
+    _daliSend(feature, address, data) {
+        const previous = (this.daliQueues[feature.id] || Promise.resolve()).catch(() => undefined);
+        const transaction = previous.then(() => {
+            let counter;
+            return this.client.readHoldingRegisters(feature.statusReg, 1)
+                .then(status => {
+                    if (status.data[0] & (1 << feature.position)) {
+                        throw new NeuronError(`No DALI bus power on ${feature.id} of board ${this.name}`,
+                            {board: this.name, id: feature.id, register: feature.statusReg});
+                    }
+                    return this.client.readHoldingRegisters(feature.reg, 3);
+                })
+                .then(receive => {
+                    counter = receive.data[2];
+                    log(`Send DALI frame ${address}:${data} on ${feature.id} of board ${this.name}`);
+                    return this.client.writeRegisters(feature.writeReg, [address, data]);
+                })
+                .then(() => this._daliReceive(feature, counter, Date.now() + DALI_TIMEOUT));
+        });
+        this.daliQueues[feature.id] = transaction;
+        return transaction;
+    }
+
+    /**
+     * Wait for the transaction counter of a light channel to change and read the answer.
+     *
+     * @param feature
+     *   The light channel feature.
+     * @param counter
+     *   The transaction counter before the frame was sent.
+     * @param deadline
+     * @returns {Promise}
+     */
+    _daliReceive(feature, counter, deadline) {
+        return new Promise(resolve => setTimeout(resolve, DALI_POLL_INTERVAL))
+            .then(() => this.client.readHoldingRegisters(feature.reg, 3))
+            .then(receive => {
+                if (receive.data[2] !== counter) {
+                    return {answer: receive.data[0], flags: receive.data[1]};
+                }
+                if (Date.now() > deadline) {
+                    throw new TimeoutError(`DALI transaction on ${feature.id} of board ${this.name} did not finish`,
+                        {board: this.name, id: feature.id, register: feature.reg});
+                }
+                return this._daliReceive(feature, counter, deadline);
+            });
+    }
+
+    /**
+     * Get the watchdog of the board as read from the board.
+     *
+     * @param id
+     *   e.g. WD1.1
+     * @returns {{enabled: boolean, timeout: number, wasReset: boolean}|undefined}
+     *   The timeout is in milliseconds, undefined as long as the watchdog registers have not been read.
+     */
+    getWatchdog(id) {
+        this.validate(id);
+        const feature = this.features[id];
+        if (feature.type !== 'WD') {
+            throw new TypeError(`${id} is not a watchdog`);
+        }
+
+        const value = this.registers[feature.reg];
+        const timeout = this.registers[feature.def.timeout_reg + feature.position];
+        if (value === undefined || timeout === undefined) return undefined;
+        return {
+            enabled: (value & WATCHDOG_ENABLED) !== 0,
+            timeout: timeout,
+            wasReset: (value & WATCHDOG_RESET) !== 0
+        };
+    }
+
+    /**
+     * Configure the watchdog of the board.
+     *
+     * An enabled watchdog puts the outputs back in their default state when the board does not get any request within
+     * its timeout. It is kept alive from the polling loop, unless keepAlive is disabled in the board config.
+     *
+     * @param id
+     *   e.g. WD1.1
+     * @param options.enabled
+     *   Enable or disable the watchdog.
+     * @param options.timeout
+     *   The timeout in milliseconds.
+     * @param options.nvSave
+     *   Save the watchdog settings to the non-volatile memory of the board, so they survive a power cycle.
+     * @returns {Promise}
+     *   Resolves once all options have been read back from the board.
+     */
+    setWatchdog(id, options) {
+        return new Promise(resolve => {
+            this.validate(id);
+            const feature = this.features[id];
+            const def = feature.def;
+            options = options || {};
+            if (feature.type !== 'WD') {
+                throw new TypeError(`${id} is not a watchdog`);
+            }
+
+            // Validate all options before writing any of them.
+            const writes = [];
+            if (options.timeout !== undefined) {
+                const timeout = Number(options.timeout);
+                if (!Number.isInteger(timeout) || timeout < 1 || timeout > 0xFFFF) {
+                    throw new RangeError(`Cannot set the timeout of ${id} to ${options.timeout}, use 1 - 65535 ms`);
+                }
+                writes.push(() => this._writeRegister(def.timeout_reg + feature.position, id, timeout));
+            }
+            if (options.enabled !== undefined) {
+                writes.push(() => this._writeBit({register: feature.reg, bit: 0}, id, !!options.enabled));
+            }
+            if (options.nvSave) {
+                if (def.nv_sav_coil === undefined) {
+                    throw new TypeError(`Cannot save the settings of ${id}, the board does not support it`);
+                }
+                // Saving is a command, there is nothing to read back.
+                writes.push(() => this.client.writeCoil(def.nv_sav_coil, true));
+            }
+
+            resolve(writes.reduce((promise, write) => promise.then(write), Promise.resolve()).then(() => undefined));
+        });
+    }
+
+    /**
+     * Reset the watchdog of the board through its reset coil.
+     *
+     * @param id
+     *   e.g. WD1.1
+     * @returns {Promise}
+     */
+    resetWatchdog(id) {
+        return new Promise(resolve => {
+            this.validate(id);
+            const feature = this.features[id];
+            if (feature.type !== 'WD' || feature.def.reset_coil === undefined) {
+                throw new TypeError(`Cannot reset ${id}`);
+            }
+            resolve(this.client.writeCoil(feature.def.reset_coil, true).then(() => undefined));
+        });
+    }
+
+    /**
+     * Keep the enabled watchdogs alive by rewriting their value register, at least twice per timeout.
+     *
+     * @param time
+     *   The time of the current polling cycle.
+     * @returns {Promise}
+     */
+    keepWatchdogsAlive(time) {
+        if (!this.keepAlive) return Promise.resolve();
+
+        return Object.keys(this.features)
+            .filter(id => this.features[id].type === 'WD')
+            .reduce((promise, id) => promise.then(() => {
+                const watchdog = this.getWatchdog(id);
+                if (!watchdog || !watchdog.enabled || time - (this.keptAlive[id] || 0) < watchdog.timeout / 2) return;
+
+                const feature = this.features[id];
+                this.keptAlive[id] = time;
+                return this.client.writeRegister(feature.reg, this.registers[feature.reg])
+                    .catch(err => {
+                        this.handleError(fromModbus(err, `keep ${id} alive`, {board: this.name, id: id, register: feature.reg}));
+                    });
+            }), Promise.resolve());
+    }
+
+    /**
+     * Actual write to a board register.
+     *
+     * @param {number} registerId
+     * @param {string} id
+     *   The io the register belongs to.
+     * @param {number} value
+     * @returns {Promise}
+     * @memberof Board
+     */
+    _writeRegister(registerId, id, value) {
+        return this._writeVerified(
+            () => this.client.writeRegister(registerId, value)
+                .catch(err => {
+                    this.handleError(fromModbus(err, `write ${value} to register ${registerId} of ${id}`,
+                        {board: this.name, id: id, register: registerId, value: value}));
+                }),
+            () => this._readBack(registerId)
+                .then(() => this.registers[registerId] == value),
+            {board: this.name, id: id, register: registerId, value: value}
+        );
+    }
+
+    /**
+     * Actual write to consecutive board registers.
+     *
+     * @param {number} registerId
+     *   The first register.
+     * @param {string} id
+     *   The io the registers belong to.
+     * @param {number[]} values
+     * @returns {Promise}
+     */
+    _writeRegisters(registerId, id, values) {
+        return this._writeVerified(
+            () => this.client.writeRegisters(registerId, values)
+                .catch(err => {
+                    this.handleError(fromModbus(err, `write ${values} to registers ${registerId} of ${id}`,
+                        {board: this.name, id: id, register: registerId, value: values}));
+                }),
+            () => this._readBack(registerId, values.length)
+                .then(() => values.every((value, i) => this.registers[registerId + i] === value)),
+            {board: this.name, id: id, register: registerId, value: values}
+        );
+    }
+
+    /**
+     * Actual write to the board DOs, ROs and LEDs.
+     * 
+     * @param {any} coilId 
+     * @param {string} id
+     * @param {any} value 
+     * @returns {Promise}
+     * @memberof Board
+     */
+    _writeCoil(coilId, id, value) {
+        return this._writeVerified(
+            () => this.client.writeCoil(coilId, value)
+                .catch(err => {
+                    this.handleError(fromModbus(err, `write ${value} to coil ${coilId} of ${id}`,
+                        {board: this.name, id: id, coil: coilId, value: value}));
+                }),
+            () => this._readBack(this.features[id].reg)
+                .then(() => this.getState(id) === (value ? 1 : 0)),
+            {board: this.name, id: id, coil: coilId, value: value}
+        );
+    }
+
+    /**
+     * Write and verify the written value, retrying the write when it does not match.
+     *
+     * Writing can sometimes fail, especially on boards connected over a (bad) UART connection. Validating the write
+     * and retrying the write after a small delay mitigates the problem.
+     *
+     * @param {Function} write
+     *   Writes the value, returns a Promise.
+     * @param {Function} verify
+     *   Reads the value back, returns a Promise resolving to true when it matches. Receives the result of the write.
+     * @param {{}} details
+     *   The board, io, register or coil and value, added to the error.
+     * @param {int} retries
+     *   Used internally to check how many retries have been tried.
+     * @returns {Promise}
+     */
+    _writeVerified(write, verify, details, retries = 0) {
+        return write()
+            .then(result => new Promise(resolve => setTimeout(() => resolve(result), 100 * (retries + 1))))
+            .then(result => verify(result))
+            .catch(err => {
+                this.handleError(fromModbus(err, `verify the write of ${details.id}`, details));
+                return false;
+            })
+            .then(verified => {
+                if (verified) return;
+                if (retries >= 5 || this.closed) {
+                    const err = new WriteVerifyError(`Cannot write ${details.value} to ${details.id} on board ${this.name}`,
+                        Object.assign({retries: retries}, details));
+                    if (!this.closed) this.handleError(err);
+                    throw err;
+                }
+                log(`Retry (${retries + 1}) writing ${details.value} to ${details.id} on board ${this.name}`);
+                return this._writeVerified(write, verify, details, retries + 1);
+            });
+    }
+
+    /**
+     * Read registers and decode the ios they hold.
+     *
+     * @param {number} register
+     *   The first register.
+     * @param {number} count
+     *   The number of registers, defaults to 1.
+     * @returns {Promise}
+     */
+    _readBack(register, count = 1) {
+        const within = (reg) => reg >= register && reg < register + count;
+        return this.client.readHoldingRegisters(register, count)
+            .then(data => {
+                const time = Date.now();
+                for (let i = 0; i < count; i++) {
+                    this.registers[register + i] = data.data[i];
+                }
+                for (let id in this.features) {
+                    if (this.features.hasOwnProperty(id) &&
+                        (within(this.features[id].reg) || within(this.features[id].pwmReg))) {
+                        this.decode(this.features[id], time);
+                    }
+                }
+            });
+    }
+
+    /**
+     * Convert the given decimal value to a 16bit binary string.
+     *
+     * @param dec
+     * @returns {string}
+     */
+    dec2bin(dec) {
+        // Convert decimal string to binary.
+        let bin = parseInt(dec, 10).toString(2);
+        // Pad to a 16bit binary number.
+        return ('0000000000000000' + bin.toString()).slice(-16);
+    }
+
+    /**
+     * Convert and store the given register value in the data variable for DI/DO/RO/LED.
+     *
+     * @param feature
+     *   The io feature from the io map.
+     * @param value
+     *   The register value holding the io bit.
+     * @param time
+     *   The time at which the register was read.
+     */
+    storeDigitalState(feature, value, time) {
+        const bin = this.dec2bin(value);
+
+        // Convert to an array and reverse the values (first bit -> first value)
+        const arr = bin.split('').reverse();
+
+        const id = feature.id;
+        const bit = parseInt(arr[feature.bit]);
+        const currentValue = this.state[id];
+        if (currentValue !== bit) {
+            this.state[id] = bit;
+            this.changed[id] = time;
+            // The first read of an output that is off is no switch off.
+            if (feature.coil !== undefined && (bit === 1 || currentValue !== undefined)) this.trackOutput(id, bit, time);
+            if (currentValue !== undefined) {
+                this.emit('update', id, bit.toString(), time);
+                if (feature.type === 'DI') this.gestures.change(id, bit, time);
+            }
+        }
+    }
+
+    /**
+     * Store the given value in the data variable for WD/REG and DOs in PWM mode.
+     *
+     * @param feature
+     *   The io feature from the io map.
+     * @param value
+     *   The register value.
+     * @param time
+     *   The time at which the register was read.
+     */
+    storeRegisterState(feature, value, time) {
+        const id = feature.id;
+        const currentValue = this.state[id];
+        if (currentValue !== value) {
+            this.state[id] = value;
+            this.changed[id] = time;
+            if (currentValue !== undefined) {
+                this.emit('update', id, value, time);
+            }
+        }
+    }
+
+    /**
+     * Decode and store the analogue data in the data variable for AI/AO.
+     *
+     * The value is decoded according to the tolerances of the io and only stored once the mode and calibration
+     * registers it depends on have been read.
+     * 
+     * @param {any} feature 
+     *   The io feature from the io map.
+     * @param {number} time
+     *   The time at which the register was read.
+     * @memberof Board
+     */
+    storeAnalogueState(feature, time) {
+        const id = feature.id;
+        const analog = Analog.decode(feature, this.registers);
+        if (analog === undefined) return;
+
+        this.analog[id] = analog;
+        const currentValue = this.state[id];
+        if (currentValue !== analog.value) {
+            this.state[id] = analog.value;
+            this.changed[id] = time;
+            // The first value is an update too once the board is ready, e.g. after switching the io to another mode.
+            if (currentValue !== undefined || this.isReady) {
+                this.emit('update', id, analog.value, time);
+            }
+        }
+    }
+
+    /**
+     * Store the counter of a DI from the registers read from the board and update its pulse rate.
+     *
+     * @param feature
+     *   The io feature from the io map.
+     * @param time
+     *   The time at which the registers were read.
+     */
+    storeCounter(feature, time) {
+        const low = this.registers[feature.counterReg];
+        const high = this.registers[feature.counterReg + 1];
+        if (low === undefined || high === undefined) return;
+
+        // Counters are 32 bit values stored over two words, low word first.
+        const id = feature.id;
+        const value = low + high * 0x10000;
+        const currentValue = this.counter[id];
+        this.counter[id] = value;
+
+        const rate = this.rates[id];
+        if (currentValue === undefined || !rate) {
+            this.rates[id] = {start: time, time: time, total: 0, samples: [{time: time, total: 0}]};
+            return;
+        }
+
+        if (value !== currentValue) {
+            let delta = (value - currentValue + COUNTER_WRAP) % COUNTER_WRAP;
+            if (rate.reset && value < currentValue) delta = value;
+            rate.reset = false;
+            rate.total += delta;
+            rate.samples.push({time: time, total: rate.total});
+            this.emit('counter', id, value, time, delta);
+        }
+
+        // Keep the last change before the window as the start of the rate.
+        rate.time = time;
+        while (rate.samples.length > 1 && rate.samples[1].time <= time - this.rateWindow) {
+            rate.samples.shift();
+        }
+    }
+
+    /**
+     * Convert and store the io value from the registers read from the board.
+     *
+     * @param feature
+     *   The io feature from the io map.
+     * @param time
+     *   The time at which the registers were read.
+     */
+    decode(feature, time) {
+        const value = this.registers[feature.reg];
+        if (value === undefined) return;
+
+        switch (feature.type) {
+            case 'DO':
+                // Digital outputs in PWM mode report their duty cycle.
+                if (this.getMode(feature.id) === 'PWM') {
+                    const duty = Pwm.getDuty(feature, this.registers);
+                    if (duty !== undefined) {
+                        const previous = this.state[feature.id];
+                        this.storeRegisterState(feature, duty, time);
+                        // The output is on for its interlocks and maximum on time while its duty cycle is above 0.
+                        if ((duty > 0) !== (previous > 0)) this.trackOutput(feature.id, (duty > 0) ? 1 : 0, time);
+                        break;
+                    }
+                }
+                this.storeDigitalState(feature, value, time);
+                break;
+
+            case 'DI':
+            case 'RO':
+            case 'LED':
+                this.storeDigitalState(feature, value, time);
+                break;
+
+            case 'LIGHT':
+                // Light channels are read by their DALI transactions.
+                break;
+
+            case 'WD':
+                // Report a watchdog reset once, when the board raises its flag.
+                if ((value & WATCHDOG_RESET) && !(this.getState(feature.id) & WATCHDOG_RESET)) {
+                    warn(`Watchdog ${feature.id} reset board ${this.name}`);
+                    this.emit('watchdog', feature.id, time);
+                }
+                this.storeRegisterState(feature, value, time);
+                break;
+
+            case 'AI':
+            case 'AO':
+                this.storeAnalogueState(feature, time);
+                break;
+
+            case 'REG':
+                // Registers with a data type are decoded from all their words.
+                if (feature.format) {
+                    const words = [];
+                    for (let i = 0; i < feature.size; i++) words.push(this.registers[feature.reg + i]);
+                    const decoded = Registers.decode(feature.format, words);
+                    if (decoded !== undefined) this.storeRegisterState(feature, decoded, time);
+                    break;
+                }
+                this.storeRegisterState(feature, value, time);
+                break;
+
+            default:
+                this.storeRegisterState(feature, value, time);
+        }
+    }
+
+    /**
+     * Run a single polling cycle: read the register blocks that are due one after the other.
+     *
+     * A cycle is skipped when the previous one is still running, so a slow bus is never flooded with requests.
+     */
+    updateState() {
+        if (this.polling) {
+            this.overruns++;
+            return;
+        }
+        if (!this.client.isOpen) {
+            this.disconnect(new NeuronError(`Connection to board ${this.name} closed`, {board: this.name}));
+            return;
+        }
+
+        const cycle = this.cycle++;
+        const blocks = this.blocks.filter(block => cycle % block.frequency === 0);
+
+        this.polling = true;
+        blocks.reduce((promise, block) => promise.then(read => this.readBlock(block).then(success => read || success)), Promise.resolve(false))
+            .then(read => {
+                // A hanging process stops the polling loop and with it the keep alive of the watchdogs.
+                if (!read) return read;
+                return this.keepWatchdogsAlive(Date.now()).then(() => read);
+            })
+            .then(read => {
+                this.polling = false;
+
+                // Reconnect when the board stopped answering for a few cycles.
+                if (blocks.length > 0 && !read) {
+                    this.failedCycles++;
+                    if (this.failedCycles >= MAX_FAILED_CYCLES) {
+                        this.disconnect(new TimeoutError(`No answer from board ${this.name}`, {board: this.name}));
+                    }
+                    return;
+                }
+                this.failedCycles = 0;
+
+                // The board is ready once every block has been read and every io has a value.
+                if (!this.isReady && this.blocks.every(block => block.stats.reads > 0) && this.hasValues()) {
+                    this.isReady = true;
+                    this.resolveReady();
+                }
+            });
+    }
+
+    /**
+     * Whether every io of the board has a value.
+     *
+     * @returns {boolean}
+     */
+    hasValues() {
+        return Object.keys(this.features).every(id => {
+            // Light channels are read by their DALI transactions.
+            return this.features[id].type === 'LIGHT' || this.state[id] !== undefined;
+        });
+    }
+
+    /**
+     * Wait until every io of the board has been read.
+     *
+     * @returns {Promise}
+     *   Rejects with a TimeoutError when the board is not ready within the readyTimeout, e.g. when it cannot be
+     *   reached, and with a NeuronError when the board is closed before it was ready.
+     */
+    ready() {
+        const ready = this.oneWire ?
+            Promise.all([this.readyPromise, this.oneWire.ready()]).then(() => undefined) :
+            this.readyPromise;
+
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                reject(new TimeoutError(`Board ${this.name} was not ready within ${this.readyTimeout} ms`, {board: this.name}));
+            }, this.readyTimeout);
+            ready.then(resolve, reject).then(() => clearTimeout(timeoutId));
+        });
+    }
+
+    /**
+     * Stop polling and close the connection to the board.
+     *
+     * @returns {Promise}
+     *   Resolves once the connection is closed.
+     */
+    close() {
+        if (this.closing) return this.closing;
+        Object.keys(this.outputTimers).forEach(id => this.cancelTimer(id));
+        // Leave the outputs in their failsafe state.
+        const failsafe = (this.status.connected && !this.closed) ? this.applyFailsafe() : Promise.resolve();
+        this.closing = failsafe.then(() => this._close());
+        return this.closing;
+    }
+
+    /**
+     * Stop polling and close the connection to the board, without setting the failsafe values.
+     *
+     * @returns {Promise}
+     */
+    _close() {
+        this.closed = true;
+        if (!this.isReady) {
+            this.rejectReady(new NeuronError(`Board ${this.name} was closed before it was ready`, {board: this.name}));
+        }
+        clearInterval(this.updateStateLoopId);
+        Object.keys(this.onTimers).forEach(id => clearTimeout(this.onTimers[id]));
+        this.onTimers = {};
+        if (this.oneWire) this.oneWire.close();
+        this.gestures.close();
+        clearTimeout(this.reconnectTimeoutId);
+        if (this.status.connected) {
+            this.status.connected = false;
+            this.emit('disconnected', new NeuronError(`Closed board ${this.name}`, {board: this.name}));
+        }
+
+        const closed = new Promise(resolve => {
+            if (!this.client.isOpen) return resolve();
+            this.client.close(() => resolve());
+        });
+        if (!this.simulator) return closed;
+        return closed.then(() => this.simulator.close());
+    }
+
+    /**
+     * Read a register block and decode the ios and counters it holds.
+     *
+     * @param block
+     *   A block from the blocks variable.
+     * @returns {Promise}
+     *   Resolves with true once the block has been read, with false when the read failed.
+     */
+    readBlock(block) {
+        const start = process.hrtime();
+        return this.client.readHoldingRegisters(block.start, block.count)
+            .then(data => {
+                const time = Date.now();
+                const elapsed = process.hrtime(start);
+                const duration = elapsed[0] * 1000 + elapsed[1] / 1e6;
+
+                block.stats.reads++;
+                block.stats.duration = duration;
+                block.stats.average += (duration - block.stats.average) / Math.min(block.stats.reads, 100);
+                block.stats.lastRead = time;
+                this.status.lastSeen = time;
+
+                for (let i = 0; i < block.count; i++) {
+                    this.registers[block.start + i] = data.data[i];
+                }
+                return time;
+            }, err => {
+                // Reads pending while the board is closed fail, that is no error.
+                if (this.closed) return undefined;
+                block.stats.errors++;
+                this.handleError(fromModbus(err, `read ${block.count} registers from ${block.start}`,
+                    {board: this.name, register: block.start, count: block.count}));
+                return undefined;
+            })
+            .then(time => {
+                if (time === undefined) return false;
+                // Decoding emits the update and counter events, errors of their listeners are no failed read.
+                try {
+                    block.features.forEach(feature => this.decode(feature, time));
+                    block.counters.forEach(feature => this.storeCounter(feature, time));
+                } catch (err) {
+                    this.handleError(err);
+                }
+                return true;
+            });
+    }
+
+    /**
+     * Get the timing of the polled register blocks.
+     *
+     * The load is the share of the bus time used by this board: the average read time of each block divided by the
+     * time between two reads of that block. Anything close to or above 1 means the interval is too short.
+     *
+     * @returns {{}}
+     */
+    getPollingStats() {
+        let load = 0;
+        const blocks = this.blocks.map(block => {
+            load += block.stats.average / (block.frequency * this.interval);
+            return {
+                start: block.start,
+                count: block.count,
+                frequency: block.frequency,
+                reads: block.stats.reads,
+                errors: block.stats.errors,
+                duration: block.stats.duration,
+                average: block.stats.average,
+                lastRead: block.stats.lastRead
+            };
+        });
+
+        return {
+            interval: this.interval,
+            cycles: this.cycle,
+            overruns: this.overruns,
+            load: load,
+            blocks: blocks
+        };
+    }
+
     static getNeuronProperties() {
         return Neuron.getNeuronProperties();
     }
@@ -3,6 +3,13 @@
 const EventEmitter = require("events").EventEmitter;
 const Board = require("./Board");
 const Neuron = require('./Neuron');
+const Config = require('./Config');
+const Gestures = require('./Gestures');
+const ConfigError = require('./Errors').ConfigError;
+const UnknownIdError = require('./Errors').UnknownIdError;
+const emitError = require('./Errors').emitError;
+const RtuConnection = require('./RtuConnection');
+const TcpConnection = require('./TcpConnection');
 
 const debug = require('debug');
 const info = debug('unipi-boards:boards:info');
@@ -10,6 +17,15 @@ const warn = debug('unipi-boards:boards:warn');
 const log = debug('unipi-boards:boards:log');
 const error = debug('unipi-boards:boards:error');
 
+/**
+ * Create the error for an id of a board that has not been initiated.
+ *
+ * @param id
+ *   An id object with a board name and io id.
+ * @returns {UnknownIdError}
+ */
+const unknownBoard = (id) => new UnknownIdError(`Unknown board ${id.board}`, {board: id.board, id: id.id});
+
 /**
  * The board managers initiates boards based on the given config.
  * 
@@ -24,13 +40,28 @@ class BoardManager extends EventEmitter {
      * @param {[{}]} config
      *   Each object should contain these properties:
      *     - name: 'local' (Defaults to local, but should be something different if there is more than one board)
-     *     - type: 'tcp' or 'rtu'
+     *     - type: 'tcp', 'rtu' or 'simulator'
      *     - ip: '127.0.0.1' (if type is tcp)
-     *     - port: '502' (if type is tcp)
+     *     - port: '502' (if type is tcp, a free port is picked for a simulator)
      *     - socket: '/dev/extcomm/0/0' (if type is socket)
      *     - id: 15 (if type is socket)
+     *     - baudRate: 19200 (if type is rtu)
+     *     - model: 'L203' (The board model used to load the hardware definition, read from the EEPROM for local boards)
+     *     - definition: '/etc/hw_definitions/meter.yaml' (The hardware definition file of a custom Modbus device)
+     *     - registers: {500: {type: 'float32', wordOrder: 'big', scale: 1}} (The data types of registers by address)
      *     - groups: 3 (Normally 1 for S type and extension boards, 2 for M type boards and 3 for L type boards)
      *     - interval: 100 (The interval in milliseconds at which to update the board values)
+     *     - timeout: 1000 (The time in milliseconds to wait for an answer of the board)
+     *     - readyTimeout: 10000 (The time in milliseconds to wait for every io of the board to be read)
+     *     - rateWindow: 60000 (The time in milliseconds over which the pulse rates of the counters are averaged)
+     *     - keepAlive: true (Keep enabled watchdogs alive from the polling loop)
+     *     - oneWire: {root: '/sys/bus/w1/devices', interval: 10000} (Read the 1-Wire sensors, true for the defaults)
+     *     - interlocks: [{outputs: ['RO2.1', 'RO2.2'], deadTime: 500}] (Mutually exclusive outputs, with the time in milliseconds between switches)
+     *     - failsafe: {'RO2.1': false, 'AO1.1': 0} (Output values set when the connection is restored and on close)
+     *     - maxOnTime: {'RO2.3': 60000} (The time in milliseconds after which outputs are switched off again)
+     *     - gestures: {'DI1.1': {longPress: 1000, doubleClick: 300, repeat: 500}} (Decode pushbutton presses, true for the defaults)
+     * @throws {ConfigError}
+     *   When a board config doesn't match the config schema or two boards have the same name.
      */
     constructor(config) {
         super();
@@ -40,23 +71,40 @@ class BoardManager extends EventEmitter {
             config = [{}];
         }
 
+        // Validate all boards before connecting to any of them.
+        config = Config.validate(config);
         for (let i = 0; i < config.length; i++) {
             this.init(config[i]);
         }
     }
 
+    /**
+     * Create a board manager from a config file.
+     *
+     * @param file
+     *   A .json, .yaml or .yml file holding the config array, properties can be overridden from environment variables
+     *   (see Config.applyEnv).
+     * @returns {BoardManager}
+     * @throws {ConfigError}
+     */
+    static fromFile(file) {
+        // The constructor validates the configs.
+        return new BoardManager(Config.read(file));
+    }
+
     /**
      * Initiates a single board
      *
      * @param {{}} config
-     *   A single object from the constructor config array.
+     *   A single object from the constructor config array, validated with Config.validate.
      */
     init(config) {
-        config.interval = config.interval || 10;
-        config.id = config.id || 0;
-        if (config.id === 0) config.name = config.name || 'local';
-        else config.name = config.name || config.id.toString();
-        config.type = config.type || 'tcp';
+        if (this.boards[config.name]) {
+            throw new ConfigError(`Invalid board "${config.name}": name is already used`, {
+                board: config.name,
+                property: 'name'
+            });
+        }
 
         let name = config.name;
         let id = config.id;
@@ -65,8 +113,41 @@ class BoardManager extends EventEmitter {
         let board = new Board(config);
 
         // Forward the board update event.
-        board.on('update', (id, value) => {
-            this.emit('update', name + '-' + id, value);
+        board.on('update', (id, value, time) => {
+            this.emit('update', name + '-' + id, value, time);
+        });
+
+        // Forward the board counter event.
+        board.on('counter', (id, value, time, delta) => {
+            this.emit('counter', name + '-' + id, value, time, delta);
+        });
+
+        // Forward the board watchdog event.
+        board.on('watchdog', (id, time) => {
+            this.emit('watchdog', name + '-' + id, time);
+        });
+
+        // Forward the board maximum on time event.
+        board.on('maxOnTime', (id, time) => {
+            this.emit('maxOnTime', name + '-' + id, time);
+        });
+
+        // Forward the board gesture events.
+        Gestures.EVENTS.forEach(event => {
+            board.on(event, (id, ...args) => {
+                this.emit(event, name + '-' + id, ...args);
+            });
+        });
+
+        // Forward the board connection events.
+        board.on('connected', () => {
+            this.emit('connected', name);
+        });
+        board.on('disconnected', (err) => {
+            this.emit('disconnected', name, err);
+        });
+        board.on('error', (err) => {
+            emitError(this, err, name);
         });
 
         // Add the board to the boards variable for later reference.
@@ -76,15 +157,17 @@ class BoardManager extends EventEmitter {
     /**
      * Convert a given string id to an id object with a board name and io id.
      *
+     * Only the first dash separates the board name, io ids can contain dashes (e.g. local-1W.28-0316a2795eff).
+     *
      * @param id
      *   e.g. local-DO1.1
      * @returns {{}}
      */
     id(id) {
         let result = {};
-        let arr = id.split('-');
-        result.board = arr[0];
-        result.id = arr[1];
+        let index = id.indexOf('-');
+        result.board = (index === -1) ? id : id.slice(0, index);
+        result.id = (index === -1) ? undefined : id.slice(index + 1);
         return result;
     }
 
@@ -92,12 +175,339 @@ class BoardManager extends EventEmitter {
      * Set an io to the given value
      *
      * @param id
-     *   e.g. local-DO1.1
-     * @param {boolean} value
+     *   e.g. local-DO1.1, local-RO2.1, local-LED1.1, local-AO1.1 or local-REG1.1000
+     * @param {boolean|number} value
+     *   On or off for digital outputs, a value in the unit of the active mode for analog outputs.
+     * @returns {Promise}
+     *   Resolves once the value has been read back from the board, rejects with a WriteVerifyError when it could not
+     *   be verified after all retries.
      */
     set(id, value) {
         id = this.id(id);
-        this.boards[id.board].set(id.id, value);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].set(id.id, value);
+    }
+
+    /**
+     * Switch a digital output on for a time and off again, e.g. to open a door strike.
+     *
+     * A newer command for the output (set, pulse, setFor, blink or toggle) cancels a running pulse.
+     *
+     * @param id
+     *   e.g. local-DO1.1, local-RO2.1 or local-LED1.1
+     * @param {number} time
+     *   The time in milliseconds.
+     * @returns {Promise}
+     *   Resolves once the output is off again or a newer command replaced the pulse.
+     */
+    pulse(id, time) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].pulse(id.id, time);
+    }
+
+    /**
+     * Switch a digital output to a value for a time and back to the opposite value.
+     *
+     * @param id
+     *   e.g. local-RO2.1
+     * @param {boolean} value
+     * @param {number} time
+     *   The time in milliseconds.
+     * @returns {Promise}
+     *   Resolves once the output is switched back or a newer command replaced it.
+     */
+    setFor(id, value, time) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].setFor(id.id, value, time);
+    }
+
+    /**
+     * Blink a digital output, it is off once done.
+     *
+     * @param id
+     *   e.g. local-LED1.1
+     * @param {number} onTime
+     *   The time in milliseconds to keep the output on.
+     * @param {number} offTime
+     *   The time in milliseconds to keep the output off between blinks.
+     * @param {number} count
+     *   The number of blinks, blinks until a newer command for the output when left out.
+     * @returns {Promise}
+     *   Resolves once the last blink is done or a newer command replaced the blinking.
+     */
+    blink(id, onTime, offTime, count) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].blink(id.id, onTime, offTime, count);
+    }
+
+    /**
+     * Switch a digital output to the opposite of its state.
+     *
+     * @param id
+     *   e.g. local-DO1.1
+     * @returns {Promise}
+     *   Resolves once the value has been read back from the board.
+     */
+    toggle(id) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].toggle(id.id);
+    }
+
+    /**
+     * Switch an analog io or a digital output to another mode.
+     *
+     * @param id
+     *   e.g. local-AO1.1
+     * @param {string} mode
+     *   e.g. Voltage, Current or Resistance, Simple to end the PWM mode of a digital output
+     * @returns {Promise}
+     */
+    setMode(id, mode) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].setMode(id.id, mode);
+    }
+
+    /**
+     * Switch a digital output to PWM mode.
+     *
+     * @param id
+     *   e.g. local-DO1.1
+     * @param {number} duty
+     *   The duty cycle in %.
+     * @param {number} frequency
+     *   The frequency in Hz, shared by all digital outputs of the board.
+     * @returns {Promise}
+     */
+    setPwm(id, duty, frequency) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].setPwm(id.id, duty, frequency);
+    }
+
+    /**
+     * Get the PWM duty cycle and frequency of a digital output.
+     *
+     * @param id
+     *   e.g. local-DO1.1
+     */
+    getPwm(id) {
+        id = this.id(id);
+        if (!this.boards[id.board]) throw unknownBoard(id);
+        return this.boards[id.board].getPwm(id.id);
+    }
+
+    /**
+     * Configure a UART port of a board.
+     *
+     * @param board
+     *   The board name, e.g. local
+     * @param {number} n
+     *   The number of the port on the board, starting from 1.
+     * @param {{speed?: string, parity?: string, stopBits?: string}} config
+     *   e.g. {speed: '9600bps', parity: 'Even', stopBits: 'One'}
+     * @returns {Promise}
+     */
+    setUartConfig(board, n, config) {
+        if (!this.boards[board]) {
+            return Promise.reject(unknownBoard({board: board}));
+        }
+        return this.boards[board].setUartConfig(n, config);
+    }
+
+    /**
+     * Get the config of a UART port of a board as read from the board.
+     *
+     * @param board
+     *   The board name, e.g. local
+     * @param {number} n
+     *   The number of the port on the board, starting from 1.
+     */
+    getUartConfig(board, n) {
+        if (!this.boards[board]) throw unknownBoard({board: board});
+        return this.boards[board].getUartConfig(n);
+    }
+
+    /**
+     * Set the arc power level of DALI ballasts.
+     *
+     * @param id
+     *   The light channel, e.g. local-LIGHT2.1
+     * @param target
+     *   A short address 0 - 63, a group G0 - G15 or broadcast.
+     * @param {number} level
+     *   The arc power level 0 - 254.
+     * @returns {Promise}
+     */
+    setDaliLevel(id, target, level) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].setDaliLevel(id.id, target, level);
+    }
+
+    /**
+     * Query the actual arc power level of a DALI ballast.
+     *
+     * @param id
+     *   The light channel, e.g. local-LIGHT2.1
+     * @param {number} address
+     *   The short address 0 - 63.
+     * @returns {Promise}
+     */
+    queryDaliLevel(id, address) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].queryDaliLevel(id.id, address);
+    }
+
+    /**
+     * Query the status of a DALI ballast.
+     *
+     * @param id
+     *   The light channel, e.g. local-LIGHT2.1
+     * @param {number} address
+     *   The short address 0 - 63.
+     * @returns {Promise}
+     */
+    queryDaliStatus(id, address) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].queryDaliStatus(id.id, address);
+    }
+
+    /**
+     * Scan a DALI bus for ballasts.
+     *
+     * @param id
+     *   The light channel, e.g. local-LIGHT2.1
+     * @returns {Promise}
+     */
+    scanDali(id) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].scanDali(id.id);
+    }
+
+    /**
+     * Configure the watchdog of a board.
+     *
+     * @param id
+     *   e.g. local-WD1.1
+     * @param {{enabled?: boolean, timeout?: number, nvSave?: boolean}} options
+     * @returns {Promise}
+     */
+    setWatchdog(id, options) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].setWatchdog(id.id, options);
+    }
+
+    /**
+     * Get the watchdog of a board as read from the board.
+     *
+     * @param id
+     *   e.g. local-WD1.1
+     */
+    getWatchdog(id) {
+        id = this.id(id);
+        if (!this.boards[id.board]) throw unknownBoard(id);
+        return this.boards[id.board].getWatchdog(id.id);
+    }
+
+    /**
+     * Reset the watchdog of a board.
+     *
+     * @param id
+     *   e.g. local-WD1.1
+     * @returns {Promise}
+     */
+    resetWatchdog(id) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].resetWatchdog(id.id);
+    }
+
+    /**
+     * Configure a digital input on the board.
+     *
+     * @param id
+     *   e.g. local-DI1.2
+     * @param {{debounce?: number, directSwitch?: string|boolean, mode?: string}} options
+     *   e.g. {debounce: 50, directSwitch: 'DO1.2', mode: 'Toggle'}
+     * @returns {Promise}
+     */
+    configureInput(id, options) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
+        }
+        return this.boards[id.board].configureInput(id.id, options);
+    }
+
+    /**
+     * Get the configuration of a digital input as read from the board.
+     *
+     * @param id
+     *   e.g. local-DI1.2
+     */
+    getInputConfig(id) {
+        id = this.id(id);
+        if (!this.boards[id.board]) throw unknownBoard(id);
+        return this.boards[id.board].getInputConfig(id.id);
+    }
+
+    /**
+     * Get the value, unit and active mode of an analog io.
+     *
+     * @param id
+     *   e.g. local-AI1.1
+     */
+    getAnalogState(id) {
+        id = this.id(id);
+        if (!this.boards[id.board]) throw unknownBoard(id);
+        return this.boards[id.board].getAnalogState(id.id);
+    }
+
+    /**
+     * Get the active mode of an analog io.
+     *
+     * @param id
+     *   e.g. local-AO1.1
+     */
+    getMode(id) {
+        id = this.id(id);
+        if (!this.boards[id.board]) throw unknownBoard(id);
+        return this.boards[id.board].getMode(id.id);
     }
 
     /**
@@ -105,35 +515,59 @@ class BoardManager extends EventEmitter {
      *
      * @param id
      *   e.g. local-DO1.1
+     * @returns {Promise}
+     *   Resolves with the value once the board is ready, rejects with an UnknownIdError for unknown boards and ios and
+     *   like ready() when the board is not ready in time or closed.
      */
     getState(id) {
         id = this.id(id);
-        try {
-            return this.boards[id.board].getState(id.id);
-        } catch (err) {
-            error('Bad board address');
-            return {
-                "error": 'Bad board address'
-            };
+        const board = this.boards[id.board];
+        if (!board) {
+            return Promise.reject(unknownBoard(id));
         }
+        return board.ready().then(() => board.getState(id.id));
     }
 
     /**
-     * Get the value of the given io id.
+     * Get the counter of the given DI id.
      *
      * @param id
      *   e.g. local-DI1.1
+     * @returns {number|undefined}
+     * @throws {UnknownIdError}
      */
     getCount(id) {
         id = this.id(id);
-        try {
-            return this.boards[id.board].getCount(id.id);
-        } catch (err) {
-            error('Bad board address');
-            return {
-                "error": 'Bad board address'
-            };
+        if (!this.boards[id.board]) throw unknownBoard(id);
+        return this.boards[id.board].getCount(id.id);
+    }
+
+    /**
+     * Get the pulse rate of the given DI id.
+     *
+     * @param id
+     *   e.g. local-DI1.1
+     * @returns {{perSecond: number, perMinute: number}|undefined}
+     */
+    getRate(id) {
+        id = this.id(id);
+        if (!this.boards[id.board]) throw unknownBoard(id);
+        return this.boards[id.board].getRate(id.id);
+    }
+
+    /**
+     * Reset the counter of the given DI id to 0.
+     *
+     * @param id
+     *   e.g. local-DI1.1
+     * @returns {Promise}
+     */
+    resetCount(id) {
+        id = this.id(id);
+        if (!this.boards[id.board]) {
+            return Promise.reject(unknownBoard(id));
         }
+        return this.boards[id.board].resetCount(id.id);
     }
 
     /**
@@ -174,6 +608,177 @@ class BoardManager extends EventEmitter {
         return data;
     }
 
+    /**
+     * Wait until every io of all initiated boards has been read.
+     *
+     * @returns {Promise}
+     *   Rejects with a TimeoutError when a board is not ready within its readyTimeout and with a NeuronError when a
+     *   board is closed before it was ready.
+     */
+    ready() {
+        return Promise.all(Object.keys(this.boards).map(name => this.boards[name].ready()))
+            .then(() => undefined);
+    }
+
+    /**
+     * Close the boards when the process is asked to stop with SIGINT or SIGTERM, so their failsafe values are set.
+     *
+     * The process is ended by the signal once the boards are closed. Without it the failsafe values are only set when
+     * close() is called.
+     *
+     * @returns {BoardManager}
+     */
+    closeOnExit() {
+        if (this.exitHandlers) return this;
+        this.exitHandlers = {};
+        ['SIGINT', 'SIGTERM'].forEach(signal => {
+            this.exitHandlers[signal] = () => {
+                info(`Closing the boards on ${signal}`);
+                this.close().then(() => process.kill(process.pid, signal));
+            };
+            process.once(signal, this.exitHandlers[signal]);
+        });
+        return this;
+    }
+
+    /**
+     * Stop polling and close the connections of all initiated boards.
+     *
+     * @returns {Promise}
+     */
+    close() {
+        // A second signal ends the process right away.
+        Object.keys(this.exitHandlers || {}).forEach(signal => process.removeListener(signal, this.exitHandlers[signal]));
+        this.exitHandlers = undefined;
+        return Promise.all(Object.keys(this.boards).map(name => this.boards[name].close()))
+            .then(() => undefined);
+    }
+
+    /**
+     * Gets the connection health of all initiated boards.
+     *
+     * @returns {{}}
+     */
+    getStatus() {
+        let data = {};
+        for (let name in this.boards) {
+            if (this.boards.hasOwnProperty(name)) {
+                data[name] = this.boards[name].getStatus();
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Probe a bus for extension modules and build the config of every module found.
+     *
+     * Every id is probed at every baud rate by reading the identification registers, the io counts they report
+     * identify the model.
+     *
+     * @param options.socket
+     *   The RS-485 socket to probe, e.g. /dev/extcomm/0/0
+     * @param options.ip
+     *   Probe a Modbus TCP gateway instead of a socket.
+     * @param options.port
+     *   The port of the Modbus TCP gateway, defaults to 502.
+     * @param options.ids
+     *   The ids to probe, defaults to 1 - 247.
+     * @param options.baudRates
+     *   The baud rates to probe, defaults to [19200].
+     * @param options.timeout
+     *   The time in milliseconds to wait for an answer of each id, defaults to 200.
+     * @param options.models
+     *   The models to match, defaults to xS10, xS30, xS40 and xS50.
+     * @returns {Promise}
+     *   Resolves with the config objects of the modules found, ready to pass to the constructor. A baud rate that
+     *   cannot be probed is skipped, the modules found at the other rates are kept.
+     */
+    static discover(options) {
+        options = options || {};
+        const ids = options.ids || Array.from({length: 247}, (value, i) => i + 1);
+        const baudRates = options.ip ? [undefined] : (options.baudRates || [19200]);
+        const found = [];
+
+        return baudRates.reduce((promise, baudRate) => promise.then(() => {
+            const client = options.ip ? new TcpConnection(options.ip, options.port) : new RtuConnection(options.socket || '/dev/extcomm/0/0', baudRate);
+            const close = () => new Promise(resolve => client.isOpen ? client.close(() => resolve()) : resolve());
+            return new Promise((resolve, reject) => client.connect(err => err ? reject(err) : resolve()))
+                .then(() => {
+                    client.setTimeout(options.timeout || 200);
+                    // Ids found at another baud rate are not probed again.
+                    return ids.filter(id => !found.some(config => config.id === id))
+                        .reduce((probe, id) => probe.then(() => BoardManager.probe(client, id, options))
+                            .then(config => {
+                                if (!config) return;
+                                if (baudRate) config.baudRate = baudRate;
+                                found.push(config);
+                            }), Promise.resolve());
+                })
+                .then(close, err => {
+                    const bus = options.ip ? `${options.ip}:${options.port || 502}` : `${options.socket || '/dev/extcomm/0/0'} at ${baudRate} baud`;
+                    warn(`Cannot probe ${bus}: ${err.message}`);
+                    return close();
+                });
+        }), Promise.resolve()).then(() => found);
+    }
+
+    /**
+     * Probe a single id on a bus.
+     *
+     * @param client
+     *   The open connection to the bus.
+     * @param id
+     * @param options
+     *   The discover options.
+     * @returns {Promise}
+     *   Resolves with the board config, undefined when nothing answered or the model is unknown.
+     */
+    static probe(client, id, options) {
+        client.setID(id);
+        return client.readHoldingRegisters(Neuron.IDENTIFICATION_REG, Neuron.IDENTIFICATION_COUNT)
+            .then(data => {
+                const identification = Neuron.parseIdentification(data.data);
+                const model = Neuron.matchModel(identification, options.models);
+                if (!model) {
+                    warn(`Unknown module with id ${id}: ${identification.di} DI, ${identification.do} DO, ${identification.ai} AI, ${identification.ao} AO`);
+                    return undefined;
+                }
+                info(`Found ${model} with id ${id}, firmware ${identification.firmware}`);
+
+                const config = {
+                    name: id.toString(),
+                    type: options.ip ? 'tcp' : 'rtu',
+                    id: id,
+                    model: model
+                };
+                if (options.ip) {
+                    config.ip = options.ip;
+                    config.port = options.port || 502;
+                } else {
+                    config.socket = options.socket || '/dev/extcomm/0/0';
+                }
+                return config;
+            }, err => {
+                log(`No answer from id ${id}: ${err.message}`);
+                return undefined;
+            });
+    }
+
+    /**
+     * Gets the polling timing of all initiated boards.
+     *
+     * @returns {{}}
+     */
+    getPollingStats() {
+        let data = {};
+        for (let name in this.boards) {
+            if (this.boards.hasOwnProperty(name)) {
+                data[name] = this.boards[name].getPollingStats();
+            }
+        }
+        return data;
+    }
+
 }
 
-module.exports = BoardManager;
\ No newline at end of file
+module.exports = BoardManager;
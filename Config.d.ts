@@ -0,0 +1,7 @@
+export declare const SCHEMA: { [key: string]: any };
+
+export declare function normalize(config: { [key: string]: any }, index?: number): { [key: string]: any };
+export declare function validate(configs: { [key: string]: any }[]): { [key: string]: any }[];
+export declare function applyEnv(configs: { [key: string]: any }[], env?: { [key: string]: string | undefined }): { [key: string]: any }[];
+export declare function read(file: string, env?: { [key: string]: string | undefined }): { [key: string]: any }[];
+export declare function load(file: string, env?: { [key: string]: string | undefined }): { [key: string]: any }[];
@@ -0,0 +1,439 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('js-yaml');
+const Neuron = require('./Neuron');
+const Registers = require('./Registers');
+const ConfigError = require('./Errors').ConfigError;
+
+/**
+ * JSON schema of a board config, the BoardManager takes an array of these
+ */
+const SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Board config',
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        name: {
+            type: 'string',
+            pattern: '^[^-]+$',
+            description: 'The name of the board, prefixes its ios (e.g. local-DI1.1). Defaults to local for id 0 and the id otherwise.'
+        },
+        type: {
+            enum: ['tcp', 'rtu', 'simulator'],
+            description: 'The connection to the board, defaults to tcp.'
+        },
+        ip: {
+            type: 'string',
+            description: 'The address of the Modbus TCP server (tcp), defaults to 127.0.0.1.'
+        },
+        port: {
+            anyOf: [
+                {type: 'integer', minimum: 0, maximum: 65535},
+                {type: 'string', pattern: '^\\d+$'}
+            ],
+            description: 'The port of the Modbus TCP server (tcp, simulator), defaults to 502 or a free port for a simulator.'
+        },
+        socket: {
+            type: 'string',
+            description: 'The RS-485 socket (rtu), defaults to /dev/extcomm/0/0.'
+        },
+        id: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 247,
+            description: 'The Modbus unit id, 0 for the local board.'
+        },
+        baudRate: {
+            type: 'integer',
+            minimum: 1,
+            description: 'The baud rate of the RS-485 bus (rtu), defaults to 19200.'
+        },
+        model: {
+            type: 'string',
+            description: 'The board model used to load the hardware definition from hw_definitions, e.g. L203, M10x or xS10.'
+        },
+        definition: {
+            type: 'string',
+            description: 'The hardware definition file of a custom Modbus device.'
+        },
+        registers: {
+            type: 'object',
+            propertyNames: {pattern: '^\\d+$'},
+            additionalProperties: {
+                anyOf: [
+                    {enum: Object.keys(Registers.TYPES)},
+                    {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: {
+                            type: {enum: Object.keys(Registers.TYPES)},
+                            wordOrder: {enum: ['big', 'little']},
+                            scale: {type: 'number'}
+                        }
+                    }
+                ]
+            },
+            description: 'The data types of registers by address.'
+        },
+        groups: {
+            type: 'integer',
+            minimum: 1,
+            description: 'The number of major groups to poll, at most the number in the hardware definition.'
+        },
+        interval: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'The interval in milliseconds at which to update the board values, defaults to 10.'
+        },
+        timeout: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'The time in milliseconds to wait for an answer of the board, defaults to 1000.'
+        },
+        readyTimeout: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'The time in milliseconds to wait for every io of the board to be read, defaults to 10000.'
+        },
+        rateWindow: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'The time in milliseconds over which the pulse rates of the counters are averaged.'
+        },
+        keepAlive: {
+            type: 'boolean',
+            description: 'Keep enabled watchdogs alive from the polling loop, defaults to true.'
+        },
+        oneWire: {
+            anyOf: [
+                {type: 'boolean'},
+                {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        root: {type: 'string'},
+                        interval: {type: 'number', exclusiveMinimum: 0}
+                    }
+                }
+            ],
+            description: 'Read the 1-Wire sensors of the w1 sysfs interface, true for the defaults.'
+        },
+        interlocks: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['outputs'],
+                properties: {
+                    outputs: {type: 'array', minItems: 2, items: {type: 'string'}},
+                    deadTime: {type: 'number', minimum: 0}
+                }
+            },
+            description: 'Groups of mutually exclusive digital outputs, with the time in milliseconds to wait after one switched off before another may switch on.'
+        },
+        failsafe: {
+            type: 'object',
+            additionalProperties: {anyOf: [{type: 'boolean'}, {type: 'number'}]},
+            description: 'The values of outputs by id, set when the connection is restored after a loss and when the board is closed.'
+        },
+        maxOnTime: {
+            type: 'object',
+            additionalProperties: {type: 'number', exclusiveMinimum: 0},
+            description: 'The time in milliseconds after which digital outputs are switched off again, by id.'
+        },
+        gestures: {
+            type: 'object',
+            additionalProperties: {
+                anyOf: [
+                    {type: 'boolean'},
+                    {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: {
+                            longPress: {type: 'number', exclusiveMinimum: 0},
+                            doubleClick: {type: 'number', minimum: 0},
+                            repeat: {type: 'number', exclusiveMinimum: 0}
+                        }
+                    }
+                ]
+            },
+            description: 'Decode the presses of pushbuttons on digital inputs by id, true for the default thresholds.'
+        }
+    }
+};
+
+/**
+ * Prefix of the environment variables overriding config properties, e.g. UNIPI_NEURON_LOCAL_TIMEOUT=2000
+ */
+const ENV_PREFIX = 'UNIPI_NEURON_';
+
+/**
+ * Get the JSON type of a value.
+ *
+ * @param value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+/**
+ * Check a value against the subset of JSON schema used by SCHEMA.
+ *
+ * @param schema
+ * @param value
+ * @param property
+ *   The path of the value, e.g. registers.500.type
+ * @returns {{property: string, message: string}|undefined}
+ *   The first problem found, undefined when the value is valid.
+ */
+const check = (schema, value, property) => {
+    if (schema.anyOf) {
+        const problems = schema.anyOf.map(option => check(option, value, property));
+        if (problems.some(problem => problem === undefined)) return undefined;
+        // Report the problem inside the option that matches the type of the value, if any.
+        return problems.find(problem => problem.property !== property) ||
+            {property: property, message: `has an invalid value ${JSON.stringify(value)}`};
+    }
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        return {property: property, message: `must be one of: ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`};
+    }
+    if (schema.type) {
+        const type = typeOf(value);
+        if (type !== schema.type && !(schema.type === 'number' && type === 'integer')) {
+            return {property: property, message: `must be a ${schema.type}, got ${JSON.stringify(value)}`};
+        }
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        return {property: property, message: `must be at least ${schema.minimum}, got ${value}`};
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        return {property: property, message: `must be more than ${schema.exclusiveMinimum}, got ${value}`};
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        return {property: property, message: `must be at most ${schema.maximum}, got ${value}`};
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return {property: property, message: `has an invalid value ${JSON.stringify(value)}`};
+    }
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return {property: property, message: `must hold at least ${schema.minItems} items, got ${value.length}`};
+        }
+        for (let i = 0; schema.items && i < value.length; i++) {
+            const problem = check(schema.items, value[i], `${property}[${i}]`);
+            if (problem) return problem;
+        }
+    }
+    if (schema.type === 'object') {
+        const missing = (schema.required || []).find(key => value[key] === undefined);
+        if (missing) {
+            return {property: property ? `${property}.${missing}` : missing, message: 'is required'};
+        }
+        const keys = Object.keys(value);
+        for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
+            const name = property ? `${property}.${key}` : key;
+            if (value[key] === undefined) continue;
+            if (schema.propertyNames && !new RegExp(schema.propertyNames.pattern).test(key)) {
+                return {property: name, message: 'is not a valid key'};
+            }
+            let problem;
+            if (schema.properties && schema.properties[key]) {
+                problem = check(schema.properties[key], value[key], name);
+            } else if (schema.additionalProperties === false) {
+                const known = Object.keys(schema.properties || {});
+                problem = {property: name, message: `is not a known option, use one of: ${known.join(', ')}`};
+            } else if (typeof schema.additionalProperties === 'object') {
+                problem = check(schema.additionalProperties, value[key], name);
+            }
+            if (problem) return problem;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Validate a board config and fill in the defaults.
+ *
+ * The given config is left untouched.
+ *
+ * @param config
+ *   A single board config.
+ * @param index
+ *   The position of the config in the config array, used in errors.
+ * @returns {{}}
+ *   A copy of the config with the defaults filled in.
+ * @throws {ConfigError}
+ *   When the config doesn't match the schema or its hardware definition.
+ */
+const normalize = (config, index) => {
+    config = Object.assign({}, config);
+    const fail = (property, message) => {
+        const board = (config.name !== undefined) ? ` "${config.name}"` : '';
+        const entry = (index !== undefined) ? `config[${index}]${board}` : `board${board}`;
+        throw new ConfigError(`Invalid ${entry}: ${property} ${message}`, {
+            index: index,
+            board: config.name,
+            property: property
+        });
+    };
+
+    if (typeOf(config) !== 'object') {
+        fail('config', 'must be an object');
+    }
+    const problem = check(SCHEMA, config, '');
+    if (problem) fail(problem.property, problem.message);
+
+    config.interval = config.interval || 10;
+    config.id = config.id || 0;
+    if (config.id === 0) config.name = config.name || 'local';
+    else config.name = config.name || config.id.toString();
+    config.type = config.type || 'tcp';
+
+    switch (config.type) {
+        case 'tcp':
+            config.port = config.port || 502;
+            config.ip = config.ip || '127.0.0.1';
+            break;
+
+        case 'simulator':
+            if (!config.model && !config.definition) fail('model', 'is required to simulate a board');
+            break;
+
+        default:
+            config.socket = config.socket || '/dev/extcomm/0/0';
+    }
+
+    // Check the groups against the hardware definition, boards without a model read theirs from the EEPROM.
+    if (config.definition || config.model) {
+        const def = config.definition ? Neuron.loadDefinition(config.definition) : Neuron.getDefinition(config.model);
+        if (!def && config.definition) fail('definition', `cannot be loaded from ${config.definition}`);
+        if (!def) fail('model', `has no hardware definition in hw_definitions, got ${JSON.stringify(config.model)}`);
+        const groups = Neuron.countGroups(def);
+        if (config.groups > groups) fail('groups', `must be at most ${groups} for ${config.model || config.definition}, got ${config.groups}`);
+    }
+    return config;
+};
+
+/**
+ * Validate the config array of a BoardManager.
+ *
+ * @param configs
+ *   An array of board configs.
+ * @returns {[{}]}
+ *   Copies of the configs with the defaults filled in.
+ * @throws {ConfigError}
+ *   When a config is invalid or two boards have the same name.
+ */
+const validate = (configs) => {
+    if (!Array.isArray(configs)) {
+        throw new ConfigError('The config must be an array of board configs', {});
+    }
+    const names = {};
+    return configs.map((config, index) => {
+        config = normalize(config, index);
+        if (names[config.name] !== undefined) {
+            throw new ConfigError(`Invalid config[${index}] "${config.name}": name is already used by config[${names[config.name]}]`, {
+                index: index,
+                board: config.name,
+                property: 'name'
+            });
+        }
+        names[config.name] = index;
+        return config;
+    });
+};
+
+/**
+ * Get the environment variable suffix of a config property, e.g. rateWindow becomes RATE_WINDOW.
+ *
+ * @param property
+ * @returns {string}
+ */
+const envName = (property) => property.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+/**
+ * Override config properties from environment variables named UNIPI_NEURON_<BOARD>_<PROPERTY>, e.g.
+ * UNIPI_NEURON_LOCAL_IP=192.168.1.10 or UNIPI_NEURON_2_RATE_WINDOW=30000.
+ *
+ * Values are parsed as JSON when possible (numbers, booleans, objects) and used as a string otherwise. The board
+ * name is upper cased with anything but letters and digits replaced by _.
+ *
+ * @param configs
+ *   An array of board configs, left untouched.
+ * @param env
+ *   Defaults to process.env.
+ * @returns {[{}]}
+ *   Copies of the configs with the overrides applied.
+ */
+const applyEnv = (configs, env) => {
+    env = env || process.env;
+    return configs.map(config => {
+        config = Object.assign({}, config);
+        let name = config.name;
+        if (name === undefined) name = config.id ? config.id.toString() : 'local';
+        const prefix = ENV_PREFIX + name.toString().toUpperCase().replace(/[^A-Z0-9]/g, '_') + '_';
+
+        Object.keys(SCHEMA.properties).forEach(property => {
+            const value = env[prefix + envName(property)];
+            if (value === undefined) return;
+            try {
+                config[property] = JSON.parse(value);
+            } catch (err) {
+                config[property] = value;
+            }
+        });
+        return config;
+    });
+};
+
+/**
+ * Read the config array from a JSON or YAML file and apply the environment overrides, without validating it.
+ *
+ * @param file
+ *   The path of a .json, .yaml or .yml file holding an array of board configs.
+ * @param env
+ *   Defaults to process.env.
+ * @returns {[{}]}
+ * @throws {ConfigError}
+ *   When the file cannot be read or parsed or doesn't hold an array.
+ */
+const read = (file, env) => {
+    let configs;
+    try {
+        const data = fs.readFileSync(file, {encoding: 'utf8'});
+        configs = (path.extname(file) === '.json') ? JSON.parse(data) : YAML.safeLoad(data);
+    } catch (err) {
+        throw new ConfigError(`Cannot load the config ${file}: ${err.message}`, {file: file});
+    }
+    if (!Array.isArray(configs)) {
+        throw new ConfigError(`The config ${file} must hold an array of board configs`, {file: file});
+    }
+    return applyEnv(configs, env);
+};
+
+/**
+ * Load the config array from a JSON or YAML file, apply the environment overrides and validate it.
+ *
+ * @param file
+ *   The path of a .json, .yaml or .yml file holding an array of board configs.
+ * @param env
+ *   Defaults to process.env.
+ * @returns {[{}]}
+ * @throws {ConfigError}
+ */
+const load = (file, env) => validate(read(file, env));
+
+module.exports.SCHEMA = SCHEMA;
+module.exports.normalize = normalize;
+module.exports.validate = validate;
+module.exports.applyEnv = applyEnv;
+module.exports.read = read;
+module.exports.load = load;
@@ -0,0 +1,105 @@
+"use strict";
+
+/**
+ * DALI commands (IEC 62386-102), sent as the data byte of a forward frame with the command bit of the address set
+ */
+const COMMANDS = {
+    'OFF': 0x00,
+    'QUERY_STATUS': 0x90,
+    'QUERY_CONTROL_GEAR_PRESENT': 0x91,
+    'QUERY_ACTUAL_LEVEL': 0xA0
+};
+
+/**
+ * Bits of the answer to QUERY_STATUS
+ */
+const STATUS_BITS = [
+    'gearFailure',
+    'lampFailure',
+    'lampOn',
+    'limitError',
+    'fadeRunning',
+    'resetState',
+    'missingShortAddress',
+    'powerFailure'
+];
+
+/**
+ * Flags of the receive registers of a light channel
+ */
+const NO_ANSWER = 0;
+const ANSWER = 1;
+const FRAMING_ERROR = 2;
+
+/**
+ * Highest arc power level, 255 is MASK (no change)
+ */
+const MAX_LEVEL = 254;
+
+/**
+ * Parse a DALI target.
+ *
+ * @param target
+ *   A short address 0 - 63, a group G0 - G15 or broadcast.
+ * @returns {{type: string, value: number, name: string}}
+ * @throws {RangeError}
+ */
+const parseTarget = (target) => {
+    if (target === 'broadcast') {
+        return {type: 'broadcast', value: 0, name: 'broadcast'};
+    }
+    const group = /^G(\d+)$/.exec(target);
+    if (group && parseInt(group[1]) <= 15) {
+        return {type: 'group', value: parseInt(group[1]), name: `G${parseInt(group[1])}`};
+    }
+    const address = Number(target);
+    if (target !== '' && target !== null && Number.isInteger(address) && address >= 0 && address <= 63) {
+        return {type: 'short', value: address, name: address.toString()};
+    }
+    throw new RangeError(`Unknown DALI target ${target}, use a short address 0 - 63, a group G0 - G15 or broadcast`);
+};
+
+/**
+ * Encode the address byte of a forward frame.
+ *
+ * @param target
+ *   A parsed target.
+ * @param {boolean} command
+ *   Whether the data byte is a command or a direct arc power level.
+ * @returns {number}
+ */
+const encodeAddress = (target, command) => {
+    const selector = command ? 1 : 0;
+    switch (target.type) {
+        case 'broadcast':
+            return 0xFE | selector;
+        case 'group':
+            return 0x80 | (target.value << 1) | selector;
+        default:
+            return (target.value << 1) | selector;
+    }
+};
+
+/**
+ * Decode the answer to QUERY_STATUS.
+ *
+ * @param answer
+ * @returns {{}}
+ *   A boolean per status bit, e.g. {lampOn: true, lampFailure: false ...}
+ */
+const decodeStatus = (answer) => {
+    const status = {};
+    STATUS_BITS.forEach((name, bit) => {
+        status[name] = ((answer >> bit) & 1) === 1;
+    });
+    return status;
+};
+
+module.exports.COMMANDS = COMMANDS;
+module.exports.NO_ANSWER = NO_ANSWER;
+module.exports.ANSWER = ANSWER;
+module.exports.FRAMING_ERROR = FRAMING_ERROR;
+module.exports.MAX_LEVEL = MAX_LEVEL;
+module.exports.parseTarget = parseTarget;
+module.exports.encodeAddress = encodeAddress;
+module.exports.decodeStatus = decodeStatus;
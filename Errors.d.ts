@@ -0,0 +1,56 @@
+import { EventEmitter } from 'events';
+
+export declare class NeuronError extends Error {
+    constructor(message: string, details?: { [key: string]: any });
+    [key: string]: any;
+}
+
+export declare const MODBUS_EXCEPTIONS: { [code: number]: string };
+
+export declare class ModbusException extends NeuronError {
+    code: number;
+    description: string;
+    board: string;
+    id?: string;
+    register?: number;
+    coil?: number;
+    cause: Error;
+}
+
+export declare class UnknownIdError extends NeuronError {
+    board?: string;
+    id?: string;
+}
+
+export declare class TimeoutError extends NeuronError {
+    board: string;
+    id?: string;
+    register?: number;
+    cause?: Error;
+}
+
+export declare class InterlockError extends NeuronError {
+    board: string;
+    id: string;
+    interlock: string;
+}
+
+export declare function fromModbus(err: Error, action: string, details: { [key: string]: any }): NeuronError;
+
+export declare function emitError(emitter: EventEmitter, err: Error, ...args: any[]): boolean;
+
+export declare class WriteVerifyError extends NeuronError {
+    board: string;
+    id: string;
+    register?: number;
+    coil?: number;
+    value: any;
+    retries: number;
+}
+
+export declare class ConfigError extends NeuronError {
+    index?: number;
+    board?: string;
+    property?: string;
+    file?: string;
+}
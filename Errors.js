@@ -0,0 +1,153 @@
+"use strict";
+
+const debug = require('debug');
+const error = debug('unipi-neuron:errors:error');
+
+/**
+ * Modbus exception codes
+ */
+const MODBUS_EXCEPTIONS = {
+    0x01: 'Illegal Function',
+    0x02: 'Illegal Data Address',
+    0x03: 'Illegal Data Value',
+    0x04: 'Failure In Associated Device',
+    0x05: 'Acknowledge',
+    0x06: 'Busy, Rejected Message',
+    0x07: 'NAK – Negative Acknowledgement',
+    0x08: 'Memory Parity Error',
+    0x0A: 'Gateway Path Unavailable',
+    0x0B: 'Gateway Target Device Failed to respond'
+};
+
+/**
+ * Base class of the errors of this package.
+ *
+ * @class NeuronError
+ * @extends {Error}
+ */
+class NeuronError extends Error {
+
+    /**
+     * Constructor
+     *
+     * @param {string} message
+     * @param {{}} details
+     *   Properties copied onto the error, e.g. board, id or register.
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * A write that could not be verified by reading the value back after all retries.
+ *
+ * @class WriteVerifyError
+ * @extends {NeuronError}
+ */
+class WriteVerifyError extends NeuronError {}
+
+/**
+ * A board config that doesn't match the config schema or its hardware definition.
+ *
+ * @class ConfigError
+ * @extends {NeuronError}
+ */
+class ConfigError extends NeuronError {}
+
+/**
+ * An exception response of a board, e.g. Illegal Data Address for a register it doesn't have.
+ *
+ * @class ModbusException
+ * @extends {NeuronError}
+ */
+class ModbusException extends NeuronError {}
+
+/**
+ * An io id or board name that doesn't exist.
+ *
+ * @class UnknownIdError
+ * @extends {NeuronError}
+ */
+class UnknownIdError extends NeuronError {}
+
+/**
+ * A board that didn't answer in time.
+ *
+ * @class TimeoutError
+ * @extends {NeuronError}
+ */
+class TimeoutError extends NeuronError {}
+
+/**
+ * A write that would switch on an output while another output of its interlock is on or within the dead time.
+ *
+ * @class InterlockError
+ * @extends {NeuronError}
+ */
+class InterlockError extends NeuronError {}
+
+/**
+ * Convert an error of a Modbus request into an error of this package.
+ *
+ * The Modbus client only reports exceptions and timeouts in the error message, e.g. "Modbus exception 2".
+ *
+ * @param err
+ *   The error of the Modbus client.
+ * @param {string} action
+ *   What failed, e.g. "read register 1000".
+ * @param {{}} details
+ *   e.g. board, id, register or coil.
+ * @returns {NeuronError}
+ *   A ModbusException with the exception code, a TimeoutError or a NeuronError with the original error as its cause.
+ */
+const fromModbus = (err, action, details) => {
+    if (err instanceof NeuronError) return err;
+
+    const board = details.board !== undefined ? ` (board ${details.board})` : '';
+    const exception = /^Modbus exception (\d+)$/.exec(err.message);
+    if (exception) {
+        const code = parseInt(exception[1]);
+        const description = MODBUS_EXCEPTIONS[code] || 'Unknown exception';
+        return new ModbusException(`Cannot ${action}${board}: ${description} (${code})`,
+            Object.assign({code: code, description: description, cause: err}, details));
+    }
+    if (err.message === 'Timed out') {
+        return new TimeoutError(`Cannot ${action}${board}: no answer in time`, Object.assign({cause: err}, details));
+    }
+    return new NeuronError(`Cannot ${action}${board}: ${err.message}`, Object.assign({cause: err}, details));
+};
+
+/**
+ * Emit an error to the error listeners of an emitter.
+ *
+ * Unlike a plain emit, an error without listeners doesn't throw: failed reads and writes of a polling board must not
+ * end the process. It is logged on the unipi-neuron:errors:error debug channel instead.
+ *
+ * @param {EventEmitter} emitter
+ * @param {Error} err
+ * @param args
+ *   Passed to the listeners after the error, e.g. the board name.
+ * @returns {boolean}
+ *   Whether the error had listeners.
+ */
+const emitError = (emitter, err, ...args) => {
+    if (emitter.listenerCount('error') === 0) {
+        error(`Unhandled ${err.name}: ${err.message}`);
+        return false;
+    }
+    return emitter.emit('error', err, ...args);
+};
+
+module.exports.MODBUS_EXCEPTIONS = MODBUS_EXCEPTIONS;
+module.exports.NeuronError = NeuronError;
+module.exports.ConfigError = ConfigError;
+module.exports.ModbusException = ModbusException;
+module.exports.UnknownIdError = UnknownIdError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.InterlockError = InterlockError;
+module.exports.fromModbus = fromModbus;
+module.exports.emitError = emitError;
+module.exports.WriteVerifyError = WriteVerifyError;
@@ -0,0 +1,34 @@
+import { EventEmitter } from 'events';
+import { Server, IncomingMessage, ServerResponse } from 'http';
+import BoardManager = require('./index');
+
+export = EvokServer;
+
+declare class EvokServer extends EventEmitter {
+    constructor(boardManager: BoardManager, config?: { port?: number, host?: string, board?: string });
+    listen(): Promise<number>;
+    device(name: string, id: string): EvokServer.IDevice | undefined;
+    devices(): EvokServer.IDevice[];
+    find(dev: string, circuit: string): EvokServer.IDevice;
+    toJson(device: EvokServer.IDevice): { dev: string, circuit: string, value: any, [key: string]: any };
+    change(device: EvokServer.IDevice, changes: { [key: string]: any }): Promise<void>;
+    handleRequest(req: IncomingMessage, res: ServerResponse): void;
+    handleSocket(socket: any): void;
+    send(socket: any, body: any): void;
+    push(id: string): void;
+    close(): Promise<void>;
+    boardManager: BoardManager;
+    server: Server;
+    port: number;
+    host?: string;
+    board: string;
+}
+
+declare namespace EvokServer {
+    interface IDevice {
+        board: string;
+        id: string;
+        dev: string;
+        circuit: string;
+    }
+}
@@ -0,0 +1,447 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+const http = require('http');
+const querystring = require('querystring');
+const UnknownIdError = require('./Errors').UnknownIdError;
+
+const debug = require('debug');
+const info = debug('unipi-neuron:evok:info');
+const warn = debug('unipi-neuron:evok:warn');
+const log = debug('unipi-neuron:evok:log');
+const error = debug('unipi-neuron:evok:error');
+
+/**
+ * EVOK device names of the io types
+ */
+const DEVICES = {
+    'DI': 'input',
+    'DO': 'relay',
+    'RO': 'relay',
+    'LED': 'led',
+    'AI': 'ai',
+    'AO': 'ao',
+    'WD': 'wd',
+    'REG': 'register',
+    '1W': 'temp'
+};
+
+/**
+ * Build the EVOK circuit of an io, e.g. DI2.3 becomes 2_03, REG1.1000 becomes 1_1000 and 1W.28-0316a2795eff becomes
+ * 28-0316a2795eff.
+ *
+ * @param id
+ *   e.g. DI2.3
+ * @returns {string}
+ */
+const toCircuit = (id) => {
+    if (id.indexOf('1W.') === 0) return id.substr(3);
+    const match = /^[A-Z]+(\d+)\.(\d+)$/.exec(id);
+    const number = (match[2].length < 2) ? '0' + match[2] : match[2];
+    return `${match[1]}_${number}`;
+};
+
+/**
+ * Parse a digital value.
+ *
+ * @param value
+ *   1, 0, true, false, on or off.
+ * @returns {boolean}
+ * @throws {RangeError}
+ */
+const toBoolean = (value) => {
+    switch (String(value).toLowerCase()) {
+        case '1':
+        case 'true':
+        case 'on':
+            return true;
+        case '0':
+        case 'false':
+        case 'off':
+            return false;
+        default:
+            throw new RangeError(`Invalid digital value ${value}, use 1 or 0`);
+    }
+};
+
+/**
+ * Serves the ios of a BoardManager with the REST and WebSocket API of EVOK, so EVOK clients work unchanged.
+ *
+ * Circuits follow EVOK: group and number (e.g. 2_03 for DI2.3), the address for 1-Wire sensors. Circuits of other
+ * boards than the main board are prefixed with the board name, e.g. extension_1_01.
+ *
+ * - GET /rest/all: all devices
+ * - GET /rest/<dev>: all devices of a type, e.g. /rest/relay
+ * - GET /rest/<dev>/<circuit>: a single device, e.g. /rest/input/1_01
+ * - POST /rest/<dev>/<circuit>: change a device, form or JSON encoded, e.g. value=1
+ * - /ws: pushes the changed devices to WebSocket clients, needs the ws package
+ *
+ * @class EvokServer
+ * @extends {EventEmitter}
+ */
+class EvokServer extends EventEmitter {
+
+    /**
+     * Constructor
+     *
+     * @param boardManager
+     *   The BoardManager to serve.
+     * @param config.port
+     *   The port to listen on, defaults to 8080, 0 picks a free port.
+     * @param config.host
+     *   The address to listen on, defaults to all addresses.
+     * @param config.board
+     *   The board served without a circuit prefix, defaults to the first board.
+     */
+    constructor(boardManager, config) {
+        super();
+
+        config = config || {};
+        this.boardManager = boardManager;
+        this.port = (config.port === undefined) ? 8080 : config.port;
+        this.host = config.host;
+        this.board = config.board || Object.keys(boardManager.boards)[0];
+        this.handlers = {};
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.sockets = new Set();
+        this.server.on('connection', socket => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+    }
+
+    /**
+     * Start listening.
+     *
+     * @returns {Promise}
+     *   Resolves with the port once listening.
+     */
+    listen() {
+        let WebSocket;
+        try {
+            WebSocket = require('ws');
+        } catch (err) {
+            warn('WebSocket clients are refused, install the ws package to push updates over /ws');
+        }
+        if (WebSocket) {
+            this.WebSocket = WebSocket;
+            this.wss = new WebSocket.Server({server: this.server, path: '/ws'});
+            this.wss.on('connection', socket => this.handleSocket(socket));
+        }
+
+        this.handlers = {
+            update: (id) => this.push(id),
+            counter: (id) => this.push(id)
+        };
+        Object.keys(this.handlers).forEach(event => this.boardManager.on(event, this.handlers[event]));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                info(`Serving the EVOK API on port ${this.port}`);
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Get the device of an io.
+     *
+     * @param name
+     *   The board name.
+     * @param id
+     *   e.g. DI1.1
+     * @returns {{board: string, id: string, dev: string, circuit: string}|undefined}
+     *   Undefined for ios EVOK has no device for.
+     */
+    device(name, id) {
+        const board = this.boardManager.boards[name];
+        if (!board) return undefined;
+        const feature = board.features[id];
+        const dev = feature ? DEVICES[feature.type] : (id.indexOf('1W.') === 0 ? DEVICES['1W'] : undefined);
+        if (!dev) return undefined;
+        const circuit = (name === this.board) ? toCircuit(id) : `${name}_${toCircuit(id)}`;
+        return {board: name, id: id, dev: dev, circuit: circuit};
+    }
+
+    /**
+     * Get the devices of all boards.
+     *
+     * @returns {[{board: string, id: string, dev: string, circuit: string}]}
+     */
+    devices() {
+        const devices = [];
+        const boards = this.boardManager.boards;
+        Object.keys(boards).forEach(name => {
+            const board = boards[name];
+            Object.keys(board.features).concat(Object.keys(board.state).filter(id => !board.features[id]))
+                .map(id => this.device(name, id))
+                .filter(device => device !== undefined)
+                .forEach(device => devices.push(device));
+        });
+        return devices;
+    }
+
+    /**
+     * Find a device by its EVOK name.
+     *
+     * @param dev
+     *   e.g. relay
+     * @param circuit
+     *   e.g. 1_01
+     * @returns {{board: string, id: string, dev: string, circuit: string}}
+     * @throws {UnknownIdError}
+     */
+    find(dev, circuit) {
+        const device = this.devices().find(device => device.dev === dev && device.circuit === circuit);
+        if (!device) {
+            throw new UnknownIdError(`Unknown ${dev} ${circuit}`, {id: `${dev}/${circuit}`});
+        }
+        return device;
+    }
+
+    /**
+     * Build the EVOK JSON of a device.
+     *
+     * @param device
+     *   A device from devices().
+     * @returns {{dev: string, circuit: string, value: number}}
+     */
+    toJson(device) {
+        const board = this.boardManager.boards[device.board];
+        const id = device.id;
+        const feature = board.features[id];
+        const json = {
+            dev: device.dev,
+            circuit: device.circuit,
+            value: board.state[id]
+        };
+
+        switch (device.dev) {
+            case 'input': {
+                const config = board.getInputConfig(id);
+                json.counter = board.counter[id];
+                json.debounce = config.debounce;
+                json.mode = config.directSwitch ? 'DirectSwitch' : config.mode;
+                break;
+            }
+
+            case 'relay':
+                json.relay_type = (feature.type === 'RO') ? 'physical' : 'digital';
+                if (feature.pwmReg !== undefined) {
+                    const pwm = board.getPwm(id);
+                    json.mode = board.getMode(id);
+                    json.pwm_duty = pwm && pwm.duty;
+                    json.pwm_freq = pwm && pwm.frequency;
+                }
+                break;
+
+            case 'ai':
+            case 'ao': {
+                const analog = board.getAnalogState(id);
+                json.unit = analog && analog.unit;
+                json.mode = analog && analog.mode;
+                break;
+            }
+
+            case 'wd': {
+                const watchdog = board.getWatchdog(id);
+                json.value = watchdog ? (watchdog.enabled ? 1 : 0) : undefined;
+                json.timeout = watchdog && watchdog.timeout;
+                json.was_wd_reset = watchdog ? (watchdog.wasReset ? 1 : 0) : undefined;
+                break;
+            }
+
+            case 'temp':
+                json.typ = board.oneWire && board.oneWire.sensors[id.substr(3)];
+                break;
+        }
+        return json;
+    }
+
+    /**
+     * Apply the changes of a POST request or a WebSocket set command to a device.
+     *
+     * @param device
+     *   A device from devices().
+     * @param changes
+     *   e.g. {value: 1} or {mode: 'Current'}
+     * @returns {Promise}
+     *   Resolves once all changes have been read back from the board.
+     */
+    change(device, changes) {
+        const id = `${device.board}-${device.id}`;
+        const manager = this.boardManager;
+
+        return Object.keys(changes).reduce((promise, key) => promise.then(() => {
+            const value = changes[key];
+            switch (`${device.dev}.${key}`) {
+                case 'relay.value':
+                case 'led.value':
+                    return manager.set(id, toBoolean(value));
+                case 'ao.value':
+                case 'register.value':
+                    return manager.set(id, parseFloat(value));
+                case 'relay.mode':
+                case 'ao.mode':
+                    return manager.setMode(id, value);
+                case 'relay.pwm_duty':
+                    return manager.setPwm(id, parseFloat(value), changes.pwm_freq !== undefined ? parseFloat(changes.pwm_freq) : undefined);
+                case 'relay.pwm_freq':
+                    if (changes.pwm_duty !== undefined) return;
+                    return manager.setPwm(id, (manager.getPwm(id) || {duty: 0}).duty, parseFloat(value));
+                case 'input.counter':
+                    if (parseInt(value) !== 0) throw new RangeError('Counters can only be reset to 0');
+                    return manager.resetCount(id);
+                case 'input.debounce':
+                    return manager.configureInput(id, {debounce: parseInt(value)});
+                case 'input.mode':
+                    if (value === 'DirectSwitch') return manager.configureInput(id, {directSwitch: true});
+                    return manager.configureInput(id, {mode: value, directSwitch: false});
+                case 'wd.value':
+                    return manager.setWatchdog(id, {enabled: toBoolean(value)});
+                case 'wd.timeout':
+                    return manager.setWatchdog(id, {timeout: parseInt(value)});
+                case 'wd.reset':
+                    return manager.resetWatchdog(id);
+                default:
+                    throw new RangeError(`Cannot change ${key} of ${device.dev} ${device.circuit}`);
+            }
+        }), Promise.resolve());
+    }
+
+    /**
+     * Answer a REST request.
+     *
+     * @param req
+     * @param res
+     */
+    handleRequest(req, res) {
+        const send = (status, body) => {
+            res.writeHead(status, {'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*'});
+            res.end(JSON.stringify(body));
+        };
+        const fail = (err) => {
+            const status = (err instanceof UnknownIdError) ? 404 : 400;
+            warn(`${req.method} ${req.url}: ${err.message}`);
+            send(status, {success: false, errors: {__all__: err.message}});
+        };
+
+        const path = req.url.split('?')[0].split('/').filter(part => part !== '');
+        log(`${req.method} ${req.url}`);
+        if (path[0] !== 'rest' || path.length < 2 || path.length > 3) {
+            return fail(new UnknownIdError(`Unknown path ${req.url}`, {}));
+        }
+
+        if (req.method === 'GET') {
+            try {
+                if (path.length === 3) return send(200, this.toJson(this.find(path[1], path[2])));
+                const devices = this.devices().filter(device => path[1] === 'all' || device.dev === path[1]);
+                if (devices.length === 0 && path[1] !== 'all') throw new UnknownIdError(`Unknown device ${path[1]}`, {});
+                return send(200, devices.map(device => this.toJson(device)));
+            } catch (err) {
+                return fail(err);
+            }
+        }
+        if (req.method !== 'POST' || path.length !== 3) {
+            return send(405, {success: false, errors: {__all__: `${req.method} is not allowed on ${req.url}`}});
+        }
+
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            new Promise(resolve => {
+                const device = this.find(path[1], path[2]);
+                const json = (req.headers['content-type'] || '').indexOf('application/json') === 0;
+                const changes = json ? JSON.parse(body || '{}') : querystring.parse(body);
+                resolve(this.change(device, changes).then(() => send(200, {success: true, result: this.toJson(device)})));
+            }).catch(fail);
+        });
+    }
+
+    /**
+     * Handle the commands of a WebSocket client.
+     *
+     * Commands follow EVOK: {cmd: 'set', dev, circuit, value}, {cmd: 'all'} and {cmd: 'filter', devices: ['relay']}.
+     *
+     * @param socket
+     */
+    handleSocket(socket) {
+        log('WebSocket client connected');
+        socket.filter = undefined;
+        socket.on('message', data => {
+            new Promise(resolve => {
+                const message = JSON.parse(data.toString());
+                switch (message.cmd) {
+                    case 'set': {
+                        const changes = Object.assign({}, message);
+                        ['cmd', 'dev', 'circuit'].forEach(key => delete changes[key]);
+                        resolve(this.change(this.find(message.dev, message.circuit), changes));
+                        break;
+                    }
+                    case 'all':
+                        this.send(socket, this.devices().map(device => this.toJson(device)));
+                        resolve();
+                        break;
+                    case 'filter':
+                        socket.filter = (message.devices && message.devices.length) ? message.devices : undefined;
+                        resolve();
+                        break;
+                    default:
+                        throw new RangeError(`Unknown command ${message.cmd}`);
+                }
+            }).catch(err => {
+                warn(`WebSocket command failed: ${err.message}`);
+                this.send(socket, {success: false, errors: {__all__: err.message}});
+            });
+        });
+    }
+
+    /**
+     * Send a message to a WebSocket client.
+     *
+     * @param socket
+     * @param body
+     */
+    send(socket, body) {
+        if (socket.readyState !== this.WebSocket.OPEN) return;
+        socket.send(JSON.stringify(body), err => {
+            if (err) error(`Cannot send to a WebSocket client: ${err.message}`);
+        });
+    }
+
+    /**
+     * Push the device of a changed io to the WebSocket clients.
+     *
+     * @param id
+     *   e.g. local-DI1.1
+     */
+    push(id) {
+        if (!this.wss) return;
+        id = this.boardManager.id(id);
+        const device = this.device(id.board, id.id);
+        if (!device) return;
+
+        const json = this.toJson(device);
+        this.wss.clients.forEach(socket => {
+            if (!socket.filter || socket.filter.indexOf(device.dev) !== -1) this.send(socket, [json]);
+        });
+    }
+
+    /**
+     * Stop serving.
+     *
+     * @returns {Promise}
+     *   Resolves once the server is closed.
+     */
+    close() {
+        Object.keys(this.handlers).forEach(event => this.boardManager.removeListener(event, this.handlers[event]));
+        this.handlers = {};
+        if (this.wss) this.wss.clients.forEach(socket => socket.terminate());
+        this.sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+module.exports = EvokServer;
@@ -0,0 +1,22 @@
+import { EventEmitter } from 'events';
+
+export = Gestures;
+
+declare class Gestures extends EventEmitter {
+    constructor(inputs?: { [id: string]: boolean | Partial<Gestures.IThresholds> });
+    static DEFAULTS: Gestures.IThresholds;
+    static EVENTS: string[];
+    has(id: string): boolean;
+    change(id: string, value: number, time: number): void;
+    reset(): void;
+    close(): void;
+    inputs: { [id: string]: Gestures.IThresholds };
+}
+
+declare namespace Gestures {
+    interface IThresholds {
+        longPress: number;
+        doubleClick: number;
+        repeat: number;
+    }
+}
@@ -0,0 +1,205 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+
+const debug = require('debug');
+const log = debug('unipi-neuron:gestures:log');
+
+/**
+ * Default thresholds in milliseconds
+ */
+const DEFAULTS = {
+    longPress: 1000,
+    doubleClick: 300,
+    repeat: 500
+};
+
+/**
+ * The events emitted for the decoded gestures
+ */
+const EVENTS = ['press', 'longpress', 'doubleclick', 'hold', 'release'];
+
+/**
+ * Decodes the changes of digital inputs wired to pushbuttons into gestures.
+ *
+ * The gesture times are derived from the times of the input changes, timers only decide when a long press or hold is
+ * emitted while the button is still down. Emits:
+ * - press (id, time): a short press, once no second press follows within doubleClick
+ * - doubleclick (id, time): a second short press within doubleClick of the first release
+ * - longpress (id, time): the button is down for longPress
+ * - hold (id, time, count): every repeat while the button stays down after a long press
+ * - release (id, time, duration): the button is released, with the time it was down
+ *
+ * @class Gestures
+ * @extends {EventEmitter}
+ */
+class Gestures extends EventEmitter {
+
+    /**
+     * Constructor
+     *
+     * @param inputs
+     *   The thresholds by input id, e.g. {'DI1.1': {longPress: 1000, doubleClick: 300, repeat: 500}}, true for the
+     *   defaults.
+     */
+    constructor(inputs) {
+        super();
+
+        this.inputs = {};
+        Object.keys(inputs || {}).forEach(id => {
+            if (!inputs[id]) return;
+            this.inputs[id] = Object.assign({}, DEFAULTS, (inputs[id] === true) ? {} : inputs[id]);
+        });
+        this.buttons = {};
+    }
+
+    /**
+     * Whether gestures are decoded for an input.
+     *
+     * @param id
+     *   e.g. DI1.1
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.inputs[id] !== undefined;
+    }
+
+    /**
+     * Decode a change of an input.
+     *
+     * @param id
+     *   e.g. DI1.1
+     * @param value
+     *   1 when pressed, 0 when released.
+     * @param time
+     *   The time at which the change was read.
+     */
+    change(id, value, time) {
+        if (!this.has(id)) return;
+        const button = this.buttons[id] = this.buttons[id] || {clicks: 0};
+
+        if (value) this.down(id, button, time);
+        else if (button.downAt !== undefined) this.up(id, button, time);
+    }
+
+    /**
+     * Handle a press of a button.
+     *
+     * @param id
+     * @param button
+     *   The state of the button.
+     * @param time
+     */
+    down(id, button, time) {
+        const thresholds = this.inputs[id];
+        clearTimeout(button.clickTimer);
+
+        // A press within doubleClick of a short press makes the second click of a double click.
+        button.second = button.clicks === 1 && time - button.upAt <= thresholds.doubleClick;
+        if (button.clicks === 1 && !button.second) this.emit('press', id, button.upAt);
+        button.clicks = 0;
+        button.downAt = time;
+        button.long = false;
+
+        // Time the long press from the change, the poll may have read it late.
+        button.longTimer = setTimeout(() => {
+            this.longPress(id, button);
+            this.hold(id, button);
+        }, Math.max(0, time + thresholds.longPress - Date.now()));
+    }
+
+    /**
+     * Emit the long press of a button.
+     *
+     * @param id
+     * @param button
+     *   The state of the button.
+     */
+    longPress(id, button) {
+        button.long = true;
+        // The first click of a double click that turned into a long press was a press of its own.
+        if (button.second) this.emit('press', id, button.upAt);
+        log(`Long press of ${id}`);
+        this.emit('longpress', id, button.downAt + this.inputs[id].longPress);
+    }
+
+    /**
+     * Emit the hold of a button every repeat while it stays down.
+     *
+     * @param id
+     * @param button
+     *   The state of the button.
+     */
+    hold(id, button) {
+        const thresholds = this.inputs[id];
+        const time = button.downAt + thresholds.longPress;
+        let count = 0;
+        button.holdTimer = setInterval(() => {
+            count++;
+            this.emit('hold', id, time + count * thresholds.repeat, count);
+        }, thresholds.repeat);
+    }
+
+    /**
+     * Handle a release of a button.
+     *
+     * @param id
+     * @param button
+     *   The state of the button.
+     * @param time
+     */
+    up(id, button, time) {
+        const thresholds = this.inputs[id];
+        const duration = time - button.downAt;
+        clearTimeout(button.longTimer);
+        clearInterval(button.holdTimer);
+
+        // The poll may report the release before the long press timer ran.
+        if (!button.long && duration >= thresholds.longPress) this.longPress(id, button);
+        button.downAt = undefined;
+        button.upAt = time;
+
+        if (!button.long) {
+            if (button.second) {
+                this.emit('doubleclick', id, time);
+            } else if (thresholds.doubleClick > 0) {
+                // Wait for a second click before reporting a press.
+                button.clicks = 1;
+                button.clickTimer = setTimeout(() => {
+                    button.clicks = 0;
+                    this.emit('press', id, time);
+                }, thresholds.doubleClick);
+            } else {
+                this.emit('press', id, time);
+            }
+        }
+        button.second = false;
+        this.emit('release', id, time, duration);
+    }
+
+    /**
+     * Forget the state of all buttons, e.g. once their inputs can no longer be read. Pending presses are dropped and
+     * no long press or hold follows.
+     */
+    reset() {
+        Object.keys(this.buttons).forEach(id => {
+            const button = this.buttons[id];
+            clearTimeout(button.clickTimer);
+            clearTimeout(button.longTimer);
+            clearInterval(button.holdTimer);
+        });
+        this.buttons = {};
+    }
+
+    /**
+     * Stop all timers, pending presses are dropped.
+     */
+    close() {
+        this.reset();
+    }
+}
+
+Gestures.DEFAULTS = DEFAULTS;
+Gestures.EVENTS = EVENTS;
+
+module.exports = Gestures;
@@ -0,0 +1,32 @@
+import { EventEmitter } from 'events';
+import BoardManager = require('./index');
+
+export = MqttBridge;
+
+declare class MqttBridge extends EventEmitter {
+    constructor(boardManager: BoardManager, config?: {
+        url?: string,
+        options?: { [key: string]: any },
+        client?: any,
+        prefix?: string,
+        discovery?: boolean,
+        discoveryPrefix?: string,
+        qos?: 0 | 1 | 2
+    });
+    start(): void;
+    topic(...levels: string[]): string;
+    ioTopic(id: string, suffix: string): string;
+    publish(topic: string, value: any): void;
+    onConnect(): Promise<void>;
+    onMessage(topic: string, payload: Buffer | string): Promise<void>;
+    publishBoard(name: string): Promise<void>;
+    publishDiscovery(name: string): void;
+    discoveryConfigs(board: BoardManager.IBoard, id: string): { component: string, objectId: string, payload: { [key: string]: any } }[];
+    close(): Promise<void>;
+    boardManager: BoardManager;
+    client: any;
+    prefix: string;
+    discovery: boolean;
+    discoveryPrefix: string;
+    qos: number;
+}
@@ -0,0 +1,423 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+const Analog = require('./Analog');
+const emitError = require('./Errors').emitError;
+
+const debug = require('debug');
+const info = debug('unipi-neuron:mqtt:info');
+const warn = debug('unipi-neuron:mqtt:warn');
+const log = debug('unipi-neuron:mqtt:log');
+const error = debug('unipi-neuron:mqtt:error');
+
+/**
+ * Io types that can be set over MQTT
+ */
+const WRITABLE = ['DO', 'RO', 'LED', 'AO'];
+
+/**
+ * Payloads of the digital ios, set topics also accept true/false and ON/OFF
+ */
+const ON = '1';
+const OFF = '0';
+
+/**
+ * Home Assistant device classes of the analog units
+ */
+const DEVICE_CLASSES = {
+    'V': 'voltage',
+    'mA': 'current',
+    '°C': 'temperature'
+};
+
+/**
+ * Turn a board name or io id into a Home Assistant object id, e.g. DI1.1 becomes DI1_1.
+ *
+ * @param name
+ * @returns {string}
+ */
+const objectId = (name) => name.toString().replace(/[^a-zA-Z0-9_-]/g, '_');
+
+/**
+ * Parse the payload of a set topic.
+ *
+ * @param type
+ *   The io type, e.g. DO or AO.
+ * @param payload
+ * @returns {boolean|number}
+ * @throws {RangeError}
+ */
+const parsePayload = (type, payload) => {
+    const text = payload.toString().trim();
+    if (type === 'AO') {
+        const value = parseFloat(text);
+        if (isNaN(value)) throw new RangeError(`Cannot set an analog output to ${text}, use a number`);
+        return value;
+    }
+    switch (text.toLowerCase()) {
+        case ON:
+        case 'on':
+        case 'true':
+            return true;
+        case OFF:
+        case 'off':
+        case 'false':
+            return false;
+        default:
+            throw new RangeError(`Cannot set a digital output to ${text}, use 1, 0, ON, OFF, true or false`);
+    }
+};
+
+/**
+ * Publishes the ios of a BoardManager over MQTT and writes the outputs from set topics.
+ *
+ * Topics, with <id> an io id such as DI1.1:
+ * - <prefix>/<board>/<id>/state: the value of every io, retained
+ * - <prefix>/<board>/<id>/counter: the counter of every digital input, retained
+ * - <prefix>/<board>/<id>/set: sets DO, RO, LED and AO ios
+ * - <prefix>/<board>/availability: online while the board is connected
+ * - <prefix>/status: online while the bridge is connected, the last will of the bridge sets it offline
+ *
+ * @class MqttBridge
+ * @extends {EventEmitter}
+ */
+class MqttBridge extends EventEmitter {
+
+    /**
+     * Constructor
+     *
+     * @param boardManager
+     *   The BoardManager to publish.
+     * @param config.url
+     *   The broker to connect to, e.g. mqtt://localhost:1883, needs the mqtt package.
+     * @param config.options
+     *   The options of mqtt.connect(), e.g. username and password.
+     * @param config.client
+     *   A connected MQTT.js compatible client to use instead of connecting to the url.
+     * @param config.prefix
+     *   The first level of the topics, defaults to unipi.
+     * @param config.discovery
+     *   Publish Home Assistant discovery payloads, defaults to true.
+     * @param config.discoveryPrefix
+     *   The discovery prefix of Home Assistant, defaults to homeassistant.
+     * @param config.qos
+     *   The QoS of the published messages and subscriptions, defaults to 0.
+     */
+    constructor(boardManager, config) {
+        super();
+
+        config = config || {};
+        this.boardManager = boardManager;
+        this.url = config.url || 'mqtt://localhost:1883';
+        this.options = config.options || {};
+        this.client = config.client;
+        // Only a client created by the bridge is ended by the bridge.
+        this.ownClient = !config.client;
+        this.prefix = config.prefix || 'unipi';
+        this.discovery = config.discovery !== false;
+        this.discoveryPrefix = config.discoveryPrefix || 'homeassistant';
+        this.qos = config.qos || 0;
+        this.handlers = {};
+        this.clientHandlers = {};
+    }
+
+    /**
+     * Connect to the broker and start publishing.
+     *
+     * @throws {Error}
+     *   When no client is given and the mqtt package is not installed.
+     */
+    start() {
+        if (!this.client) {
+            let mqtt;
+            try {
+                mqtt = require('mqtt');
+            } catch (err) {
+                throw new Error('The MQTT bridge needs the mqtt package, install it with npm install mqtt');
+            }
+            this.client = mqtt.connect(this.url, Object.assign({
+                will: {topic: this.topic('status'), payload: 'offline', qos: this.qos, retain: true}
+            }, this.options));
+        }
+
+        this.clientHandlers = {
+            connect: () => this.onConnect(),
+            message: (topic, payload) => this.onMessage(topic, payload),
+            error: err => this.handleError(err)
+        };
+        Object.keys(this.clientHandlers).forEach(event => this.client.on(event, this.clientHandlers[event]));
+
+        this.handlers = {
+            update: (id, value) => this.publish(this.ioTopic(id, 'state'), value),
+            counter: (id, value) => this.publish(this.ioTopic(id, 'counter'), value),
+            connected: (board) => {
+                this.publish(this.topic(board, 'availability'), 'online');
+                // Boards that were offline when the bridge connected are published once they are ready.
+                if (this.client.connected) this.publishBoard(board);
+            },
+            disconnected: (board) => this.publish(this.topic(board, 'availability'), 'offline')
+        };
+        Object.keys(this.handlers).forEach(event => this.boardManager.on(event, this.handlers[event]));
+
+        if (this.client.connected) this.onConnect();
+    }
+
+    /**
+     * Build a topic below the prefix.
+     *
+     * @param levels
+     *   e.g. 'local', 'DI1.1', 'state'
+     * @returns {string}
+     */
+    topic(...levels) {
+        return [this.prefix].concat(levels).join('/');
+    }
+
+    /**
+     * Build the topic of an io.
+     *
+     * @param id
+     *   e.g. local-DI1.1
+     * @param suffix
+     *   e.g. state
+     * @returns {string}
+     */
+    ioTopic(id, suffix) {
+        id = this.boardManager.id(id);
+        return this.topic(id.board, id.id, suffix);
+    }
+
+    /**
+     * Publish a retained message.
+     *
+     * @param topic
+     * @param value
+     */
+    publish(topic, value) {
+        const payload = (typeof value === 'object') ? JSON.stringify(value) : String(value);
+        log(`Publish ${payload} to ${topic}`);
+        this.client.publish(topic, payload, {qos: this.qos, retain: true}, err => {
+            if (err) this.handleError(err);
+        });
+    }
+
+    /**
+     * Subscribe to the set topics and publish the state of all boards, on every (re)connect to the broker.
+     *
+     * Each board is published as soon as it is ready, a board that cannot be reached doesn't hold up the others.
+     *
+     * @returns {Promise}
+     *   Resolves once every board has been published or was not ready in time.
+     */
+    onConnect() {
+        info('Connected to the MQTT broker');
+        this.publish(this.topic('status'), 'online');
+        this.client.subscribe(this.topic('+', '+', 'set'), {qos: this.qos}, err => {
+            if (err) this.handleError(err);
+        });
+
+        const boards = this.boardManager.boards;
+        return Promise.all(Object.keys(boards).map(name => {
+            this.publish(this.topic(name, 'availability'), boards[name].getStatus().connected ? 'online' : 'offline');
+            return this.publishBoard(name);
+        })).then(() => this.emit('ready'));
+    }
+
+    /**
+     * Publish the discovery payloads, states and counters of a board once it is ready.
+     *
+     * @param name
+     *   The board name, e.g. local
+     * @returns {Promise}
+     *   Resolves once published, or once the board was not ready in time.
+     */
+    publishBoard(name) {
+        const board = this.boardManager.boards[name];
+        return board.ready().then(() => {
+            if (this.discovery) this.publishDiscovery(name);
+            Object.keys(board.state).forEach(id => {
+                if (board.state[id] !== undefined) this.publish(this.topic(name, id, 'state'), board.state[id]);
+            });
+            Object.keys(board.counter).forEach(id => this.publish(this.topic(name, id, 'counter'), board.counter[id]));
+        }, err => {
+            warn(`Cannot publish board ${name}: ${err.message}`);
+        });
+    }
+
+    /**
+     * Set an output from a message on its set topic.
+     *
+     * @param topic
+     *   e.g. unipi/local/DO1.1/set
+     * @param payload
+     * @returns {Promise}
+     */
+    onMessage(topic, payload) {
+        const levels = topic.split('/');
+        const io = levels[levels.length - 2];
+        const board = levels[levels.length - 3];
+        if (levels[levels.length - 1] !== 'set' || levels.slice(0, -3).join('/') !== this.prefix) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const type = io.replace(/[\d.]+$/, '');
+            if (WRITABLE.indexOf(type) === -1) {
+                throw new TypeError(`Cannot set ${board}-${io} over MQTT, only ${WRITABLE.join(', ')} ios can be set`);
+            }
+            const value = parsePayload(type, payload);
+            log(`Set ${board}-${io} to ${value}`);
+            resolve(this.boardManager.set(`${board}-${io}`, value));
+        }).catch(err => {
+            warn(`Cannot set ${board}-${io} from ${topic}: ${err.message}`);
+            this.handleError(err);
+        });
+    }
+
+    /**
+     * Publish the Home Assistant discovery payloads of all ios of a board.
+     *
+     * @param name
+     *   The board name, e.g. local
+     */
+    publishDiscovery(name) {
+        const board = this.boardManager.boards[name];
+        const ids = Object.keys(board.features).concat(Object.keys(board.state).filter(id => !board.features[id]));
+        ids.forEach(id => {
+            this.discoveryConfigs(board, id).forEach(config => {
+                const topic = [this.discoveryPrefix, config.component, objectId(`unipi_${name}`), config.objectId, 'config'].join('/');
+                this.publish(topic, config.payload);
+            });
+        });
+    }
+
+    /**
+     * Build the Home Assistant discovery payloads of an io.
+     *
+     * @param board
+     * @param id
+     *   e.g. DI1.1
+     * @returns {[{component: string, objectId: string, payload: {}}]}
+     *   A payload for the io and one for its counter, none for ios Home Assistant has no use for.
+     */
+    discoveryConfigs(board, id) {
+        const feature = board.features[id];
+        const type = feature ? feature.type : id.split('.')[0];
+        const base = {
+            name: id,
+            state_topic: this.topic(board.name, id, 'state'),
+            availability: [
+                {topic: this.topic('status')},
+                {topic: this.topic(board.name, 'availability')}
+            ],
+            availability_mode: 'all',
+            device: {
+                identifiers: [objectId(`unipi_${board.name}`)],
+                name: `UniPi ${board.name}`,
+                manufacturer: 'UniPi',
+                model: board.model ? board.model.type : undefined
+            },
+            unique_id: objectId(`unipi_${board.name}_${id}`)
+        };
+        const config = (component, payload, suffix) => ({
+            component: component,
+            objectId: objectId(suffix ? `${id}_${suffix}` : id),
+            payload: Object.assign({}, base, payload)
+        });
+
+        switch (type) {
+            case 'DI': {
+                const configs = [config('binary_sensor', {payload_on: ON, payload_off: OFF})];
+                if (feature.counterReg !== undefined) {
+                    configs.push(config('sensor', {
+                        name: `${id} counter`,
+                        state_topic: this.topic(board.name, id, 'counter'),
+                        state_class: 'total_increasing',
+                        unique_id: objectId(`unipi_${board.name}_${id}_counter`)
+                    }, 'counter'));
+                }
+                return configs;
+            }
+
+            case 'DO':
+            case 'RO':
+            case 'LED':
+                return [config('switch', {
+                    command_topic: this.topic(board.name, id, 'set'),
+                    payload_on: ON,
+                    payload_off: OFF
+                })];
+
+            case 'AI': {
+                const analog = board.getAnalogState(id);
+                const unit = analog && analog.unit;
+                return [config('sensor', {
+                    unit_of_measurement: unit,
+                    device_class: DEVICE_CLASSES[unit],
+                    state_class: 'measurement'
+                })];
+            }
+
+            case 'AO': {
+                const mode = Analog.getMode(feature, board.registers);
+                if (mode === undefined || mode === 'Resistance') return [];
+                const range = Analog.getRange(feature, mode);
+                return [config('number', {
+                    command_topic: this.topic(board.name, id, 'set'),
+                    min: range.min,
+                    max: range.max,
+                    step: 0.01,
+                    unit_of_measurement: range.unit
+                })];
+            }
+
+            case 'REG':
+                // The registers of custom devices are their ios, those of the Neuron boards are mapped to ios already.
+                if (!board.config.definition) return [];
+                return [config('sensor', {state_class: 'measurement'})];
+
+            case '1W':
+                return [config('sensor', {
+                    unit_of_measurement: '°C',
+                    device_class: 'temperature',
+                    state_class: 'measurement'
+                })];
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Log an error and emit it to the error listeners.
+     *
+     * @param err
+     */
+    handleError(err) {
+        error(err.message);
+        emitError(this, err);
+    }
+
+    /**
+     * Stop publishing, mark the bridge offline and disconnect from the broker.
+     *
+     * @returns {Promise}
+     *   Resolves once disconnected.
+     */
+    close() {
+        Object.keys(this.handlers).forEach(event => this.boardManager.removeListener(event, this.handlers[event]));
+        this.handlers = {};
+        if (!this.client) return Promise.resolve();
+
+        this.publish(this.topic('status'), 'offline');
+        Object.keys(this.clientHandlers).forEach(event => this.client.removeListener(event, this.clientHandlers[event]));
+        this.clientHandlers = {};
+        if (!this.ownClient) {
+            this.client.unsubscribe(this.topic('+', '+', 'set'));
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.client.end(false, {}, () => resolve()));
+    }
+}
+
+module.exports = MqttBridge;
@@ -37,6 +37,7 @@ export declare interface INeuronDefinition {
             pwm_ps_reg: number,
             pwm_c_reg: number,
             toggle_reg: number,
+            deboun_reg?: number,
             timeout_reg: number,
             tolerances: string
         }]
@@ -50,4 +51,26 @@ export declare interface INeuron {
 
     }
 
+export declare interface IIdentification {
+        firmware: string;
+        di: number;
+        do: number;
+        ai: number;
+        ao: number;
+        uart: number;
+        hardware: number;
+        serial: number;
+    }
+
+export declare const IDENTIFICATION_REG: number;
+export declare const IDENTIFICATION_COUNT: number;
+export declare const EXTENSION_MODELS: string[];
+
 export declare function getNeuronProperties(): any;
+export declare function getDefinition(model: string): INeuronDefinition | undefined;
+export declare function loadDefinition(file: string): INeuronDefinition | undefined;
+export declare function mapFeatures(def: INeuronDefinition, groups?: number): { [id: string]: any };
+export declare function parseIdentification(regs: number[]): IIdentification;
+export declare function countFeatures(def: INeuronDefinition): { di: number, do: number, ai: number, ao: number, uart: number };
+export declare function matchModel(identification: IIdentification, models?: string[]): string | undefined;
+export declare function countGroups(def: INeuronDefinition): number;
@@ -2,6 +2,7 @@
 
 const os = require('os');
 const fs = require('fs');
+const path = require('path');
 const YAML = require('js-yaml');
 
 const debug = require('debug');
@@ -19,6 +20,267 @@ const NEURON_MODELS_GROUPS = {
     'L': 3
 };
 
+/**
+ * Identification registers of all Neuron boards and extension modules (Neuron technical manual)
+ */
+const IDENTIFICATION_REG = 1000;
+const IDENTIFICATION_COUNT = 7;
+
+/**
+ * Models of the extension modules on the RS-485 bus
+ */
+const EXTENSION_MODELS = ['xS10', 'xS30', 'xS40', 'xS50'];
+
+/**
+ * Io prefixes for the modbus features in the hardware definitions.
+ */
+const FEATURE_PREFIXES = {
+    'DI': 'DI',
+    'DO': 'DO',
+    'RO': 'RO',
+    'LED': 'LED',
+    'AI': 'AI',
+    'AO': 'AO',
+    'WD': 'WD',
+    'UART': 'UART',
+    'LIGHT_CHANNEL': 'LIGHT',
+    'REGISTER': 'REG'
+};
+
+/**
+ * Load a hardware definition file, e.g. the definition of a custom Modbus device.
+ *
+ * @param file
+ *   The path of the YAML file.
+ * @returns {{}|undefined}
+ */
+const loadDefinition = (file) => {
+    try {
+        return YAML.safeLoad(fs.readFileSync(file, {encoding: 'utf8'}));
+    } catch (err) {
+        error(`Cannot load the definition ${file}: ${err.message}`);
+        return undefined;
+    }
+};
+
+/**
+ * Load a hardware definition from evok's hw_definitions files.
+ *
+ * @param model
+ *   The board model, e.g. L203, M10x or xS10.
+ * @returns {{}|undefined}
+ */
+const getDefinition = (model) => {
+    if (!model) return undefined;
+
+    // Definitions are shared by all boards of a series, e.g. L203 uses L20x.yaml
+    const candidates = [model, `${model.slice(0, -1)}x`];
+    for (let i = 0; i < candidates.length; i++) {
+        const file = path.join(__dirname, 'hw_definitions', `${candidates[i]}.yaml`);
+        if (fs.existsSync(file)) {
+            return loadDefinition(file);
+        }
+    }
+    error(`Cannot find a definition for model ${model}`);
+    return undefined;
+};
+
+/**
+ * Get the first register of a group, from the register blocks of the definition.
+ *
+ * @param def
+ *   The hardware definition.
+ * @param group
+ * @returns {number}
+ */
+const getGroupBase = (def, group) => {
+    const block = (def.modbus_register_blocks || []).find(block => (block.board_index || 1) === group);
+    return block ? block.start_reg : 0;
+};
+
+/**
+ * Count the major groups declared in a hardware definition.
+ *
+ * @param def
+ *   The hardware definition.
+ * @returns {number}
+ */
+const countGroups = (def) => {
+    let groups = 0;
+    (def.modbus_features || []).forEach(feature => {
+        groups = Math.max(groups, feature.major_group || 1);
+    });
+    return groups;
+};
+
+/**
+ * Build the io map of a board from the modbus features of its definition.
+ *
+ * Ios are numbered per type and group in the order of the definition (e.g. DI2.1, DI2.2 ...), registers are
+ * numbered by their address (e.g. REG1.1000).
+ *
+ * @param def
+ *   The hardware definition.
+ * @param groups
+ *   Only map the features of the first n groups, defaults to all groups.
+ * @returns {{}}
+ *   The io features by id.
+ */
+const mapFeatures = (def, groups) => {
+    const counts = {};
+    const features = {};
+
+    (def.modbus_features || []).forEach(definition => {
+        const prefix = FEATURE_PREFIXES[definition.type];
+        const group = definition.major_group || 1;
+        if (!prefix || (groups && group > groups)) return;
+
+        for (let i = 0; i < (definition.count || 0); i++) {
+            const feature = {
+                type: prefix,
+                group: group,
+                position: i,
+                size: 1,
+                def: definition
+            };
+
+            switch (prefix) {
+                case 'DI':
+                case 'DO':
+                case 'RO':
+                case 'LED':
+                    // Digital ios are stored as bits, 16 per register.
+                    feature.reg = definition.val_reg + Math.floor(i / 16);
+                    feature.bit = i % 16;
+                    if (definition.val_coil !== undefined) feature.coil = definition.val_coil + i;
+                    // Counters are stored over two words.
+                    if (definition.counter_reg !== undefined) feature.counterReg = definition.counter_reg + (i * 2);
+                    // Digital outputs in PWM mode hold their duty cycle in a register of their own.
+                    if (definition.pwm_reg !== undefined) feature.pwmReg = definition.pwm_reg + i;
+                    break;
+
+                case 'AI':
+                    // 500 series analog inputs are stored over two words.
+                    if (definition.tolerances === '500series') feature.size = 2;
+                    feature.reg = definition.val_reg + (i * feature.size);
+                    break;
+
+                case 'UART':
+                    // UART ports are configured through a register of their own.
+                    feature.reg = definition.conf_reg + i;
+                    break;
+
+                case 'LIGHT':
+                    // The registers of light channels are relative to the first register of their group: a shared
+                    // status register, three receive registers per channel (answer, flags and a counter of the
+                    // finished transactions) and two transmit registers per channel (address and data byte).
+                    feature.size = 3;
+                    feature.statusReg = getGroupBase(def, group) + definition.status_reg;
+                    feature.reg = getGroupBase(def, group) + definition.read_reg + (i * 3);
+                    feature.writeReg = getGroupBase(def, group) + definition.write_reg + (i * 2);
+                    break;
+
+                case 'REG':
+                    // Definitions of neuron boards use start_reg, custom devices use val_reg.
+                    feature.reg = ((definition.start_reg !== undefined) ? definition.start_reg : definition.val_reg) + i;
+                    break;
+
+                default:
+                    feature.reg = definition.val_reg + i;
+            }
+
+            if (prefix === 'REG') {
+                feature.index = feature.reg;
+            } else {
+                counts[prefix + group] = (counts[prefix + group] || 0) + 1;
+                feature.index = counts[prefix + group];
+            }
+            feature.id = `${prefix}${group}.${feature.index}`;
+
+            features[feature.id] = feature;
+        }
+    });
+    return features;
+};
+
+/**
+ * Parse the identification registers of a board.
+ *
+ * @param registers
+ *   The values of the registers 1000 - 1006.
+ * @returns {{firmware: string, di: number, do: number, ai: number, ao: number, uart: number, hardware: number, serial: number}}
+ */
+const parseIdentification = (registers) => ({
+    firmware: `${registers[0] >> 8}.${registers[0] & 0xFF}`,
+    di: registers[1] >> 8,
+    do: registers[1] & 0xFF,
+    ai: registers[2] >> 8,
+    ao: (registers[2] & 0xF0) >> 4,
+    uart: registers[2] & 0x0F,
+    hardware: registers[3] >> 8,
+    serial: (registers[5] || 0) + (registers[6] || 0) * 0x10000
+});
+
+/**
+ * Count the ios of the first group of a definition the way the identification registers report them.
+ *
+ * @param def
+ *   The hardware definition.
+ * @returns {{di: number, do: number, ai: number, ao: number, uart: number}}
+ */
+const countFeatures = (def) => {
+    const counts = {di: 0, do: 0, ai: 0, ao: 0, uart: 0};
+    (def.modbus_features || []).forEach(feature => {
+        if ((feature.major_group || 1) !== 1) return;
+        const count = feature.count || 0;
+        switch (feature.type) {
+            case 'DI':
+                counts.di += count;
+                break;
+            case 'DO':
+            case 'RO':
+                counts.do += count;
+                break;
+            case 'AI':
+                counts.ai += count;
+                break;
+            case 'AO':
+                counts.ao += count;
+                break;
+            case 'UART':
+                counts.uart += count || 1;
+                break;
+        }
+    });
+    return counts;
+};
+
+/**
+ * Find the model of a board from its identification registers.
+ *
+ * The digital io counts set the models apart, the analog io counts break ties.
+ *
+ * @param identification
+ *   The parsed identification registers.
+ * @param models
+ *   The candidate models, defaults to the extension modules.
+ * @returns {string|undefined}
+ */
+const matchModel = (identification, models) => {
+    const candidates = (models || EXTENSION_MODELS).filter(model => {
+        const def = getDefinition(model);
+        if (!def) return false;
+        const counts = countFeatures(def);
+        return counts.di === identification.di && counts.do === identification.do;
+    });
+    if (candidates.length <= 1) return candidates[0];
+
+    return candidates.find(model => {
+        const counts = countFeatures(getDefinition(model));
+        return counts.ai === identification.ai && counts.ao === identification.ao;
+    }) || candidates[0];
+};
+
 const getNeuronProperties = (ref, config) => {
     const neuron = ref || {};
     let eeprom;
@@ -54,12 +316,9 @@ const getNeuronProperties = (ref, config) => {
     // load neuron definition from evok's hw_definitions files
     if (eeprom && neuron.model && neuron.model.type) {
         
-        // get short type
-        const type = neuron.model.type.slice(0, -1);
-
         // get neuron's definition
         try {
-            neuron.model.def = YAML.safeLoad(fs.readFileSync(`${require.resolve('./').split('index.js').join('')}/hw_definitions/${type}x.yaml`, {encoding: 'utf8'}));
+            neuron.model.def = getDefinition(neuron.model.type);
         }
         catch (err) {
             error('Cannot access Neuron\'s definition: this machine is a unknown neuron !');
@@ -68,4 +327,14 @@ const getNeuronProperties = (ref, config) => {
     return neuron;
 };
 
+module.exports.IDENTIFICATION_REG = IDENTIFICATION_REG;
+module.exports.IDENTIFICATION_COUNT = IDENTIFICATION_COUNT;
+module.exports.EXTENSION_MODELS = EXTENSION_MODELS;
 module.exports.getNeuronProperties = getNeuronProperties;
+module.exports.getDefinition = getDefinition;
+module.exports.loadDefinition = loadDefinition;
+module.exports.mapFeatures = mapFeatures;
+module.exports.countGroups = countGroups;
+module.exports.parseIdentification = parseIdentification;
+module.exports.countFeatures = countFeatures;
+module.exports.matchModel = matchModel;
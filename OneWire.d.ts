@@ -0,0 +1,16 @@
+import { EventEmitter } from 'events';
+
+export = OneWire;
+
+declare class OneWire extends EventEmitter {
+    constructor(config?: { root?: string, interval?: number });
+    start(): void;
+    scan(): Promise<string[]>;
+    read(address: string): Promise<number>;
+    poll(): Promise<void>;
+    ready(): Promise<void>;
+    close(): void;
+    root: string;
+    interval: number;
+    sensors: { [address: string]: string };
+}
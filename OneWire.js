@@ -0,0 +1,199 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+const path = require('path');
+const emitError = require('./Errors').emitError;
+
+const debug = require('debug');
+const info = debug('unipi-neuron:onewire:info');
+const warn = debug('unipi-neuron:onewire:warn');
+const log = debug('unipi-neuron:onewire:log');
+const error = debug('unipi-neuron:onewire:error');
+
+/**
+ * Supported sensors by 1-Wire family code, the w1 kernel drivers expose them in different files
+ */
+const FAMILIES = {
+    '10': 'DS18S20',
+    '22': 'DS1822',
+    '28': 'DS18B20',
+    '3b': 'DS1825',
+    '42': 'DS28EA00',
+    '26': 'DS2438'
+};
+
+/**
+ * Read a file as a string.
+ *
+ * @param file
+ * @returns {Promise}
+ */
+const readFile = (file) => new Promise((resolve, reject) => {
+    fs.readFile(file, {encoding: 'utf8'}, (err, data) => err ? reject(err) : resolve(data));
+});
+
+/**
+ * Parse the w1_slave file of the w1_therm driver, e.g.
+ *   72 01 4b 46 7f ff 0e 10 57 : crc=57 YES
+ *   72 01 4b 46 7f ff 0e 10 57 t=23125
+ *
+ * @param data
+ * @returns {number}
+ *   The temperature in °C.
+ */
+const parseThermometer = (data) => {
+    const lines = data.trim().split('\n');
+    if (lines.length < 2 || !/YES$/.test(lines[0].trim())) {
+        throw new Error('CRC check failed');
+    }
+    const match = /t=(-?\d+)/.exec(lines[1]);
+    if (!match) {
+        throw new Error('No temperature');
+    }
+    return parseInt(match[1]) / 1000;
+};
+
+/**
+ * Parse the temperature file of the w1_ds2438 driver, in 1/256 °C.
+ *
+ * @param data
+ * @returns {number}
+ *   The temperature in °C.
+ */
+const parseDs2438 = (data) => {
+    const value = parseInt(data.trim());
+    if (isNaN(value)) {
+        throw new Error('No temperature');
+    }
+    return Math.round(value / 256 * 100) / 100;
+};
+
+/**
+ * Reads the 1-Wire sensors of the w1 sysfs interface.
+ *
+ * Emits a data event (id, temperature, time) for every sensor read and a removed event (id, time) for every sensor
+ * that is no longer found.
+ *
+ * @class OneWire
+ * @extends {EventEmitter}
+ */
+class OneWire extends EventEmitter {
+
+    /**
+     * Constructor
+     *
+     * @param config.root
+     *   The directory of the w1 devices, defaults to /sys/bus/w1/devices.
+     * @param config.interval
+     *   The interval in milliseconds at which to read the sensors, defaults to 10000.
+     */
+    constructor(config) {
+        super();
+
+        config = config || {};
+        this.root = config.root || '/sys/bus/w1/devices';
+        this.interval = config.interval || 10000;
+        this.sensors = {};
+        this.polling = false;
+        this.readyPromise = new Promise(resolve => {
+            this.resolveReady = resolve;
+        });
+    }
+
+    /**
+     * Start reading the sensors at the configured interval.
+     */
+    start() {
+        this.poll();
+        this.pollLoopId = setInterval(() => this.poll(), this.interval);
+    }
+
+    /**
+     * Find the supported sensors.
+     *
+     * @returns {Promise}
+     *   Resolves with the addresses of the sensors, e.g. 28-0316a2795eff.
+     */
+    scan() {
+        return new Promise((resolve, reject) => {
+            fs.readdir(this.root, (err, entries) => err ? reject(err) : resolve(entries));
+        }).then(entries => entries.filter(entry => FAMILIES[entry.split('-')[0]] !== undefined));
+    }
+
+    /**
+     * Read the temperature of a sensor.
+     *
+     * @param address
+     *   e.g. 28-0316a2795eff
+     * @returns {Promise}
+     *   Resolves with the temperature in °C.
+     */
+    read(address) {
+        if (FAMILIES[address.split('-')[0]] === 'DS2438') {
+            return readFile(path.join(this.root, address, 'temperature')).then(parseDs2438);
+        }
+        return readFile(path.join(this.root, address, 'w1_slave')).then(parseThermometer);
+    }
+
+    /**
+     * Read all sensors one after the other, a 1-Wire bus handles one conversion at a time.
+     *
+     * Emits a data event with the id (e.g. 1W.28-0316a2795eff), temperature and time for every sensor read.
+     *
+     * @returns {Promise}
+     */
+    poll() {
+        if (this.polling) return Promise.resolve();
+        this.polling = true;
+
+        return this.scan()
+            .then(addresses => {
+                addresses.forEach(address => {
+                    if (!this.sensors[address]) {
+                        info(`Found ${FAMILIES[address.split('-')[0]]} sensor ${address}`);
+                        this.sensors[address] = FAMILIES[address.split('-')[0]];
+                    }
+                });
+                Object.keys(this.sensors).filter(address => addresses.indexOf(address) === -1).forEach(address => {
+                    warn(`Lost ${this.sensors[address]} sensor ${address}`);
+                    delete this.sensors[address];
+                    this.emit('removed', `1W.${address}`, Date.now());
+                });
+                return addresses.reduce((promise, address) => promise
+                    .then(() => this.read(address))
+                    .then(value => {
+                        log(`Read ${value} from ${address}`);
+                        this.emit('data', `1W.${address}`, value, Date.now());
+                    }, err => {
+                        warn(`Cannot read 1-Wire sensor ${address}: ${err.message}`);
+                        emitError(this, err);
+                    }), Promise.resolve());
+            }, err => {
+                error(`Cannot scan the 1-Wire devices in ${this.root}: ${err.message}`);
+                emitError(this, err);
+            })
+            .then(() => {
+                this.polling = false;
+                this.resolveReady();
+            });
+    }
+
+    /**
+     * Wait until the sensors have been read once.
+     *
+     * @returns {Promise}
+     */
+    ready() {
+        return this.readyPromise;
+    }
+
+    /**
+     * Stop reading the sensors.
+     */
+    close() {
+        clearInterval(this.pollLoopId);
+    }
+}
+
+module.exports = OneWire;
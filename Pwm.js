@@ -0,0 +1,116 @@
+"use strict";
+
+/**
+ * Clock of the PWM timer of the digital outputs in Hz
+ */
+const PWM_CLOCK = 48000000;
+
+/**
+ * Largest prescaler and cycle register values
+ */
+const MAX_REGISTER = 0xFFFF;
+
+/**
+ * Smallest cycle register value, keeping a duty cycle resolution of 1 %
+ */
+const MIN_CYCLE = 99;
+
+/**
+ * Get the duty cycle register of a digital output.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @returns {number|undefined}
+ */
+const getDutyRegister = (feature) => {
+    if (feature.def.pwm_reg === undefined) return undefined;
+    return feature.def.pwm_reg + feature.position;
+};
+
+/**
+ * Get the PWM frequency of the digital outputs sharing the timer of a feature.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @param registers
+ *   The registers read from the board.
+ * @returns {number|undefined}
+ *   The frequency in Hz, 0 as long as no frequency has been set, undefined as long as the timer registers haven't been
+ *   read.
+ */
+const getFrequency = (feature, registers) => {
+    const prescaler = registers[feature.def.pwm_ps_reg];
+    const cycle = registers[feature.def.pwm_c_reg];
+    if (prescaler === undefined || cycle === undefined) return undefined;
+    if (cycle === 0) return 0;
+    return PWM_CLOCK / ((prescaler + 1) * (cycle + 1));
+};
+
+/**
+ * Get the duty cycle of a digital output.
+ *
+ * @param feature
+ *   The io feature from the io map.
+ * @param registers
+ *   The registers read from the board.
+ * @returns {number|undefined}
+ *   The duty cycle in %, 0 when the output is not in PWM mode, undefined as long as the registers haven't been read.
+ */
+const getDuty = (feature, registers) => {
+    const duty = registers[getDutyRegister(feature)];
+    const cycle = registers[feature.def.pwm_c_reg];
+    if (duty === undefined || cycle === undefined) return undefined;
+    if (duty === 0 || cycle === 0) return 0;
+    return Math.min(100, Math.round(duty / cycle * 1000) / 10);
+};
+
+/**
+ * Get the timer registers for a PWM frequency.
+ *
+ * The smallest prescaler is used to get the finest duty cycle resolution.
+ *
+ * @param frequency
+ *   The frequency in Hz.
+ * @returns {{prescaler: number, cycle: number}|undefined}
+ *   Undefined when the frequency cannot be reached.
+ */
+const encodeFrequency = (frequency) => {
+    if (!(frequency > 0)) return undefined;
+    const ticks = PWM_CLOCK / frequency;
+    const prescaler = Math.max(0, Math.ceil(ticks / (MAX_REGISTER + 1)) - 1);
+    const cycle = Math.min(MAX_REGISTER, Math.round(ticks / (prescaler + 1)) - 1);
+    if (prescaler > MAX_REGISTER || cycle < MIN_CYCLE) return undefined;
+    return {
+        prescaler: prescaler,
+        cycle: cycle
+    };
+};
+
+/**
+ * Get the duty cycle register value for a duty cycle.
+ *
+ * @param duty
+ *   The duty cycle in %.
+ * @param cycle
+ *   The cycle register value.
+ * @returns {number}
+ */
+const encodeDuty = (duty, cycle) => Math.round(duty / 100 * cycle);
+
+/**
+ * Get the range of PWM frequencies.
+ *
+ * @returns {{min: number, max: number}}
+ */
+const getFrequencyRange = () => ({
+    min: PWM_CLOCK / ((MAX_REGISTER + 1) * (MAX_REGISTER + 1)),
+    max: PWM_CLOCK / (MIN_CYCLE + 1)
+});
+
+module.exports.PWM_CLOCK = PWM_CLOCK;
+module.exports.getDutyRegister = getDutyRegister;
+module.exports.getFrequency = getFrequency;
+module.exports.getDuty = getDuty;
+module.exports.encodeFrequency = encodeFrequency;
+module.exports.encodeDuty = encodeDuty;
+module.exports.getFrequencyRange = getFrequencyRange;
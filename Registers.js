@@ -0,0 +1,134 @@
+"use strict";
+
+const math = require('mathjs');
+
+/**
+ * Register data types, their size in words and range
+ */
+const TYPES = {
+    'uint16': {words: 1, min: 0, max: 0xFFFF},
+    'int16': {words: 1, min: -0x8000, max: 0x7FFF},
+    'uint32': {words: 2, min: 0, max: 0xFFFFFFFF},
+    'int32': {words: 2, min: -0x80000000, max: 0x7FFFFFFF},
+    'float32': {words: 2, min: -3.4e38, max: 3.4e38}
+};
+
+/**
+ * Word orders of multi word values: big is high word first, little is low word first
+ */
+const WORD_ORDERS = ['big', 'little'];
+
+/**
+ * Normalize the data type of a register.
+ *
+ * @param format
+ *   A data type (e.g. float32) or {type, wordOrder, scale}.
+ * @returns {{type: string, wordOrder: string, scale: number, words: number}}
+ * @throws {RangeError}
+ */
+const normalize = (format) => {
+    if (typeof format === 'string') format = {type: format};
+    format = Object.assign({type: 'uint16', wordOrder: 'big', scale: 1}, format);
+
+    if (!TYPES[format.type]) {
+        throw new RangeError(`Unknown register type ${format.type}, use one of: ${Object.keys(TYPES).join(', ')}`);
+    }
+    if (WORD_ORDERS.indexOf(format.wordOrder) === -1) {
+        throw new RangeError(`Unknown word order ${format.wordOrder}, use one of: ${WORD_ORDERS.join(', ')}`);
+    }
+    if (typeof format.scale !== 'number' || !isFinite(format.scale) || format.scale === 0) {
+        throw new RangeError(`Invalid register scale ${format.scale}`);
+    }
+    format.words = TYPES[format.type].words;
+    return format;
+};
+
+/**
+ * Decode a value from its registers.
+ *
+ * @param format
+ *   A normalized data type.
+ * @param words
+ *   The register values in the order of their addresses.
+ * @returns {number|undefined}
+ *   The scaled value, undefined as long as not all registers have been read.
+ */
+const decode = (format, words) => {
+    if (words.length < format.words || words.some(word => word === undefined)) return undefined;
+
+    const buffer = Buffer.alloc(format.words * 2);
+    const ordered = (format.wordOrder === 'little') ? words.slice(0, format.words).reverse() : words;
+    for (let i = 0; i < format.words; i++) {
+        buffer.writeUInt16BE(ordered[i], i * 2);
+    }
+
+    let value;
+    switch (format.type) {
+        case 'int16':
+            value = buffer.readInt16BE(0);
+            break;
+        case 'uint32':
+            value = buffer.readUInt32BE(0);
+            break;
+        case 'int32':
+            value = buffer.readInt32BE(0);
+            break;
+        case 'float32':
+            value = buffer.readFloatBE(0);
+            break;
+        default:
+            value = buffer.readUInt16BE(0);
+    }
+    // Keep scaled values free of floating point noise, e.g. 2301 * 0.1
+    return (format.scale === 1) ? value : math.round(value * format.scale, 10);
+};
+
+/**
+ * Encode a value into its registers.
+ *
+ * @param format
+ *   A normalized data type.
+ * @param value
+ *   The scaled value.
+ * @returns {number[]}
+ *   The register values in the order of their addresses.
+ * @throws {RangeError}
+ *   When the value does not fit the data type.
+ */
+const encode = (format, value) => {
+    let raw = parseFloat(value) / format.scale;
+    if (format.type !== 'float32') raw = Math.round(raw);
+    const range = TYPES[format.type];
+    if (isNaN(raw) || raw < range.min || raw > range.max) {
+        throw new RangeError(`Cannot encode ${value} as ${format.type} with scale ${format.scale}`);
+    }
+
+    const buffer = Buffer.alloc(format.words * 2);
+    switch (format.type) {
+        case 'int16':
+            buffer.writeInt16BE(raw, 0);
+            break;
+        case 'uint32':
+            buffer.writeUInt32BE(raw, 0);
+            break;
+        case 'int32':
+            buffer.writeInt32BE(raw, 0);
+            break;
+        case 'float32':
+            buffer.writeFloatBE(raw, 0);
+            break;
+        default:
+            buffer.writeUInt16BE(raw, 0);
+    }
+
+    const words = [];
+    for (let i = 0; i < format.words; i++) {
+        words.push(buffer.readUInt16BE(i * 2));
+    }
+    return (format.wordOrder === 'little') ? words.reverse() : words;
+};
+
+module.exports.TYPES = TYPES;
+module.exports.normalize = normalize;
+module.exports.decode = decode;
+module.exports.encode = encode;
@@ -11,20 +11,25 @@ class RtuConnection extends ModbusRTU {
      * Constructor
      *
      * @param {string} socket
+     * @param {int} baudRate
      */
-    constructor (socket) {
+    constructor (socket, baudRate) {
         super();
         this.socket = socket;
+        this.baudRate = baudRate || 19200;
     }
 
     /**
      * Connect to the socket.
      *
      * @param callback
+     *   Called without arguments once connected, with the error when the connection failed.
      */
     connect (callback) {
-        this.connectRTUBuffered(this.socket, { baudRate: 19200 }).then(function () {
+        this.connectRTUBuffered(this.socket, { baudRate: this.baudRate }).then(function () {
             callback();
+        }, function (err) {
+            callback(err || new Error('Cannot connect'));
         });
     }
 }
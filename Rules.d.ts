@@ -0,0 +1,58 @@
+import { EventEmitter } from 'events';
+import BoardManager = require('./index');
+
+export = Rules;
+
+declare class Rules extends EventEmitter {
+    constructor(boardManager: BoardManager, rules?: Rules.IRule[]);
+    static fromFile(boardManager: BoardManager, file: string): Rules;
+    validate(rule: Rules.IRule, index: number): Rules.IRule;
+    start(): Promise<void>;
+    getValue(id: string): any;
+    onUpdate(id: string, value: any, time: number): void;
+    onCounter(id: string, delta: number, time: number): void;
+    fire(rule: Rules.IRule, time: number): Promise<void>;
+    run(action: Rules.IAction): Promise<void>;
+    stop(): void;
+    boardManager: BoardManager;
+    rules: Rules.IRule[];
+    started: boolean;
+}
+
+declare namespace Rules {
+    interface ITrigger {
+        type: 'edge' | 'level' | 'threshold' | 'counter' | 'time';
+        id?: string;
+        edge?: 'rising' | 'falling' | 'both';
+        value?: any;
+        above?: number;
+        below?: number;
+        hysteresis?: number;
+        delta?: number;
+        at?: string;
+        days?: number[];
+    }
+
+    interface ICondition {
+        id?: string;
+        equals?: any;
+        above?: number;
+        below?: number;
+        after?: string;
+        before?: string;
+    }
+
+    interface IAction {
+        type: 'set' | 'toggle' | 'pulse' | 'delayOff';
+        id: string;
+        value?: any;
+        duration?: number;
+    }
+
+    interface IRule {
+        name?: string;
+        trigger: ITrigger;
+        conditions?: ICondition[];
+        actions: IAction[];
+    }
+}
@@ -0,0 +1,513 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+const path = require('path');
+const YAML = require('js-yaml');
+const ConfigError = require('./Errors').ConfigError;
+const emitError = require('./Errors').emitError;
+
+const debug = require('debug');
+const info = debug('unipi-neuron:rules:info');
+const warn = debug('unipi-neuron:rules:warn');
+const log = debug('unipi-neuron:rules:log');
+const error = debug('unipi-neuron:rules:error');
+
+/**
+ * Trigger types and their required options
+ */
+const TRIGGERS = {
+    'edge': ['id'],
+    'level': ['id', 'value'],
+    'threshold': ['id'],
+    'counter': ['id', 'delta'],
+    'time': ['at']
+};
+
+/**
+ * Action types and their required options
+ */
+const ACTIONS = {
+    'set': ['id', 'value'],
+    'toggle': ['id'],
+    'pulse': ['id', 'duration'],
+    'delayOff': ['id', 'duration']
+};
+
+/**
+ * Parse a time of day.
+ *
+ * @param time
+ *   e.g. 07:30
+ * @returns {number|undefined}
+ *   The minutes since midnight, undefined for an invalid time.
+ */
+const parseTime = (time) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return undefined;
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+};
+
+/**
+ * Get the next time a time trigger fires.
+ *
+ * @param trigger
+ *   {at: '07:30', days: [1, 2, 3, 4, 5]}, days are 0 (Sunday) - 6 and default to every day.
+ * @param now
+ *   The current time in milliseconds.
+ * @returns {number}
+ */
+const nextTime = (trigger, now) => {
+    const minutes = parseTime(trigger.at);
+    const next = new Date(now);
+    next.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    for (let i = 0; i <= 7; i++) {
+        if (next.getTime() > now && (!trigger.days || trigger.days.indexOf(next.getDay()) !== -1)) break;
+        next.setDate(next.getDate() + 1);
+    }
+    return next.getTime();
+};
+
+/**
+ * Convert the value of an update event to a number, digital ios are reported as '1' and '0'.
+ *
+ * @param value
+ * @returns {number|*}
+ */
+const toValue = (value) => (typeof value === 'string' && value !== '' && !isNaN(value)) ? Number(value) : value;
+
+/**
+ * Runs declarative rules on the ios of a BoardManager: a trigger, optional conditions and the actions to run.
+ *
+ * Triggers:
+ * - {type: 'edge', id, edge: 'rising' | 'falling' | 'both'}: a digital io changes, rising by default
+ * - {type: 'level', id, value}: an io becomes the value, or is at the value when the rules start
+ * - {type: 'threshold', id, above | below, hysteresis}: an io crosses the threshold, it fires again once the io went
+ *   back past the threshold by the hysteresis (0 by default)
+ * - {type: 'counter', id, delta}: every delta pulses counted by a digital input
+ * - {type: 'time', at: '07:30', days: [1, 2, 3, 4, 5]}: a time of day, on the days of the week (0 is Sunday)
+ *
+ * Conditions, all of which have to hold: {id, equals | above | below} or {after: '18:00', before: '06:00'}.
+ *
+ * Actions:
+ * - {type: 'set', id, value}
+ * - {type: 'toggle', id}
+ * - {type: 'pulse', id, duration}: switches the output on for the duration in milliseconds, triggers during the
+ *   pulse are ignored, a delayOff of the output during the pulse takes over its switch off
+ * - {type: 'delayOff', id, duration}: switches the output on and off after the duration, every trigger restarts
+ *   the duration (e.g. staircase lights)
+ *
+ * Ids include the board name, e.g. local-DI1.3, so rules can span boards.
+ *
+ * @class Rules
+ * @extends {EventEmitter}
+ */
+class Rules extends EventEmitter {
+
+    /**
+     * Constructor
+     *
+     * @param boardManager
+     *   The BoardManager to automate.
+     * @param {[{}]} rules
+     *   e.g. [{name: 'stairs', trigger: {type: 'edge', id: 'local-DI1.3'}, actions: [{type: 'delayOff', id: 'local-DO1.1', duration: 180000}]}]
+     * @throws {ConfigError}
+     *   When a rule is invalid.
+     */
+    constructor(boardManager, rules) {
+        super();
+
+        this.boardManager = boardManager;
+        this.rules = (rules || []).map((rule, index) => this.validate(rule, index));
+        this.handlers = {};
+        this.timers = {};
+        this.schedules = {};
+        this.armed = {};
+        this.counted = {};
+        this.pulses = {};
+        this.started = false;
+    }
+
+    /**
+     * Create the rules from a JSON or YAML file.
+     *
+     * @param boardManager
+     * @param file
+     *   The path of a .json, .yaml or .yml file holding an array of rules.
+     * @returns {Rules}
+     * @throws {ConfigError}
+     */
+    static fromFile(boardManager, file) {
+        let rules;
+        try {
+            const data = fs.readFileSync(file, {encoding: 'utf8'});
+            rules = (path.extname(file) === '.json') ? JSON.parse(data) : YAML.safeLoad(data);
+        } catch (err) {
+            throw new ConfigError(`Cannot load the rules ${file}: ${err.message}`, {file: file});
+        }
+        if (!Array.isArray(rules)) {
+            throw new ConfigError(`The rules ${file} must hold an array of rules`, {file: file});
+        }
+        return new Rules(boardManager, rules);
+    }
+
+    /**
+     * Validate a rule and fill in the defaults.
+     *
+     * @param rule
+     * @param index
+     *   The position of the rule, used in errors.
+     * @returns {{}}
+     *   A copy of the rule.
+     * @throws {ConfigError}
+     */
+    validate(rule, index) {
+        const name = (rule && rule.name) || `rule ${index + 1}`;
+        const fail = (property, message) => {
+            throw new ConfigError(`Invalid rules[${index}] "${name}": ${property} ${message}`, {
+                index: index,
+                rule: name,
+                property: property
+            });
+        };
+        const checkId = (id, property) => {
+            if (typeof id !== 'string') fail(property, 'must be an io id, e.g. local-DI1.1');
+            const parsed = this.boardManager.id(id);
+            const board = this.boardManager.boards[parsed.board];
+            if (!board) fail(property, `refers to the unknown board ${parsed.board}`);
+            if (parsed.id === undefined) fail(property, `must name an io of board ${parsed.board}, e.g. ${parsed.board}-DI1.1`);
+            // 1-Wire sensors are only known once read.
+            if (!board.features[parsed.id] && parsed.id.indexOf('1W.') !== 0) fail(property, `refers to the unknown io ${id}`);
+        };
+        const checkTime = (time, property) => {
+            if (parseTime(time) === undefined) fail(property, `must be a time of day, e.g. 07:30, got ${JSON.stringify(time)}`);
+        };
+
+        if (!rule || typeof rule !== 'object') fail('rule', 'must be an object');
+        const trigger = rule.trigger;
+        if (!trigger || !TRIGGERS[trigger.type]) {
+            fail('trigger.type', `must be one of: ${Object.keys(TRIGGERS).join(', ')}`);
+        }
+        TRIGGERS[trigger.type].forEach(option => {
+            if (trigger[option] === undefined) fail(`trigger.${option}`, `is required for a ${trigger.type} trigger`);
+        });
+        if (trigger.id !== undefined) checkId(trigger.id, 'trigger.id');
+        if (trigger.type === 'edge' && ['rising', 'falling', 'both', undefined].indexOf(trigger.edge) === -1) {
+            fail('trigger.edge', 'must be one of: rising, falling, both');
+        }
+        if (trigger.type === 'threshold' && (typeof trigger.above === 'number') === (typeof trigger.below === 'number')) {
+            fail('trigger', 'needs either a numeric above or below threshold');
+        }
+        if (trigger.type === 'counter' && !(trigger.delta > 0)) fail('trigger.delta', 'must be more than 0');
+        if (trigger.type === 'time') checkTime(trigger.at, 'trigger.at');
+
+        const conditions = rule.conditions || [];
+        if (!Array.isArray(conditions)) fail('conditions', 'must be an array');
+        conditions.forEach((condition, i) => {
+            if (condition.id !== undefined) {
+                checkId(condition.id, `conditions[${i}].id`);
+                if (['equals', 'above', 'below'].every(key => condition[key] === undefined)) {
+                    fail(`conditions[${i}]`, 'needs equals, above or below');
+                }
+            } else {
+                if (condition.after === undefined && condition.before === undefined) {
+                    fail(`conditions[${i}]`, 'needs an id or a time window (after, before)');
+                }
+                if (condition.after !== undefined) checkTime(condition.after, `conditions[${i}].after`);
+                if (condition.before !== undefined) checkTime(condition.before, `conditions[${i}].before`);
+            }
+        });
+
+        const actions = rule.actions;
+        if (!Array.isArray(actions) || actions.length === 0) fail('actions', 'must be a non empty array');
+        actions.forEach((action, i) => {
+            if (!action || !ACTIONS[action.type]) fail(`actions[${i}].type`, `must be one of: ${Object.keys(ACTIONS).join(', ')}`);
+            ACTIONS[action.type].forEach(option => {
+                if (action[option] === undefined) fail(`actions[${i}].${option}`, `is required for a ${action.type} action`);
+            });
+            checkId(action.id, `actions[${i}].id`);
+            if (action.duration !== undefined && !(action.duration > 0)) fail(`actions[${i}].duration`, 'must be more than 0');
+        });
+
+        return Object.assign({}, rule, {name: name, conditions: conditions});
+    }
+
+    /**
+     * Start running the rules.
+     *
+     * @returns {Promise}
+     *   Resolves once the boards are ready and the level and threshold triggers have been evaluated. A board that is
+     *   not ready in time is emitted as an error, the rules keep running on the updates of the other boards.
+     */
+    start() {
+        if (this.started) return Promise.resolve();
+        this.started = true;
+
+        this.handlers = {
+            update: (id, value, time) => this.onUpdate(id, toValue(value), time),
+            counter: (id, value, time, delta) => this.onCounter(id, delta, time)
+        };
+        Object.keys(this.handlers).forEach(event => this.boardManager.on(event, this.handlers[event]));
+        this.rules.forEach((rule, index) => {
+            if (rule.trigger.type === 'time') this.schedule(rule, index);
+        });
+
+        return this.boardManager.ready().then(() => {
+            if (!this.started) return;
+            this.rules.forEach((rule, index) => {
+                const value = this.getValue(rule.trigger.id);
+                if (rule.trigger.type === 'threshold') {
+                    // Ios already past the threshold fire once they went back and crossed it again.
+                    this.armed[index] = !this.isPast(rule.trigger, value);
+                } else if (rule.trigger.type === 'level' && value === rule.trigger.value) {
+                    this.fire(rule, Date.now());
+                }
+            });
+            info(`Running ${this.rules.length} rules`);
+        }, err => {
+            warn(`Running ${this.rules.length} rules before all boards are ready: ${err.message}`);
+            this.handleError(err);
+        });
+    }
+
+    /**
+     * Get the current value of an io.
+     *
+     * @param id
+     *   e.g. local-DI1.1
+     * @returns {*}
+     *   Undefined as long as the io has not been read.
+     */
+    getValue(id) {
+        if (id === undefined) return undefined;
+        const parsed = this.boardManager.id(id);
+        const board = this.boardManager.boards[parsed.board];
+        return board ? board.state[parsed.id] : undefined;
+    }
+
+    /**
+     * Whether a value is past the threshold of a threshold trigger.
+     *
+     * @param trigger
+     * @param value
+     * @param hysteresis
+     *   Move the threshold back by the hysteresis.
+     * @returns {boolean}
+     */
+    isPast(trigger, value, hysteresis) {
+        if (typeof value !== 'number') return false;
+        const offset = hysteresis ? (trigger.hysteresis || 0) : 0;
+        if (trigger.above !== undefined) return value > trigger.above - offset;
+        return value < trigger.below + offset;
+    }
+
+    /**
+     * Run the rules triggered by an io change.
+     *
+     * @param id
+     *   e.g. local-DI1.1
+     * @param value
+     * @param time
+     */
+    onUpdate(id, value, time) {
+        this.rules.forEach((rule, index) => {
+            const trigger = rule.trigger;
+            if (trigger.id !== id) return;
+
+            switch (trigger.type) {
+                case 'edge': {
+                    const edge = trigger.edge || 'rising';
+                    if (edge === 'both' || (edge === 'rising') === (value === 1)) this.fire(rule, time);
+                    break;
+                }
+
+                case 'level':
+                    if (value === trigger.value) this.fire(rule, time);
+                    break;
+
+                case 'threshold':
+                    if (this.armed[index] && this.isPast(trigger, value)) {
+                        this.armed[index] = false;
+                        this.fire(rule, time);
+                    } else if (!this.armed[index] && !this.isPast(trigger, value, true)) {
+                        this.armed[index] = true;
+                    }
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Run the counter rules of a digital input.
+     *
+     * @param id
+     *   e.g. local-DI1.1
+     * @param delta
+     *   The pulses counted since the last counter event.
+     * @param time
+     */
+    onCounter(id, delta, time) {
+        this.rules.forEach((rule, index) => {
+            const trigger = rule.trigger;
+            if (trigger.type !== 'counter' || trigger.id !== id) return;
+
+            this.counted[index] = (this.counted[index] || 0) + delta;
+            while (this.counted[index] >= trigger.delta) {
+                this.counted[index] -= trigger.delta;
+                this.fire(rule, time);
+            }
+        });
+    }
+
+    /**
+     * Schedule the next run of a time triggered rule.
+     *
+     * @param rule
+     * @param index
+     */
+    schedule(rule, index) {
+        const now = Date.now();
+        const next = nextTime(rule.trigger, now);
+        log(`Rule ${rule.name} runs at ${new Date(next).toString()}`);
+        this.schedules[index] = setTimeout(() => {
+            this.fire(rule, Date.now());
+            this.schedule(rule, index);
+        }, next - now);
+    }
+
+    /**
+     * Check the conditions of a rule.
+     *
+     * @param rule
+     * @param time
+     * @returns {boolean}
+     */
+    check(rule, time) {
+        return rule.conditions.every(condition => {
+            if (condition.id === undefined) {
+                const date = new Date(time);
+                const minutes = date.getHours() * 60 + date.getMinutes();
+                const after = (condition.after !== undefined) ? parseTime(condition.after) : 0;
+                const before = (condition.before !== undefined) ? parseTime(condition.before) : 24 * 60;
+                // A window such as 18:00 - 06:00 spans midnight.
+                return (after <= before) ? (minutes >= after && minutes < before) : (minutes >= after || minutes < before);
+            }
+            const value = toValue(this.getValue(condition.id));
+            if (condition.equals !== undefined && value !== condition.equals) return false;
+            if (condition.above !== undefined && !(value > condition.above)) return false;
+            if (condition.below !== undefined && !(value < condition.below)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Run the actions of a triggered rule when its conditions hold.
+     *
+     * @param rule
+     * @param time
+     *   The time of the trigger.
+     * @returns {Promise}
+     *   Resolves once all actions have been run.
+     */
+    fire(rule, time) {
+        if (!this.check(rule, time)) {
+            log(`Rule ${rule.name} triggered, but its conditions do not hold`);
+            return Promise.resolve();
+        }
+        info(`Run rule ${rule.name}`);
+        this.emit('fire', rule.name, time);
+
+        return rule.actions.reduce((promise, action) => promise
+            .then(() => this.run(action))
+            .catch(err => {
+                warn(`Action ${action.type} ${action.id} of rule ${rule.name} failed: ${err.message}`);
+                this.handleError(err);
+            }), Promise.resolve());
+    }
+
+    /**
+     * Run a single action.
+     *
+     * @param action
+     * @returns {Promise}
+     */
+    run(action) {
+        const manager = this.boardManager;
+        switch (action.type) {
+            case 'set':
+                return manager.set(action.id, action.value);
+
+            case 'toggle':
+                return manager.set(action.id, !toValue(this.getValue(action.id)));
+
+            case 'pulse':
+                // A running pulse is not extended.
+                if (this.pulses[action.id]) return Promise.resolve();
+                this.pulses[action.id] = true;
+                return manager.set(action.id, true).then(() => this.delay(action, () => {
+                    delete this.pulses[action.id];
+                }), err => {
+                    delete this.pulses[action.id];
+                    throw err;
+                });
+
+            default:
+                // Every trigger restarts the delay of a delay off.
+                return manager.set(action.id, true).then(() => this.delay(action));
+        }
+    }
+
+    /**
+     * Switch an output off after the duration of an action, replacing a pending switch off of the same output.
+     *
+     * @param action
+     * @param done
+     *   Called once switched off, or once a later action replaced the switch off.
+     */
+    delay(action, done) {
+        const pending = this.timers[action.id];
+        if (pending) {
+            clearTimeout(pending.timeout);
+            // A pulse whose switch off was replaced is over, the output now follows the later action.
+            if (pending.done) pending.done();
+        }
+        const timer = this.timers[action.id] = {done: done};
+        timer.timeout = setTimeout(() => {
+            delete this.timers[action.id];
+            this.boardManager.set(action.id, false)
+                .catch(err => {
+                    warn(`Cannot switch ${action.id} off: ${err.message}`);
+                    this.handleError(err);
+                })
+                .then(() => {
+                    if (done) done();
+                });
+        }, action.duration);
+    }
+
+    /**
+     * Log an error and emit it to the error listeners.
+     *
+     * @param err
+     */
+    handleError(err) {
+        error(err.message);
+        emitError(this, err);
+    }
+
+    /**
+     * Stop running the rules, pending switch offs are cancelled.
+     */
+    stop() {
+        this.started = false;
+        Object.keys(this.handlers).forEach(event => this.boardManager.removeListener(event, this.handlers[event]));
+        this.handlers = {};
+        Object.keys(this.timers).forEach(id => clearTimeout(this.timers[id].timeout));
+        this.timers = {};
+        Object.keys(this.schedules).forEach(index => clearTimeout(this.schedules[index]));
+        this.schedules = {};
+        this.pulses = {};
+    }
+}
+
+module.exports = Rules;
@@ -0,0 +1,25 @@
+import { EventEmitter } from 'events';
+
+export = Simulator;
+
+declare class Simulator extends EventEmitter {
+    constructor(config: { model?: string, definition?: string, ip?: string, port?: number | string });
+    listen(): Promise<number>;
+    getRegister(addr: number): number;
+    setRegister(addr: number, value: number): void;
+    getCoil(addr: number): boolean;
+    setCoil(addr: number, value: boolean): void;
+    set(id: string, value: boolean | number): void;
+    pulse(id: string, count?: number): void;
+    addBallast(id: string, address: number, level?: number): void;
+    getBallast(id: string, address: number): number | undefined;
+    getState(id: string): number | { value: number, unit: string, mode: string } | undefined;
+    close(): Promise<void>;
+    model: string;
+    ip: string;
+    port?: number;
+    registers: { [register: number]: number };
+    commands: { [coil: number]: boolean };
+    ballasts: { [id: string]: { [address: number]: number } };
+    features: { [id: string]: any };
+}
@@ -0,0 +1,458 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+const ServerTCP = require('modbus-serial/servers/servertcp');
+const Neuron = require('./Neuron');
+const Analog = require('./Analog');
+const Dali = require('./Dali');
+const UnknownIdError = require('./Errors').UnknownIdError;
+const emitError = require('./Errors').emitError;
+
+const debug = require('debug');
+const info = debug('unipi-neuron:simulator:info');
+const warn = debug('unipi-neuron:simulator:warn');
+const log = debug('unipi-neuron:simulator:log');
+const error = debug('unipi-neuron:simulator:error');
+
+/**
+ * A simulated board serving the registers and coils of a hardware definition over Modbus TCP.
+ *
+ * Outputs written over Modbus are stored like the real board does, inputs are set from code with set() and pulse().
+ *
+ * @class Simulator
+ * @extends {EventEmitter}
+ */
+class Simulator extends EventEmitter {
+
+    /**
+     * Create a simulated board and start listening.
+     *
+     * @param config.model
+     *   The simulated model, e.g. L203, M10x or xS10.
+     * @param config.definition
+     *   The path of a hardware definition file to simulate instead of a model, e.g. for a custom Modbus device.
+     * @param config.ip
+     *   The address to listen on, defaults to 127.0.0.1.
+     * @param config.port
+     *   The port to listen on, defaults to a free port.
+     */
+    constructor(config) {
+        super();
+
+        config = config || {};
+        this.model = config.model;
+        this.ip = config.ip || '127.0.0.1';
+        this.port = undefined;
+        this.registers = {};
+        this.coils = {};
+        this.commands = {};
+        this.ballasts = {};
+        this.sockets = [];
+
+        const def = config.definition ? Neuron.loadDefinition(config.definition) : Neuron.getDefinition(this.model);
+        if (!def) {
+            throw new Error(`Cannot simulate unknown model ${this.model || config.definition}`);
+        }
+        this.features = Neuron.mapFeatures(def);
+
+        // Coils are mirrored in the bits of the value registers of the digital outputs.
+        Object.keys(this.features).forEach(id => {
+            const feature = this.features[id];
+            if (feature.coil !== undefined) this.coils[feature.coil] = feature;
+        });
+
+        // Every register of the definition reads 0 until written.
+        (def.modbus_register_blocks || []).forEach(block => {
+            for (let i = 0; i < block.count; i++) this.registers[block.start_reg + i] = 0;
+        });
+
+        // Identify as the simulated model, e.g. for the discovery of extension modules.
+        if (!config.definition) {
+            const counts = Neuron.countFeatures(def);
+            this.registers[Neuron.IDENTIFICATION_REG] = 0x0500;
+            this.registers[Neuron.IDENTIFICATION_REG + 1] = (counts.di << 8) | counts.do;
+            this.registers[Neuron.IDENTIFICATION_REG + 2] = (counts.ai << 8) | ((counts.ao & 0x0F) << 4) | (counts.uart & 0x0F);
+        }
+
+        // Calibrate the analog ios of the main board to their nominal range.
+        this.registers[Analog.VREF_REG] = 1;
+        this.registers[Analog.VREF_INT_REG] = 1;
+
+        this.server = new ServerTCP({
+            getHoldingRegister: (addr) => this.getRegister(addr),
+            getInputRegister: (addr) => this.getRegister(addr),
+            getCoil: (addr) => this.getCoil(addr),
+            setRegister: (addr, value) => {
+                this.setRegister(addr, value);
+                this.emit('write', addr, value);
+                this.handleDali(addr);
+            },
+            setCoil: (addr, value) => {
+                this.setCoil(addr, value);
+                this.emit('write', addr, value);
+            }
+        }, {
+            host: this.ip,
+            // A string keeps port 0 from falling back to 502, the os picks a free port.
+            port: (config.port || 0).toString()
+        });
+
+        // The ServerTCP of modbus-serial 6.0.1 (pinned) has no API for its port or connections, use its net server.
+        const server = this.server._server;
+        if (!server) {
+            throw new Error('Cannot simulate boards with this version of modbus-serial, it has no ServerTCP._server');
+        }
+        server.on('connection', socket => this.handleConnection(socket));
+        server.on('listening', () => {
+            this.port = server.address().port;
+            info(`Simulating ${this.model} on ${this.ip}:${this.port}`);
+            this.emit('listening', this.port);
+        });
+        // Errors are emitted for as long as the simulator runs, they never go unhandled.
+        server.on('error', err => {
+            error(`Simulator of ${this.model} failed: ${err.message}`);
+            emitError(this, err);
+        });
+        this.server.on('socketError', err => warn(`Connection to the simulator of ${this.model} failed: ${err.message}`));
+    }
+
+    /**
+     * Track a connection and hand its requests to the server one at a time.
+     *
+     * The server of modbus-serial answers a single request per data chunk, while TCP may join requests sent back to
+     * back or split one.
+     *
+     * @param socket
+     */
+    handleConnection(socket) {
+        this.sockets.push(socket);
+        socket.on('close', () => {
+            this.sockets.splice(this.sockets.indexOf(socket), 1);
+        });
+
+        const handlers = socket.listeners('data');
+        socket.removeAllListeners('data');
+        let buffer = Buffer.alloc(0);
+        socket.on('data', data => {
+            buffer = Buffer.concat([buffer, data]);
+            // The MBAP header holds the length of the rest of the request.
+            while (buffer.length >= 6 && buffer.length >= 6 + buffer.readUInt16BE(4)) {
+                const request = buffer.slice(0, 6 + buffer.readUInt16BE(4));
+                buffer = buffer.slice(request.length);
+                handlers.forEach(handler => handler.call(socket, request));
+            }
+        });
+    }
+
+    /**
+     * Wait until the simulator accepts connections.
+     *
+     * @returns {Promise}
+     *   Resolves with the port.
+     */
+    listen() {
+        if (this.port !== undefined) return Promise.resolve(this.port);
+        return new Promise((resolve, reject) => {
+            const listening = (port) => {
+                this.removeListener('error', failed);
+                resolve(port);
+            };
+            const failed = (err) => {
+                this.removeListener('listening', listening);
+                reject(err);
+            };
+            this.once('listening', listening);
+            this.once('error', failed);
+        });
+    }
+
+    /**
+     * Get a register value, registers that were never written read 0.
+     *
+     * @param addr
+     * @returns {number}
+     */
+    getRegister(addr) {
+        return this.registers[addr] || 0;
+    }
+
+    /**
+     * Set a register value.
+     *
+     * @param addr
+     * @param value
+     */
+    setRegister(addr, value) {
+        this.registers[addr] = value & 0xFFFF;
+    }
+
+    /**
+     * Get a coil value.
+     *
+     * @param addr
+     * @returns {boolean}
+     */
+    getCoil(addr) {
+        const feature = this.coils[addr];
+        if (!feature) return !!this.commands[addr];
+        return ((this.getRegister(feature.reg) >> feature.bit) & 1) === 1;
+    }
+
+    /**
+     * Set a coil value.
+     *
+     * @param addr
+     * @param {boolean} value
+     */
+    setCoil(addr, value) {
+        const feature = this.coils[addr];
+        if (!feature) {
+            // Coils without an io are commands, e.g. saving the watchdog settings.
+            log(`Write ${value} to command coil ${addr}`);
+            this.commands[addr] = value;
+            return;
+        }
+        this.setBit(feature, value);
+    }
+
+    /**
+     * Set the bit of a digital io in its value register.
+     *
+     * @param feature
+     * @param {boolean} value
+     */
+    setBit(feature, value) {
+        const mask = 1 << feature.bit;
+        const current = this.getRegister(feature.reg);
+        this.setRegister(feature.reg, value ? (current | mask) : (current & ~mask));
+    }
+
+    /**
+     * Get an io feature by id.
+     *
+     * @param id
+     *   e.g. DI1.1
+     */
+    validate(id) {
+        if (!this.features[id]) {
+            throw new UnknownIdError(`Unknown id ${id} on the simulated ${this.model}`, {id: id});
+        }
+        return this.features[id];
+    }
+
+    /**
+     * Set the value of an io as if it was changed on the board.
+     *
+     * Rising edges of digital inputs increment their counter.
+     *
+     * @param id
+     *   e.g. DI1.1, AI1.1 or REG1.1000
+     * @param {boolean|number} value
+     *   On or off for digital ios, a value in the unit of the active mode for analog ios, the raw value for registers.
+     */
+    set(id, value) {
+        const feature = this.validate(id);
+        switch (feature.type) {
+            case 'DI':
+            case 'DO':
+            case 'RO':
+            case 'LED':
+                if (feature.counterReg !== undefined && value && !this.getState(id)) {
+                    this.count(feature, 1);
+                }
+                this.setBit(feature, value);
+                break;
+
+            case 'AI':
+            case 'AO':
+                this.setAnalog(feature, value);
+                break;
+
+            default:
+                this.setRegister(feature.reg, value);
+        }
+        log(`Set ${id} to ${value}`);
+    }
+
+    /**
+     * Pulse a digital input, switching it on and off again.
+     *
+     * @param id
+     *   e.g. DI1.1
+     * @param count
+     *   The number of pulses, defaults to 1.
+     */
+    pulse(id, count) {
+        const feature = this.validate(id);
+        if (feature.counterReg === undefined) {
+            throw new TypeError(`${id} has no counter`);
+        }
+        this.count(feature, (count === undefined) ? 1 : count);
+        this.setBit(feature, false);
+    }
+
+    /**
+     * Increment the counter of a digital input, stored over two words with the low word first.
+     *
+     * @param feature
+     * @param count
+     */
+    count(feature, count) {
+        const value = (this.getRegister(feature.counterReg) +
+            this.getRegister(feature.counterReg + 1) * 0x10000 + count) % 0x100000000;
+        this.setRegister(feature.counterReg, value % 0x10000);
+        this.setRegister(feature.counterReg + 1, Math.floor(value / 0x10000));
+    }
+
+    /**
+     * Store an analog value in the raw format of the board.
+     *
+     * @param feature
+     * @param value
+     *   The value in the unit of the active mode.
+     */
+    setAnalog(feature, value) {
+        const mode = Analog.getMode(feature, this.registers);
+
+        // Analog outputs in resistance mode measure on a register of their own.
+        if (mode === 'Resistance' && feature.def.res_val_reg !== undefined) {
+            this.setRegister(feature.def.res_val_reg + feature.position, Math.round(value));
+            return;
+        }
+
+        // 500 series analog inputs are floats, high word first.
+        if (feature.size === 2) {
+            const buffer = Buffer.alloc(4);
+            buffer.writeFloatBE(value, 0);
+            this.setRegister(feature.reg, buffer.readUInt16BE(0));
+            this.setRegister(feature.reg + 1, buffer.readUInt16BE(2));
+            return;
+        }
+        this.setRegister(feature.reg, Analog.encode(feature, value, mode, this.registers));
+    }
+
+    /**
+     * Add a DALI ballast to a light channel.
+     *
+     * @param id
+     *   The light channel, e.g. LIGHT2.1
+     * @param address
+     *   The short address 0 - 63.
+     * @param level
+     *   The arc power level, defaults to 0.
+     */
+    addBallast(id, address, level) {
+        const feature = this.validate(id);
+        if (feature.type !== 'LIGHT') {
+            throw new TypeError(`${id} is not a DALI light channel`);
+        }
+        this.ballasts[id] = this.ballasts[id] || {};
+        this.ballasts[id][address] = level || 0;
+    }
+
+    /**
+     * Get the arc power level of a simulated DALI ballast.
+     *
+     * @param id
+     *   The light channel, e.g. LIGHT2.1
+     * @param address
+     *   The short address 0 - 63.
+     * @returns {number|undefined}
+     */
+    getBallast(id, address) {
+        return (this.ballasts[id] || {})[address];
+    }
+
+    /**
+     * Handle a DALI forward frame once its data byte is written to the transmit registers of a light channel.
+     *
+     * @param addr
+     *   The written register.
+     */
+    handleDali(addr) {
+        const id = Object.keys(this.features).find(key => this.features[key].type === 'LIGHT' &&
+            this.features[key].writeReg + 1 === addr);
+        if (!id) return;
+
+        const feature = this.features[id];
+        const ballasts = this.ballasts[id] || {};
+        const address = this.getRegister(feature.writeReg);
+        const data = this.getRegister(feature.writeReg + 1);
+
+        // Groups are not simulated, broadcasts reach every ballast.
+        const targets = Object.keys(ballasts).filter(key => address === 0xFE || address === 0xFF ||
+            (address < 0x80 && (address >> 1) === Number(key)));
+
+        let answer = 0;
+        let flags = Dali.NO_ANSWER;
+        if ((address & 1) === 0) {
+            targets.forEach(key => {
+                ballasts[key] = data;
+            });
+        } else if (targets.length === 1) {
+            const level = ballasts[targets[0]];
+            switch (data) {
+                case Dali.COMMANDS.QUERY_CONTROL_GEAR_PRESENT:
+                    answer = 0xFF;
+                    flags = Dali.ANSWER;
+                    break;
+                case Dali.COMMANDS.QUERY_ACTUAL_LEVEL:
+                    answer = level;
+                    flags = Dali.ANSWER;
+                    break;
+                case Dali.COMMANDS.QUERY_STATUS:
+                    answer = (level > 0) ? 0x04 : 0;
+                    flags = Dali.ANSWER;
+                    break;
+            }
+        } else if (targets.length > 1) {
+            flags = Dali.FRAMING_ERROR;
+        }
+        log(`DALI frame ${address}:${data} on ${id}, answer ${answer} (${flags})`);
+
+        this.setRegister(feature.reg, answer);
+        this.setRegister(feature.reg + 1, flags);
+        this.setRegister(feature.reg + 2, this.getRegister(feature.reg + 2) + 1);
+    }
+
+    /**
+     * Get the value of an io.
+     *
+     * @param id
+     *   e.g. DO1.1
+     * @returns {number|{}}
+     *   0 or 1 for digital ios, the decoded value for analog ios, the raw value for registers.
+     */
+    getState(id) {
+        const feature = this.validate(id);
+        switch (feature.type) {
+            case 'DI':
+            case 'DO':
+            case 'RO':
+            case 'LED':
+                return (this.getRegister(feature.reg) >> feature.bit) & 1;
+
+            case 'AI':
+            case 'AO':
+                return Analog.decode(feature, this.registers);
+
+            default:
+                return this.getRegister(feature.reg);
+        }
+    }
+
+    /**
+     * Stop listening and drop the open connections.
+     *
+     * @returns {Promise}
+     */
+    close() {
+        this.sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => {
+            if (this.port === undefined) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+}
+
+module.exports = Simulator;
@@ -23,10 +23,13 @@ class TcpConnection extends ModbusRTU {
      * Connect over TCP.
      *
      * @param callback
+     *   Called without arguments once connected, with the error when the connection failed.
      */
     connect (callback) {
         this.connectTCP(this.ip, { port: this.port }).then(function () {
             callback();
+        }, function (err) {
+            callback(err || new Error('Cannot connect'));
         });
     }
 }
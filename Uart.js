@@ -0,0 +1,92 @@
+"use strict";
+
+/**
+ * Bits of the UART config register, the register uses the termios c_cflag encoding
+ */
+const SPEEDS = {
+    '2400bps': 0o13,
+    '4800bps': 0o14,
+    '9600bps': 0o15,
+    '19200bps': 0o16,
+    '38400bps': 0o17,
+    '57600bps': 0o10001,
+    '115200bps': 0o10002
+};
+const SPEED_MASK = 0o10017;
+
+const PARITIES = {
+    'None': 0,
+    'Even': 0x100,
+    'Odd': 0x300
+};
+const PARITY_MASK = 0x300;
+
+const STOP_BITS = {
+    'One': 0,
+    'Two': 0x40
+};
+const STOP_BITS_MASK = 0x40;
+
+/**
+ * The config options, their encoding and the list of allowed values in the definition
+ */
+const OPTIONS = {
+    speed: {values: SPEEDS, mask: SPEED_MASK, modes: 'speed_modes'},
+    parity: {values: PARITIES, mask: PARITY_MASK, modes: 'parity_modes'},
+    stopBits: {values: STOP_BITS, mask: STOP_BITS_MASK, modes: 'stopb_modes'}
+};
+
+/**
+ * Decode the value of a UART config register.
+ *
+ * @param value
+ *   The config register value.
+ * @returns {{speed: string, parity: string, stopBits: string}}
+ *   Bits that don't match a known value are left out.
+ */
+const decode = (value) => {
+    const config = {};
+    Object.keys(OPTIONS).forEach(option => {
+        const values = OPTIONS[option].values;
+        const bits = value & OPTIONS[option].mask;
+        const name = Object.keys(values).find(key => values[key] === bits);
+        if (name !== undefined) config[option] = name;
+    });
+    return config;
+};
+
+/**
+ * Encode a UART config into a config register value, keeping the bits of the options that are left out.
+ *
+ * @param feature
+ *   The UART feature from the io map.
+ * @param config
+ *   e.g. {speed: '9600bps', parity: 'Even', stopBits: 'One'}
+ * @param value
+ *   The current config register value.
+ * @returns {number}
+ * @throws {RangeError}
+ *   When an option is unknown or not in the allowed list of the definition.
+ */
+const encode = (feature, config, value) => {
+    Object.keys(config).forEach(option => {
+        if (config[option] === undefined) return;
+        if (!OPTIONS[option]) {
+            throw new RangeError(`Unknown UART option ${option}, use one of: ${Object.keys(OPTIONS).join(', ')}`);
+        }
+
+        const allowed = feature.def[OPTIONS[option].modes] || [];
+        const bits = OPTIONS[option].values[config[option]];
+        if (allowed.indexOf(config[option]) === -1 || bits === undefined) {
+            throw new RangeError(`Cannot set the ${option} of ${feature.id} to ${config[option]}, use one of: ${allowed.join(', ')}`);
+        }
+        value = (value & ~OPTIONS[option].mask) | bits;
+    });
+    return value;
+};
+
+module.exports.SPEEDS = SPEEDS;
+module.exports.PARITIES = PARITIES;
+module.exports.STOP_BITS = STOP_BITS;
+module.exports.decode = decode;
+module.exports.encode = encode;
@@ -1,18 +1,50 @@
 import { IModbusRTU } from "modbus-serial";
 import { EventEmitter } from 'events';
+import Simulator = require('./Simulator');
+import OneWire = require('./OneWire');
+import Gestures = require('./Gestures');
 
 
 export = BoardManager;
 
 declare class BoardManager extends EventEmitter implements BoardManager.IBoardManager {
     constructor(config: any);
+    static fromFile(file: string): BoardManager;
+    static discover(options?: BoardManager.IDiscoverOptions): Promise<any[]>;
     init(config: any): void;
     id(id: string): { board: string, id: string };
-    set(id: string, value: string | number | boolean): void;
-    getState(id: string): string | number | boolean;
+    set(id: string, value: string | number | boolean): Promise<void>;
+    pulse(id: string, time: number): Promise<void>;
+    setFor(id: string, value: boolean, time: number): Promise<void>;
+    blink(id: string, onTime: number, offTime: number, count?: number): Promise<void>;
+    toggle(id: string): Promise<void>;
+    setMode(id: string, mode: string): Promise<void>;
+    getMode(id: string): string | undefined;
+    getAnalogState(id: string): BoardManager.IAnalogState | undefined;
+    getState(id: string): Promise<string | number | boolean>;
     getCount(id: string): number;
+    getRate(id: string): BoardManager.IRate | undefined;
+    resetCount(id: string): Promise<void>;
+    setPwm(id: string, duty: number, frequency?: number): Promise<void>;
+    getPwm(id: string): BoardManager.IPwm | undefined;
+    setDaliLevel(id: string, target: number | string, level: number): Promise<void>;
+    queryDaliLevel(id: string, address: number): Promise<number | undefined>;
+    queryDaliStatus(id: string, address: number): Promise<BoardManager.IDaliStatus | undefined>;
+    scanDali(id: string): Promise<number[]>;
+    setUartConfig(board: string, n: number, config: BoardManager.IUartConfig): Promise<void>;
+    getUartConfig(board: string, n: number): BoardManager.IUartConfig | undefined;
+    setWatchdog(id: string, options: BoardManager.IWatchdogOptions): Promise<void>;
+    getWatchdog(id: string): BoardManager.IWatchdog | undefined;
+    resetWatchdog(id: string): Promise<void>;
+    configureInput(id: string, options: BoardManager.IInputConfig): Promise<void>;
+    getInputConfig(id: string): BoardManager.IInputConfig;
     getAllStates(): { [id: string]: string | number | boolean };
     getAllCounts(): { [id: string]: number };
+    getPollingStats(): { [board: string]: BoardManager.IPollingStats };
+    ready(): Promise<void>;
+    closeOnExit(): BoardManager;
+    close(): Promise<void>;
+    getStatus(): { [board: string]: BoardManager.IBoardStatus };
     boards: { [id: string]: BoardManager.IBoard };
 }
 
@@ -20,38 +52,262 @@ declare namespace BoardManager {
     interface IBoardManager extends EventEmitter {
         init(config: any): void;
         id(id: string): { board: string, id: string };
-        set(id: string, value: string | number | boolean): void;
-        getState(id: string): string | number | boolean;
+        set(id: string, value: string | number | boolean): Promise<void>;
+        pulse(id: string, time: number): Promise<void>;
+        setFor(id: string, value: boolean, time: number): Promise<void>;
+        blink(id: string, onTime: number, offTime: number, count?: number): Promise<void>;
+        toggle(id: string): Promise<void>;
+        setMode(id: string, mode: string): Promise<void>;
+        getMode(id: string): string | undefined;
+        getAnalogState(id: string): IAnalogState | undefined;
+        getState(id: string): Promise<string | number | boolean>;
         getCount(id: string): number;
+        getRate(id: string): IRate | undefined;
+        resetCount(id: string): Promise<void>;
+        setPwm(id: string, duty: number, frequency?: number): Promise<void>;
+        getPwm(id: string): IPwm | undefined;
+        setDaliLevel(id: string, target: number | string, level: number): Promise<void>;
+        queryDaliLevel(id: string, address: number): Promise<number | undefined>;
+        queryDaliStatus(id: string, address: number): Promise<IDaliStatus | undefined>;
+        scanDali(id: string): Promise<number[]>;
+        setUartConfig(board: string, n: number, config: IUartConfig): Promise<void>;
+        getUartConfig(board: string, n: number): IUartConfig | undefined;
+        setWatchdog(id: string, options: IWatchdogOptions): Promise<void>;
+        getWatchdog(id: string): IWatchdog | undefined;
+        resetWatchdog(id: string): Promise<void>;
+        configureInput(id: string, options: IInputConfig): Promise<void>;
+        getInputConfig(id: string): IInputConfig;
         getAllStates(): { [id: string]: string | number | boolean };
         getAllCounts(): { [id: string]: number };
+        getPollingStats(): { [board: string]: IPollingStats };
+        ready(): Promise<void>;
+        closeOnExit(): IBoardManager;
+        close(): Promise<void>;
+        getStatus(): { [board: string]: IBoardStatus };
         boards: { [id: string]: IBoard };
     }
     
     
     interface IBoard extends EventEmitter {
-        new(client: IRtuConnection | ITcpConnection, id: string, groups: number): IBoard;
+        new(config: any): IBoard;
         validate(id: string): void;
         getState(id: string): string | number | boolean;
         getCount(id: string): number;
-        set(id: string, value: string | number | boolean, retries?: number): void;
+        getRate(id: string): IRate | undefined;
+        resetCount(id: string): Promise<void>;
+        configureInput(id: string, options: IInputConfig): Promise<void>;
+        getInputConfig(id: string): IInputConfig;
+        setPwm(id: string, duty: number, frequency?: number): Promise<void>;
+        getPwm(id: string): IPwm | undefined;
+        setWatchdog(id: string, options: IWatchdogOptions): Promise<void>;
+        getWatchdog(id: string): IWatchdog | undefined;
+        resetWatchdog(id: string): Promise<void>;
+        keepWatchdogsAlive(time: number): Promise<void>;
+        getUart(n: number): IFeature;
+        getLightChannel(id: string): IFeature;
+        setDaliLevel(id: string, target: number | string, level: number): Promise<void>;
+        queryDaliLevel(id: string, address: number): Promise<number | undefined>;
+        queryDaliStatus(id: string, address: number): Promise<IDaliStatus | undefined>;
+        scanDali(id: string): Promise<number[]>;
+        getUartConfig(n: number): IUartConfig | undefined;
+        setUartConfig(n: number, config: IUartConfig): Promise<void>;
+        getDirectSwitchOutput(feature: IFeature): IFeature | undefined;
+        getInputConfigBit(feature: IFeature, key: string): { register: number, bit: number };
+        set(id: string, value: string | number | boolean): Promise<void>;
+        pulse(id: string, time: number): Promise<void>;
+        setFor(id: string, value: boolean, time: number): Promise<void>;
+        blink(id: string, onTime: number, offTime: number, count?: number): Promise<void>;
+        toggle(id: string): Promise<void>;
+        setMode(id: string, mode: string): Promise<void>;
+        getMode(id: string): string | undefined;
+        getAnalogState(id: string): IAnalogState | undefined;
         dec2bin(dec: number | string): string;
-        storeState(prefix: string, value: string | number | boolean, length?: number): void;
+        countGroups(def: INeuronDefinition): number;
+        mapFeatures(def: INeuronDefinition, groups?: number): void;
+        mapBlocks(def: INeuronDefinition, groups?: number): void;
+        mapSafety(config: any): void;
+        mapGestures(config: any): void;
+        isOn(id: string): boolean;
+        checkInterlock(id: string): void;
+        trackOutput(id: string, value: number, time: number): void;
+        applyFailsafe(): Promise<void>;
+        cancelTimer(id: string): void;
+        createBlock(start: number, count: number, frequency: number): IBlock;
+        findBlock(reg: number, size: number): IBlock | undefined;
+        decode(feature: IFeature, time?: number): void;
+        storeDigitalState(feature: IFeature, value: number, time?: number): void;
+        storeAnalogueState(feature: IFeature, time?: number): void;
+        storeRegisterState(feature: IFeature, value: number, time?: number): void;
+        storeCounter(feature: IFeature, time: number): void;
         updateState(): void;
-        updateCount(): void;
+        hasValues(): boolean;
+        readBlock(block: IBlock): Promise<boolean>;
+        getPollingStats(): IPollingStats;
+        ready(): Promise<void>;
+        close(): Promise<void>;
+        createClient(): IRtuConnection | ITcpConnection;
+        connect(): void;
+        disconnect(err: Error): void;
+        scheduleReconnect(): void;
+        handleError(err: Error): void;
+        getStatus(): IBoardStatus;
         state: { [id: string]: string | number | boolean };
         counter: { [id: string]: number };
+        rates: { [id: string]: { start: number, time: number, total: number, samples: { time: number, total: number }[] } };
+        changed: { [id: string]: number };
+        registers: { [register: number]: number };
+        analog: { [id: string]: IAnalogState };
+        features: { [id: string]: IFeature };
+        blocks: IBlock[];
+        interlocks: IInterlock[];
+        failsafe: { [id: string]: boolean | number };
+        maxOnTime: { [id: string]: number };
+        offSince: { [id: string]: number };
+        outputTimers: { [id: string]: { resolve: () => void, timeout?: any } };
+        closed: boolean;
+        isReady: boolean;
+        readyTimeout: number;
+        config: any;
+        client: IRtuConnection | ITcpConnection;
+        simulator?: Simulator;
+        oneWire?: OneWire;
+        gestures: Gestures;
         model?: INeuron
     }
+
+    interface IInterlock {
+        outputs: string[];
+        deadTime: number;
+    }
+
+    interface IDiscoverOptions {
+        socket?: string;
+        ip?: string;
+        port?: number;
+        ids?: number[];
+        baudRates?: number[];
+        timeout?: number;
+        models?: string[];
+    }
+
+    interface IBoardStatus {
+        connected: boolean;
+        lastSeen?: number;
+        errors: number;
+        reconnects: number;
+        lastError?: string;
+    }
+
+    interface IRegisterFormat {
+        type: 'uint16' | 'int16' | 'uint32' | 'int32' | 'float32';
+        wordOrder: 'big' | 'little';
+        scale: number;
+        words: number;
+    }
+
+    interface IDaliStatus {
+        gearFailure: boolean;
+        lampFailure: boolean;
+        lampOn: boolean;
+        limitError: boolean;
+        fadeRunning: boolean;
+        resetState: boolean;
+        missingShortAddress: boolean;
+        powerFailure: boolean;
+    }
+
+    interface IUartConfig {
+        speed?: string;
+        parity?: string;
+        stopBits?: string;
+    }
+
+    interface IWatchdogOptions {
+        enabled?: boolean;
+        timeout?: number;
+        nvSave?: boolean;
+    }
+
+    interface IWatchdog {
+        enabled: boolean;
+        timeout: number;
+        wasReset: boolean;
+    }
+
+    interface IPwm {
+        duty: number;
+        frequency: number;
+    }
+
+    interface IInputConfig {
+        debounce?: number;
+        directSwitch?: string | boolean;
+        mode?: string;
+    }
+
+    interface IRate {
+        perSecond: number;
+        perMinute: number;
+    }
+
+    interface IAnalogState {
+        value: number;
+        unit: string;
+        mode: string;
+    }
+
+    interface IBlock {
+        start: number;
+        count: number;
+        frequency: number;
+        features: IFeature[];
+        counters: IFeature[];
+        stats: { reads: number, errors: number, duration: number, average: number, lastRead?: number };
+    }
+
+    interface IPollingStats {
+        interval: number;
+        cycles: number;
+        overruns: number;
+        load: number;
+        blocks: {
+            start: number,
+            count: number,
+            frequency: number,
+            reads: number,
+            errors: number,
+            duration: number,
+            average: number,
+            lastRead?: number
+        }[];
+    }
+
+    interface IFeature {
+        id: string;
+        type: string;
+        group: number;
+        index: number;
+        position: number;
+        reg: number;
+        size: number;
+        bit?: number;
+        coil?: number;
+        counterReg?: number;
+        pwmReg?: number;
+        format?: IRegisterFormat;
+        statusReg?: number;
+        writeReg?: number;
+        def: any;
+    }
     
     interface IRtuConnection extends IModbusRTU {
         new(socket?: any): IModbusRTU;
-        connect(callback: Function): void;
+        connect(callback: (err?: Error) => void): void;
     }
     
     interface ITcpConnection extends IModbusRTU {
         new(ip?: any, port?: any): IModbusRTU;
-        connect(callback: Function): void;
+        connect(callback: (err?: Error) => void): void;
     }
     interface INeuronDefinition {
         type?: string;
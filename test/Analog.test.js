@@ -0,0 +1,96 @@
+"use strict";
+
+const assert = require('assert');
+const Analog = require('../Analog');
+const Neuron = require('../Neuron');
+const fixture = require('./fixtures/analog-M50x-synthetic.json');
+const helpers = require('./helpers/simulator');
+
+/**
+ * Convert the registers of a fixture entry to a register map.
+ *
+ * @param registers
+ * @returns {{}}
+ */
+const toRegisters = (registers) => {
+    const result = {};
+    Object.keys(registers).forEach(register => {
+        result[parseInt(register)] = registers[register];
+    });
+    return result;
+};
+
+describe('Analog', () => {
+    const features = Neuron.mapFeatures(Neuron.getDefinition(fixture.model));
+
+    describe('decode', () => {
+        fixture.decode.forEach(entry => {
+            const feature = features[entry.id];
+            it(`decodes ${entry.id} (${Analog.getTolerances(feature)}) in ${entry.expected.mode} mode`, () => {
+                assert.deepStrictEqual(Analog.decode(feature, toRegisters(entry.registers)), entry.expected);
+            });
+        });
+
+        it('keeps the expected values of the fixture within the range of their io', () => {
+            fixture.decode.forEach(entry => {
+                const range = Analog.getRange(features[entry.id], entry.expected.mode);
+                if (range.min === undefined) return;
+                assert.ok(entry.expected.value >= range.min && entry.expected.value <= range.max,
+                    `${entry.id} ${entry.expected.value} ${range.unit}`);
+            });
+        });
+
+        it('returns undefined as long as the calibration has not been read', () => {
+            const registers = toRegisters(fixture.decode[0].registers);
+            delete registers[Analog.VREF_REG];
+            assert.strictEqual(Analog.decode(features['AO1.1'], registers), undefined);
+        });
+
+        it('returns undefined as long as the mode has not been read', () => {
+            const registers = toRegisters(fixture.decode[5].registers);
+            delete registers[Analog.getModeRegister(features['AI2.1'])];
+            assert.strictEqual(Analog.decode(features['AI2.1'], registers), undefined);
+        });
+    });
+
+    describe('encode', () => {
+        fixture.encode.forEach(entry => {
+            const feature = features[entry.id];
+            it(`encodes ${entry.value} for ${entry.id} (${Analog.getTolerances(feature)}) in ${entry.mode} mode`, () => {
+                assert.strictEqual(Analog.encode(feature, entry.value, entry.mode, toRegisters(entry.registers)), entry.raw);
+            });
+        });
+    });
+
+    describe('getRegisters', () => {
+        it('lists the mode and calibration registers of the main board ios', () => {
+            assert.deepStrictEqual(Analog.getRegisters(features['AI1.1']).sort(),
+                [1024, 1025, 1026, 1027, 1028, Analog.VREF_REG, Analog.VREF_INT_REG].sort());
+        });
+
+        it('lists the mode register of the 500 series ios', () => {
+            assert.deepStrictEqual(Analog.getRegisters(features['AI2.1']), [1119]);
+        });
+    });
+
+    describe('on a board', () => {
+        let boardManager;
+
+        beforeEach(() => helpers.start({model: 'M50x'}).then(manager => {
+            boardManager = manager;
+        }));
+
+        afterEach(() => boardManager.close());
+
+        it('has a value for every analog io once ready', () => {
+            return Promise.all(['AI1.1', 'AI2.1', 'AO1.1', 'AO2.1'].map(id => boardManager.getState(`sim-${id}`)))
+                .then(values => values.forEach(value => assert.strictEqual(typeof value, 'number')));
+        });
+
+        it('reports changed analog inputs as updates', () => {
+            const update = helpers.waitFor(boardManager, 'update', id => id === 'sim-AI2.1');
+            boardManager.boards.sim.simulator.set('AI2.1', 4.2);
+            return update.then(args => assert.strictEqual(args[1], 4.2));
+        });
+    });
+});
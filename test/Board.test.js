@@ -0,0 +1,690 @@
+"use strict";
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const path = require('path');
+const BoardManager = require('../BoardManager');
+const Simulator = require('../Simulator');
+const ConfigError = require('../Errors').ConfigError;
+const InterlockError = require('../Errors').InterlockError;
+const NeuronError = require('../Errors').NeuronError;
+const TimeoutError = require('../Errors').TimeoutError;
+const WriteVerifyError = require('../Errors').WriteVerifyError;
+const helpers = require('./helpers/simulator');
+
+describe('Board', () => {
+
+    describe('ready', () => {
+        let boardManager;
+
+        afterEach(() => boardManager.close());
+
+        it('resolves once every io has been read', () => {
+            return helpers.start().then(manager => {
+                boardManager = manager;
+                return boardManager.getState('sim-DO1.1');
+            }).then(value => assert.strictEqual(value, 0));
+        });
+
+        it('rejects with a TimeoutError when the board cannot be reached', () => {
+            // Nothing listens on port 1, every connection attempt is refused.
+            boardManager = new BoardManager([{name: 'x', model: 'L20x', port: 1, readyTimeout: 200}]);
+            return boardManager.getState('x-DO1.1').then(() => assert.fail('resolved'), err => {
+                assert.ok(err instanceof TimeoutError);
+                assert.strictEqual(err.board, 'x');
+            });
+        });
+
+        it('rejects when the board is closed before it was ready', () => {
+            boardManager = new BoardManager([{name: 'x', model: 'L20x', port: 1}]);
+            const state = boardManager.getState('x-DO1.1');
+            return boardManager.close()
+                .then(() => state)
+                .then(() => assert.fail('resolved'), err => {
+                    assert.ok(err instanceof NeuronError);
+                    assert.ok(!(err instanceof TimeoutError));
+                });
+        });
+    });
+
+    describe('gestures', () => {
+        let boardManager;
+
+        beforeEach(() => helpers.start({gestures: {'DI1.1': {longPress: 100}}}).then(manager => {
+            boardManager = manager;
+        }));
+
+        afterEach(() => boardManager.close());
+
+        it('decodes the presses of a digital input', () => {
+            const simulator = boardManager.boards.sim.simulator;
+            const press = helpers.waitFor(boardManager, 'press');
+            simulator.set('DI1.1', true);
+            return helpers.waitFor(boardManager, 'update', id => id === 'sim-DI1.1')
+                .then(() => simulator.set('DI1.1', false))
+                .then(() => press)
+                .then(args => assert.strictEqual(args[0], 'sim-DI1.1'));
+        });
+
+        it('drops a held button when the board disconnects', () => {
+            const events = [];
+            ['longpress', 'hold'].forEach(event => boardManager.on(event, id => events.push(event)));
+            boardManager.boards.sim.simulator.set('DI1.1', true);
+            return helpers.waitFor(boardManager, 'update', id => id === 'sim-DI1.1')
+                .then(() => boardManager.boards.sim.disconnect(new Error('Test')))
+                .then(() => helpers.wait(300))
+                .then(() => assert.deepStrictEqual(events, []));
+        });
+    });
+
+    describe('safety', () => {
+        let boardManager;
+
+        beforeEach(() => helpers.start({
+            interlocks: [{outputs: ['DO1.1', 'DO1.2']}],
+            maxOnTime: {'DO1.3': 100}
+        }).then(manager => {
+            boardManager = manager;
+        }));
+
+        afterEach(() => boardManager.close());
+
+        it('counts an output in PWM mode as on for its interlocks', () => {
+            return boardManager.setPwm('sim-DO1.1', 50, 100)
+                .then(() => boardManager.set('sim-DO1.2', true))
+                .then(() => assert.fail('resolved'), err => {
+                    assert.ok(err instanceof InterlockError);
+                    assert.strictEqual(err.interlock, 'DO1.1');
+                })
+                .then(() => boardManager.setPwm('sim-DO1.2', 20))
+                .then(() => assert.fail('resolved'), err => assert.ok(err instanceof InterlockError))
+                .then(() => boardManager.setPwm('sim-DO1.1', 0))
+                .then(() => boardManager.setPwm('sim-DO1.2', 20));
+        });
+
+        it('rejects switching on the partner of an output being switched on through PWM', () => {
+            return Promise.all([
+                boardManager.setPwm('sim-DO1.1', 50, 100),
+                boardManager.set('sim-DO1.2', true).then(() => assert.fail('resolved'), err => {
+                    assert.ok(err instanceof InterlockError);
+                    assert.strictEqual(err.interlock, 'DO1.1');
+                })
+            ]).then(() => assert.strictEqual(boardManager.boards.sim.simulator.getState('DO1.2'), 0));
+        });
+
+        it('switches an output in PWM mode off after its maximum on time', () => {
+            const maxOnTime = helpers.waitFor(boardManager, 'maxOnTime');
+            return boardManager.setPwm('sim-DO1.3', 50, 100)
+                .then(() => maxOnTime)
+                .then(args => {
+                    assert.strictEqual(args[0], 'sim-DO1.3');
+                    return helpers.waitFor(boardManager, 'update', id => id === 'sim-DO1.3');
+                })
+                .then(() => {
+                    assert.strictEqual(boardManager.getMode('sim-DO1.3'), 'Simple');
+                    assert.strictEqual(boardManager.boards.sim.state['DO1.3'], 0);
+                });
+        });
+
+        it('sets the failsafe values on SIGTERM with closeOnExit', function () {
+            this.timeout(10000);
+            return new Promise((resolve, reject) => {
+                const child = childProcess.spawn(process.execPath, [path.join(__dirname, 'fixtures', 'close-on-exit.js')]);
+                let output = '';
+                child.stdout.on('data', data => {
+                    output += data;
+                    if (output === 'ready\n') child.kill('SIGTERM');
+                });
+                child.on('error', reject);
+                child.on('exit', (code, signal) => resolve({output: output, signal: signal}));
+            }).then(result => {
+                assert.strictEqual(result.output, 'ready\nRO2.1=0\n');
+                assert.strictEqual(result.signal, 'SIGTERM');
+            });
+        });
+    });
+
+    describe('timed outputs', () => {
+        let boardManager;
+
+        beforeEach(() => helpers.start({interlocks: [{outputs: ['RO2.1', 'RO2.2']}]}).then(manager => {
+            boardManager = manager;
+        }));
+
+        afterEach(() => boardManager.close());
+
+        it('blinks an output and leaves it off', () => {
+            return boardManager.blink('sim-RO2.1', 20, 20, 2)
+                .then(() => assert.strictEqual(boardManager.boards.sim.simulator.getState('RO2.1'), 0));
+        });
+
+        it('rejects a blink once a step would break an interlock', () => {
+            const blink = boardManager.blink('sim-RO2.1', 100, 300, 3);
+            // Switch the other output of the interlock on while the blink is in its off phase.
+            return helpers.waitFor(boardManager, 'update', (id, value) => id === 'sim-RO2.1' && Number(value) === 0)
+                .then(() => boardManager.set('sim-RO2.2', true))
+                .then(() => blink)
+                .then(() => assert.fail('resolved'), err => {
+                    assert.ok(err instanceof InterlockError);
+                    assert.strictEqual(err.id, 'RO2.1');
+                    assert.strictEqual(err.interlock, 'RO2.2');
+                    assert.strictEqual(boardManager.boards.sim.simulator.getState('RO2.1'), 0);
+                });
+        });
+    });
+
+    describe('counters', () => {
+        let boardManager;
+
+        beforeEach(() => helpers.start({rateWindow: 200}).then(manager => {
+            boardManager = manager;
+        }));
+
+        afterEach(() => boardManager.close());
+
+        it('counts the pulses of a digital input', () => {
+            const counter = helpers.waitFor(boardManager, 'counter');
+            boardManager.boards.sim.simulator.pulse('DI1.1', 5);
+            return counter.then(args => {
+                assert.deepStrictEqual([args[0], args[1], args[3]], ['sim-DI1.1', 5, 5]);
+                assert.strictEqual(boardManager.getCount('sim-DI1.1'), 5);
+                assert.strictEqual(boardManager.getAllCounts()['sim-DI1.1'], 5);
+            });
+        });
+
+        it('counts over the wrap around of the 32 bit counter', () => {
+            const simulator = boardManager.boards.sim.simulator;
+            const register = boardManager.boards.sim.features['DI1.1'].counterReg;
+            simulator.setRegister(register, 0xFFFE);
+            simulator.setRegister(register + 1, 0xFFFF);
+            return helpers.waitFor(boardManager, 'counter', (id, value) => value === 0xFFFFFFFE)
+                .then(() => {
+                    const counter = helpers.waitFor(boardManager, 'counter');
+                    simulator.pulse('DI1.1', 3);
+                    return counter;
+                })
+                .then(args => {
+                    assert.strictEqual(args[1], 1);
+                    assert.strictEqual(args[3], 3);
+                });
+        });
+
+        it('resets a counter', () => {
+            const simulator = boardManager.boards.sim.simulator;
+            simulator.pulse('DI1.1', 5);
+            return helpers.waitFor(boardManager, 'counter')
+                .then(() => boardManager.resetCount('sim-DI1.1'))
+                .then(() => {
+                    assert.strictEqual(boardManager.getCount('sim-DI1.1'), 0);
+                    const counter = helpers.waitFor(boardManager, 'counter');
+                    simulator.pulse('DI1.1', 2);
+                    return counter;
+                })
+                .then(args => {
+                    // The pulses after the reset, not a wrap around from 5.
+                    assert.strictEqual(args[1], 2);
+                    assert.strictEqual(args[3], 2);
+                });
+        });
+
+        it('averages the pulse rate over the rate window', () => {
+            boardManager.boards.sim.simulator.pulse('DI1.1', 10);
+            return helpers.waitFor(boardManager, 'counter')
+                .then(() => {
+                    const rate = boardManager.getRate('sim-DI1.1');
+                    // 10 pulses within at most the 200 ms window.
+                    assert.ok(rate.perSecond >= 50, rate.perSecond);
+                    assert.strictEqual(rate.perMinute, rate.perSecond * 60);
+                    return helpers.wait(300);
+                })
+                .then(() => assert.deepStrictEqual(boardManager.getRate('sim-DI1.1'), {perSecond: 0, perMinute: 0}));
+        });
+
+        it('rejects the reset of an io without a counter', () => {
+            return boardManager.resetCount('sim-DO1.1').then(() => assert.fail('resolved'), err => {
+                assert.ok(err instanceof TypeError);
+            });
+        });
+    });
+
+    describe('input config', () => {
+        let boardManager;
+        let simulator;
+
+        beforeEach(() => helpers.start().then(manager => {
+            boardManager = manager;
+            simulator = boardManager.boards.sim.simulator;
+        }));
+
+        afterEach(() => boardManager.close());
+
+        it('reads the defaults of a digital input', () => {
+            assert.deepStrictEqual(boardManager.getInputConfig('sim-DI1.2'), {debounce: 0, directSwitch: false, mode: 'Simple'});
+        });
+
+        it('writes the debounce, DirectSwitch and mode of a digital input', () => {
+            return boardManager.configureInput('sim-DI1.2', {debounce: 50, directSwitch: 'DO1.2', mode: 'Toggle'})
+                .then(() => {
+                    assert.deepStrictEqual(boardManager.getInputConfig('sim-DI1.2'), {debounce: 50, directSwitch: 'DO1.2', mode: 'Toggle'});
+                    // L20x: deboun_reg 1010, direct_reg 1014 and toggle_reg 1016, a bit per input.
+                    assert.strictEqual(simulator.getRegister(1011), 50);
+                    assert.strictEqual(simulator.getRegister(1014), 0b10);
+                    assert.strictEqual(simulator.getRegister(1016), 0b10);
+                });
+        });
+
+        it('keeps the bits of the other inputs', () => {
+            return boardManager.configureInput('sim-DI1.1', {directSwitch: 'DO1.1', mode: 'Inverted'})
+                .then(() => boardManager.configureInput('sim-DI1.2', {directSwitch: 'DO1.2'}))
+                .then(() => boardManager.configureInput('sim-DI1.1', {directSwitch: false}))
+                .then(() => {
+                    assert.strictEqual(simulator.getRegister(1014), 0b10);
+                    assert.strictEqual(simulator.getRegister(1015), 0b01);
+                    assert.deepStrictEqual(boardManager.getInputConfig('sim-DI1.1'), {debounce: 0, directSwitch: false, mode: 'Inverted'});
+                });
+        });
+
+        it('rejects invalid options without writing any of them', () => {
+            const rejects = (id, options, type) => boardManager.configureInput(id, options)
+                .then(() => assert.fail('resolved'), err => assert.ok(err instanceof type, err.message));
+            return rejects('sim-DI1.2', {debounce: 10, mode: 'Blink'}, RangeError)
+                .then(() => rejects('sim-DI1.2', {debounce: 0x10000}, RangeError))
+                .then(() => rejects('sim-DI1.2', {directSwitch: 'DO1.3'}, RangeError))
+                .then(() => rejects('sim-DO1.2', {debounce: 10}, TypeError))
+                .then(() => assert.strictEqual(simulator.getRegister(1011), 0));
+        });
+    });
+
+    describe('pwm', () => {
+        let boardManager;
+
+        beforeEach(() => helpers.start().then(manager => {
+            boardManager = manager;
+        }));
+
+        afterEach(() => boardManager.close());
+
+        it('switches a digital output to PWM mode', () => {
+            return boardManager.setPwm('sim-DO1.1', 25, 1000).then(() => {
+                assert.deepStrictEqual(boardManager.getPwm('sim-DO1.1'), {duty: 25, frequency: 1000});
+                assert.strictEqual(boardManager.getMode('sim-DO1.1'), 'PWM');
+            });
+        });
+
+        it('keeps the duty cycles of the other outputs when the frequency changes', () => {
+            return boardManager.setPwm('sim-DO1.1', 25, 1000)
+                .then(() => boardManager.setPwm('sim-DO1.2', 50))
+                .then(() => boardManager.setPwm('sim-DO1.1', 75, 200))
+                .then(() => {
+                    assert.deepStrictEqual(boardManager.getPwm('sim-DO1.1'), {duty: 75, frequency: 200});
+                    assert.deepStrictEqual(boardManager.getPwm('sim-DO1.2'), {duty: 50, frequency: 200});
+                });
+        });
+
+        it('switches back to Simple mode at a duty cycle of 0', () => {
+            return boardManager.setPwm('sim-DO1.1', 25, 1000)
+                .then(() => boardManager.setPwm('sim-DO1.1', 0))
+                .then(() => {
+                    assert.strictEqual(boardManager.getMode('sim-DO1.1'), 'Simple');
+                    assert.strictEqual(boardManager.getPwm('sim-DO1.1').duty, 0);
+                });
+        });
+
+        it('rejects invalid duty cycles, frequencies and outputs', () => {
+            const rejects = (id, duty, frequency, type, message) => boardManager.setPwm(id, duty, frequency)
+                .then(() => assert.fail('resolved'), err => {
+                    assert.ok(err instanceof type, err.message);
+                    assert.ok(err.message.includes(message), err.message);
+                });
+            return rejects('sim-DO1.1', 50, undefined, Error, 'set a PWM frequency first')
+                .then(() => rejects('sim-DO1.1', 101, 1000, RangeError, 'use 0 - 100 %'))
+                .then(() => rejects('sim-DO1.1', 50, 1e9, RangeError, 'Cannot set the PWM frequency'))
+                .then(() => rejects('sim-RO2.1', 50, 1000, TypeError, 'does not support PWM'));
+        });
+    });
+
+    describe('watchdog', () => {
+        let boardManager;
+        let simulator;
+
+        /**
+         * Collect the Modbus writes of the simulated board to a register or coil.
+         *
+         * @param addr
+         * @returns {Array}
+         *   The written values, filled as they arrive.
+         */
+        const writes = (addr) => {
+            const values = [];
+            simulator.on('write', (written, value) => {
+                if (written === addr) values.push(value);
+            });
+            return values;
+        };
+
+        /**
+         * Start the simulated board.
+         *
+         * @param config
+         * @returns {Promise}
+         */
+        const start = (config) => helpers.start(config).then(manager => {
+            boardManager = manager;
+            simulator = boardManager.boards.sim.simulator;
+        });
+
+        afterEach(() => boardManager.close());
+
+        it('configures the watchdog', () => {
+            return start()
+                .then(() => boardManager.setWatchdog('sim-WD1.1', {timeout: 200, enabled: true}))
+                .then(() => {
+                    assert.deepStrictEqual(boardManager.getWatchdog('sim-WD1.1'), {enabled: true, timeout: 200, wasReset: false});
+                    // L20x: timeout_reg 1008 and val_reg 6.
+                    assert.strictEqual(simulator.getRegister(1008), 200);
+                    assert.strictEqual(simulator.getRegister(6) & 1, 1);
+                });
+        });
+
+        it('keeps an enabled watchdog alive from the polling loop', () => {
+            let values;
+            return start()
+                .then(() => boardManager.setWatchdog('sim-WD1.1', {timeout: 100, enabled: true}))
+                .then(() => {
+                    values = writes(6);
+                    return helpers.wait(250);
+                })
+                // Twice per timeout, with some slack for a busy machine.
+                .then(() => assert.ok(values.length >= 3, `${values.length} keep alive writes`));
+        });
+
+        it('leaves the keep alive to the application without keepAlive', () => {
+            let values;
+            return start({keepAlive: false})
+                .then(() => boardManager.setWatchdog('sim-WD1.1', {timeout: 100, enabled: true}))
+                .then(() => {
+                    values = writes(6);
+                    return helpers.wait(250);
+                })
+                .then(() => assert.deepStrictEqual(values, []));
+        });
+
+        it('reports a reset by the watchdog once', () => {
+            const events = [];
+            return start()
+                .then(() => {
+                    boardManager.on('watchdog', id => events.push(id));
+                    simulator.setRegister(6, 0x03);
+                    return helpers.wait(50);
+                })
+                .then(() => {
+                    assert.deepStrictEqual(events, ['sim-WD1.1']);
+                    assert.strictEqual(boardManager.getWatchdog('sim-WD1.1').wasReset, true);
+                });
+        });
+
+        it('writes the reset and save coils', () => {
+            let reset;
+            let save;
+            return start()
+                .then(() => {
+                    reset = writes(1002);
+                    save = writes(1003);
+                    return boardManager.resetWatchdog('sim-WD1.1');
+                })
+                .then(() => boardManager.setWatchdog('sim-WD1.1', {nvSave: true}))
+                .then(() => {
+                    assert.deepStrictEqual(reset, [true]);
+                    assert.deepStrictEqual(save, [true]);
+                });
+        });
+
+        it('rejects invalid timeouts and ios', () => {
+            return start()
+                .then(() => boardManager.setWatchdog('sim-WD1.1', {timeout: 0, enabled: true}))
+                .then(() => assert.fail('resolved'), err => assert.ok(err instanceof RangeError))
+                .then(() => boardManager.setWatchdog('sim-DO1.1', {enabled: true}))
+                .then(() => assert.fail('resolved'), err => assert.ok(err instanceof TypeError))
+                .then(() => assert.strictEqual(simulator.getRegister(6), 0));
+        });
+    });
+
+    describe('uart', () => {
+        let boardManager;
+        let simulator;
+
+        beforeEach(() => helpers.start().then(manager => {
+            boardManager = manager;
+            simulator = boardManager.boards.sim.simulator;
+        }));
+
+        afterEach(() => boardManager.close());
+
+        it('configures a UART port', () => {
+            return boardManager.setUartConfig('sim', 1, {speed: '9600bps', parity: 'Even', stopBits: 'Two'}).then(() => {
+                assert.deepStrictEqual(boardManager.getUartConfig('sim', 1), {speed: '9600bps', parity: 'Even', stopBits: 'Two'});
+                // L20x: conf_reg 1031 in the termios c_cflag encoding, B9600 | PARENB | CSTOPB.
+                assert.strictEqual(simulator.getRegister(1031), 0o15 | 0x100 | 0x40);
+            });
+        });
+
+        it('keeps the options that are left out and the other bits', () => {
+            // CS8 and B19200 with odd parity.
+            simulator.setRegister(1031, 0o60 | 0o16 | 0x300);
+            return boardManager.setUartConfig('sim', 1, {parity: 'None'}).then(() => {
+                assert.deepStrictEqual(boardManager.getUartConfig('sim', 1), {speed: '19200bps', parity: 'None', stopBits: 'One'});
+                assert.strictEqual(simulator.getRegister(1031), 0o60 | 0o16);
+            });
+        });
+
+        it('rejects unknown options, values and ports', () => {
+            const rejects = (n, config, message) => boardManager.setUartConfig('sim', n, config)
+                .then(() => assert.fail('resolved'), err => {
+                    assert.ok(err instanceof RangeError, err.message);
+                    assert.ok(err.message.includes(message), err.message);
+                });
+            return rejects(1, {baudRate: 9600}, 'Unknown UART option baudRate')
+                .then(() => rejects(1, {speed: '1200bps'}, 'Cannot set the speed of UART1.1 to 1200bps'))
+                .then(() => rejects(2, {speed: '9600bps'}, 'Unknown UART port 2, board sim has 1 ports'))
+                .then(() => assert.strictEqual(simulator.getRegister(1031), 0));
+        });
+    });
+
+    describe('dali', () => {
+        let boardManager;
+        let simulator;
+
+        beforeEach(() => helpers.start({model: 'M60x'}).then(manager => {
+            boardManager = manager;
+            simulator = boardManager.boards.sim.simulator;
+            simulator.addBallast('LIGHT2.1', 5, 0);
+            simulator.addBallast('LIGHT2.1', 7, 100);
+        }));
+
+        afterEach(() => boardManager.close());
+
+        it('sets the level of a ballast', () => {
+            const update = helpers.waitFor(boardManager, 'update', id => id === 'sim-LIGHT2.1.5');
+            return boardManager.setDaliLevel('sim-LIGHT2.1', 5, 200)
+                .then(() => update)
+                .then(args => {
+                    assert.strictEqual(args[1], 200);
+                    assert.strictEqual(simulator.getBallast('LIGHT2.1', 5), 200);
+                    assert.strictEqual(simulator.getBallast('LIGHT2.1', 7), 100);
+                });
+        });
+
+        it('sets the level of every ballast with a broadcast', () => {
+            return boardManager.setDaliLevel('sim-LIGHT2.1', 'broadcast', 50).then(() => {
+                assert.strictEqual(simulator.getBallast('LIGHT2.1', 5), 50);
+                assert.strictEqual(simulator.getBallast('LIGHT2.1', 7), 50);
+                assert.strictEqual(boardManager.boards.sim.state['LIGHT2.1.broadcast'], 50);
+            });
+        });
+
+        it('queries the level and status of a ballast', () => {
+            return boardManager.queryDaliLevel('sim-LIGHT2.1', 7)
+                .then(level => {
+                    assert.strictEqual(level, 100);
+                    assert.strictEqual(boardManager.boards.sim.state['LIGHT2.1.7'], 100);
+                    return boardManager.queryDaliStatus('sim-LIGHT2.1', 7);
+                })
+                .then(status => {
+                    assert.strictEqual(status.lampOn, true);
+                    assert.strictEqual(status.lampFailure, false);
+                    return boardManager.queryDaliLevel('sim-LIGHT2.1', 9);
+                })
+                .then(level => assert.strictEqual(level, undefined));
+        });
+
+        it('finds the ballasts on the bus', function () {
+            this.timeout(10000);
+            return boardManager.scanDali('sim-LIGHT2.1').then(addresses => assert.deepStrictEqual(addresses, [5, 7]));
+        });
+
+        it('rejects invalid levels and targets', () => {
+            return boardManager.setDaliLevel('sim-LIGHT2.1', 5, 255)
+                .then(() => assert.fail('resolved'), err => assert.ok(err instanceof RangeError))
+                .then(() => boardManager.setDaliLevel('sim-LIGHT2.1', 'G16', 10))
+                .then(() => assert.fail('resolved'), err => assert.ok(err instanceof RangeError))
+                .then(() => boardManager.queryDaliLevel('sim-LIGHT2.1', 'G3'))
+                .then(() => assert.fail('resolved'), err => assert.ok(err instanceof RangeError))
+                .then(() => boardManager.setDaliLevel('sim-DO1.1', 5, 10))
+                .then(() => assert.fail('resolved'), err => assert.ok(err instanceof TypeError))
+                .then(() => assert.strictEqual(simulator.getBallast('LIGHT2.1', 5), 0));
+        });
+    });
+
+    describe('custom registers', () => {
+        const definition = path.join(__dirname, '..', 'hw_definitions', 'CUSTOM MODBUS DEVICE.yaml');
+        const registers = {
+            500: 'float32',
+            502: {type: 'int16', scale: 0.1},
+            504: {type: 'uint32', wordOrder: 'little'}
+        };
+        let boardManager;
+        let simulator;
+
+        beforeEach(() => helpers.start({model: undefined, definition: definition, registers: registers}).then(manager => {
+            boardManager = manager;
+            simulator = boardManager.boards.sim.simulator;
+        }));
+
+        afterEach(() => boardManager.close());
+
+        it('decodes registers of the configured data types', () => {
+            // 230.5 high word first, -125 and 70000 low word first.
+            [[500, 0x4366], [501, 0x8000], [502, 0xFF83], [504, 4464], [505, 1]]
+                .forEach(register => simulator.setRegister(register[0], register[1]));
+            return helpers.waitFor(boardManager, 'update', id => id === 'sim-REG1.504')
+                .then(() => {
+                    const state = boardManager.getAllStates();
+                    assert.strictEqual(state['sim-REG1.500'], 230.5);
+                    assert.strictEqual(state['sim-REG1.502'], -12.5);
+                    assert.strictEqual(state['sim-REG1.504'], 70000);
+                });
+        });
+
+        it('encodes the values written to registers', () => {
+            return boardManager.set('sim-REG1.500', 12.25)
+                .then(() => boardManager.set('sim-REG1.502', -3))
+                .then(() => boardManager.set('sim-REG1.504', 0x12345))
+                .then(() => {
+                    assert.deepStrictEqual([500, 501, 502, 504, 505].map(reg => simulator.getRegister(reg)),
+                        [0x4144, 0x0000, 0xFFE2, 0x2345, 0x0001]);
+                    // Registers without a data type are written as is.
+                    return boardManager.set('sim-REG1.0', 42);
+                })
+                .then(() => assert.strictEqual(simulator.getRegister(0), 42));
+        });
+
+        it('rejects values out of the range of the data type', () => {
+            return boardManager.set('sim-REG1.502', 4000).then(() => assert.fail('resolved'), err => {
+                assert.ok(err instanceof RangeError);
+                assert.strictEqual(simulator.getRegister(502), 0);
+            });
+        });
+
+        it('rejects data types of registers outside the definition', () => {
+            assert.throws(() => new BoardManager([{name: 'meter', type: 'simulator', definition: definition, registers: {900: 'uint16'}}]),
+                err => err instanceof ConfigError && err.property === 'registers.900');
+        });
+    });
+
+    describe('errors', () => {
+        let boardManager;
+
+        beforeEach(() => helpers.start().then(manager => {
+            boardManager = manager;
+        }));
+
+        afterEach(() => boardManager.close());
+
+        it('rejects with a WriteVerifyError when a write does not stick', function () {
+            this.timeout(5000);
+            const errors = [];
+            boardManager.on('error', (err, board) => errors.push([err, board]));
+            // The simulated board acknowledges the write but keeps the output off.
+            boardManager.boards.sim.simulator.setCoil = () => {};
+            return boardManager.set('sim-RO2.1', true).then(() => assert.fail('resolved'), err => {
+                assert.ok(err instanceof WriteVerifyError);
+                assert.strictEqual(err.board, 'sim');
+                assert.strictEqual(err.id, 'RO2.1');
+                assert.strictEqual(err.value, true);
+                assert.strictEqual(err.retries, 5);
+                assert.deepStrictEqual(errors, [[err, 'sim']]);
+            });
+        });
+
+        it('emits the errors of update listeners as they are, not as failed reads', () => {
+            const failure = new Error('Listener failed');
+            boardManager.once('update', () => {
+                throw failure;
+            });
+            const error = helpers.waitFor(boardManager, 'error');
+            boardManager.boards.sim.simulator.set('DI1.1', true);
+            return error.then(args => {
+                assert.strictEqual(args[0], failure);
+                assert.strictEqual(args[1], 'sim');
+                boardManager.getPollingStats().sim.blocks.forEach(block => assert.strictEqual(block.errors, 0));
+            });
+        });
+
+        it('keeps polling without error listeners', () => {
+            boardManager.once('update', () => {
+                throw new Error('Listener failed');
+            });
+            boardManager.boards.sim.simulator.set('DI1.1', true);
+            return helpers.wait(50)
+                .then(() => {
+                    boardManager.boards.sim.simulator.set('DI1.2', true);
+                    return helpers.waitFor(boardManager, 'update', id => id === 'sim-DI1.2');
+                });
+        });
+    });
+
+    describe('discover', () => {
+        it('finds an extension module behind a Modbus TCP gateway', () => {
+            const simulator = new Simulator({model: 'xS10'});
+            return simulator.listen()
+                .then(port => BoardManager.discover({ip: '127.0.0.1', port: port, ids: [3]}))
+                .then(found => assert.deepStrictEqual(found, [{
+                    name: '3', type: 'tcp', id: 3, model: 'xS10', ip: '127.0.0.1', port: simulator.port
+                }]))
+                .then(() => simulator.close(), err => simulator.close().then(() => {
+                    throw err;
+                }));
+        });
+
+        it('skips the baud rates of a bus that cannot be opened', () => {
+            return BoardManager.discover({socket: '/nonexistent/extcomm', baudRates: [19200, 9600], ids: [1]})
+                .then(found => assert.deepStrictEqual(found, []));
+        });
+
+        it('resolves without modules when the gateway cannot be reached', () => {
+            // Nothing listens on port 1, the connection is refused.
+            return BoardManager.discover({ip: '127.0.0.1', port: 1, ids: [1]})
+                .then(found => assert.deepStrictEqual(found, []));
+        });
+    });
+});
@@ -0,0 +1,175 @@
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const Config = require('../Config');
+const Neuron = require('../Neuron');
+const BoardManager = require('../BoardManager');
+const ConfigError = require('../Errors').ConfigError;
+
+describe('Config', () => {
+
+    /**
+     * Assert that a config array is rejected for a property.
+     *
+     * @param configs
+     * @param property
+     * @param message
+     *   A part of the expected error message.
+     */
+    const rejects = (configs, property, message) => {
+        assert.throws(() => Config.validate(configs), err => {
+            assert.ok(err instanceof ConfigError);
+            assert.strictEqual(err.property, property);
+            assert.ok(err.message.includes(message), err.message);
+            return true;
+        });
+    };
+
+    describe('normalize', () => {
+        it('fills in the defaults on a copy', () => {
+            const config = {};
+            assert.deepStrictEqual(Config.normalize(config), {interval: 10, id: 0, name: 'local', type: 'tcp', port: 502, ip: '127.0.0.1'});
+            assert.deepStrictEqual(config, {});
+        });
+
+        it('names extension boards after their id', () => {
+            const config = Config.normalize({type: 'rtu', id: 3, model: 'xS10'});
+            assert.strictEqual(config.name, '3');
+            assert.strictEqual(config.socket, '/dev/extcomm/0/0');
+        });
+    });
+
+    describe('validate', () => {
+        it('rejects values of the wrong type', () => {
+            rejects([{interval: '10'}], 'interval', 'must be a number, got "10"');
+            rejects([{id: 1.5}], 'id', 'must be a integer, got 1.5');
+            rejects([{keepAlive: 'yes'}], 'keepAlive', 'must be a boolean');
+            rejects([{maxOnTime: {'DO1.1': -1}}], 'maxOnTime.DO1.1', 'must be more than 0, got -1');
+        });
+
+        it('rejects values out of range', () => {
+            rejects([{id: 248}], 'id', 'must be at most 247, got 248');
+            rejects([{port: 70000}], 'port', 'has an invalid value 70000');
+            rejects([{type: 'udp'}], 'type', 'must be one of: tcp, rtu, simulator, got "udp"');
+            rejects([{interlocks: [{outputs: ['DO1.1']}]}], 'interlocks[0].outputs', 'must hold at least 2 items, got 1');
+        });
+
+        it('rejects unknown keys', () => {
+            rejects([{intervall: 10}], 'intervall', 'is not a known option, use one of: name, type');
+            rejects([{registers: {500: {type: 'float32', order: 'big'}}}], 'registers.500.order', 'is not a known option');
+            rejects([{registers: {first: 'uint16'}}], 'registers.first', 'is not a valid key');
+        });
+
+        it('rejects unknown models and too many groups', () => {
+            rejects([{model: 'X99'}], 'model', 'has no hardware definition in hw_definitions, got "X99"');
+            rejects([{model: 'L20x', groups: 9}], 'groups', 'must be at most 3 for L20x, got 9');
+            rejects([{type: 'simulator'}], 'model', 'is required to simulate a board');
+        });
+
+        it('rejects duplicate names', () => {
+            rejects([{name: 'local', id: 0}, {name: 'local', id: 1}], 'name', 'name is already used by config[0]');
+            // Both default to local.
+            rejects([{}, {ip: '192.168.1.10'}], 'name', 'Invalid config[1] "local"');
+        });
+
+        it('names the entry of the invalid config', () => {
+            assert.throws(() => Config.validate([{}, {name: 'extension', id: 'one'}]), err => {
+                assert.strictEqual(err.message, 'Invalid config[1] "extension": id must be a integer, got "one"');
+                assert.strictEqual(err.index, 1);
+                assert.strictEqual(err.board, 'extension');
+                return true;
+            });
+        });
+
+        it('requires an array', () => {
+            assert.throws(() => Config.validate({name: 'local'}), ConfigError);
+        });
+    });
+
+    describe('applyEnv', () => {
+        it('overrides the properties of the named boards', () => {
+            const configs = [{name: 'local'}, {id: 2, type: 'rtu'}, {name: 'living-room'}];
+            const env = {
+                UNIPI_NEURON_LOCAL_IP: '192.168.1.10',
+                UNIPI_NEURON_LOCAL_TIMEOUT: '2000',
+                UNIPI_NEURON_2_RATE_WINDOW: '30000',
+                UNIPI_NEURON_2_KEEP_ALIVE: 'false',
+                UNIPI_NEURON_LIVING_ROOM_FAILSAFE: '{"RO2.1": false}',
+                UNIPI_NEURON_LOCAL_UNKNOWN: '1'
+            };
+            assert.deepStrictEqual(Config.applyEnv(configs, env), [
+                {name: 'local', ip: '192.168.1.10', timeout: 2000},
+                {id: 2, type: 'rtu', rateWindow: 30000, keepAlive: false},
+                {name: 'living-room', failsafe: {'RO2.1': false}}
+            ]);
+            assert.deepStrictEqual(configs[0], {name: 'local'});
+        });
+
+        it('leaves invalid overrides to the validation', () => {
+            const configs = Config.applyEnv([{}], {UNIPI_NEURON_LOCAL_INTERVAL: 'fast'});
+            rejects(configs, 'interval', 'must be a number, got "fast"');
+        });
+    });
+
+    describe('load', () => {
+        let dir;
+        let file;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unipi-config-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, {recursive: true, force: true});
+        });
+
+        it('loads a JSON file', () => {
+            file = path.join(dir, 'boards.json');
+            fs.writeFileSync(file, JSON.stringify([{name: 'local', model: 'L20x'}, {type: 'rtu', id: 1, model: 'xS10'}]));
+            const configs = Config.load(file, {});
+            assert.deepStrictEqual(configs.map(config => config.name), ['local', '1']);
+            assert.strictEqual(configs[1].socket, '/dev/extcomm/0/0');
+        });
+
+        it('loads a YAML file with the environment overrides', () => {
+            file = path.join(dir, 'boards.yaml');
+            fs.writeFileSync(file, [
+                '- name: local',
+                '  model: L20x',
+                '  interval: 20'
+            ].join('\n'));
+            const configs = Config.load(file, {UNIPI_NEURON_LOCAL_INTERVAL: '50'});
+            assert.strictEqual(configs[0].interval, 50);
+        });
+
+        it('throws a ConfigError for a missing file, invalid syntax or no array', () => {
+            const invalid = path.join(dir, 'invalid.json');
+            const object = path.join(dir, 'object.yml');
+            fs.writeFileSync(invalid, '[{');
+            fs.writeFileSync(object, 'name: local');
+            [path.join(dir, 'missing.json'), invalid, object].forEach(file => {
+                assert.throws(() => Config.load(file, {}), err => err instanceof ConfigError && err.file === file);
+            });
+        });
+
+        it('validates each board once when creating a board manager from a file', () => {
+            file = path.join(dir, 'boards.yml');
+            fs.writeFileSync(file, '- {name: sim, type: simulator, model: L20x, interval: 5}\n');
+            const getDefinition = sinon.spy(Neuron, 'getDefinition');
+            let boardManager;
+            try {
+                boardManager = BoardManager.fromFile(file);
+            } finally {
+                getDefinition.restore();
+            }
+            return boardManager.ready()
+                .then(() => boardManager.close())
+                // Once to check the config, then the board and its simulator load it to map the ios.
+                .then(() => assert.strictEqual(getDefinition.withArgs('L20x').callCount, 3));
+        });
+    });
+});
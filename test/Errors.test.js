@@ -0,0 +1,58 @@
+"use strict";
+
+const assert = require('assert');
+const EventEmitter = require('events').EventEmitter;
+const Errors = require('../Errors');
+
+describe('Errors', () => {
+
+    describe('fromModbus', () => {
+        const details = {board: 'local', register: 1000};
+
+        it('converts Modbus exceptions', () => {
+            const err = Errors.fromModbus(new Error('Modbus exception 2'), 'read register 1000', details);
+            assert.ok(err instanceof Errors.ModbusException);
+            assert.strictEqual(err.message, 'Cannot read register 1000 (board local): Illegal Data Address (2)');
+            assert.strictEqual(err.code, 2);
+            assert.strictEqual(err.description, 'Illegal Data Address');
+            assert.strictEqual(err.register, 1000);
+        });
+
+        it('converts timeouts', () => {
+            const cause = new Error('Timed out');
+            const err = Errors.fromModbus(cause, 'read register 1000', details);
+            assert.ok(err instanceof Errors.TimeoutError);
+            assert.strictEqual(err.message, 'Cannot read register 1000 (board local): no answer in time');
+            assert.strictEqual(err.cause, cause);
+        });
+
+        it('wraps other errors with their cause', () => {
+            const cause = new Error('Port Not Open');
+            const err = Errors.fromModbus(cause, 'connect', {board: 'local'});
+            assert.strictEqual(err.constructor, Errors.NeuronError);
+            assert.strictEqual(err.name, 'NeuronError');
+            assert.strictEqual(err.message, 'Cannot connect (board local): Port Not Open');
+            assert.strictEqual(err.cause, cause);
+        });
+
+        it('keeps errors of this package', () => {
+            const err = new Errors.UnknownIdError('Unknown id DI9.9', {id: 'DI9.9'});
+            assert.strictEqual(Errors.fromModbus(err, 'read', details), err);
+        });
+    });
+
+    describe('emitError', () => {
+        it('emits to the error listeners with the extra arguments', () => {
+            const emitter = new EventEmitter();
+            const err = new Error('Test');
+            const received = [];
+            emitter.on('error', (...args) => received.push(args));
+            assert.strictEqual(Errors.emitError(emitter, err, 'local'), true);
+            assert.deepStrictEqual(received, [[err, 'local']]);
+        });
+
+        it('does not throw without error listeners', () => {
+            assert.strictEqual(Errors.emitError(new EventEmitter(), new Error('Test')), false);
+        });
+    });
+});
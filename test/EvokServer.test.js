@@ -0,0 +1,174 @@
+"use strict";
+
+const assert = require('assert');
+const http = require('http');
+const WebSocket = require('ws');
+const EvokServer = require('../EvokServer');
+const helpers = require('./helpers/simulator');
+
+/**
+ * Send a request to the server.
+ *
+ * @param port
+ * @param method
+ * @param path
+ * @param body
+ *   Sent JSON encoded.
+ * @returns {Promise}
+ *   Resolves with {status, body}.
+ */
+const request = (port, method, path, body) => new Promise((resolve, reject) => {
+    const req = http.request({host: '127.0.0.1', port: port, method: method, path: path, headers: {'Content-Type': 'application/json'}}, res => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => resolve({status: res.statusCode, body: JSON.parse(data)}));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+});
+
+/**
+ * Connect a WebSocket client that keeps the received messages.
+ *
+ * @param port
+ * @returns {Promise}
+ *   Resolves with the client once connected.
+ */
+const connectSocket = (port) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}/ws`);
+    socket.once('open', () => resolve(socket));
+    socket.once('error', reject);
+});
+
+/**
+ * Wait for a WebSocket message.
+ *
+ * @param socket
+ * @param filter
+ *   Only resolve for the messages that pass the filter.
+ * @returns {Promise}
+ *   Resolves with the parsed message.
+ */
+const waitForMessage = (socket, filter) => helpers.waitFor(socket, 'message', data => filter(JSON.parse(data.toString())))
+    .then(args => JSON.parse(args[0].toString()));
+
+describe('EvokServer', function () {
+    this.timeout(5000);
+
+    let boardManager;
+    let server;
+    let port;
+
+    beforeEach(() => helpers.start().then(manager => {
+        boardManager = manager;
+        server = new EvokServer(boardManager, {port: 0, host: '127.0.0.1'});
+        return server.listen();
+    }).then(listening => {
+        port = listening;
+    }));
+
+    afterEach(() => server.close().then(() => boardManager.close()));
+
+    it('pads circuits to two digits without truncating them', () => {
+        assert.strictEqual(server.device('sim', 'DI1.1').circuit, '1_01');
+        assert.strictEqual(server.device('sim', 'REG1.10').circuit, '1_10');
+        assert.strictEqual(server.device('sim', 'REG1.1000').circuit, '1_1000');
+
+        const circuits = server.devices().map(device => `${device.dev}/${device.circuit}`);
+        assert.strictEqual(new Set(circuits).size, circuits.length);
+    });
+
+    it('lists all devices', () => {
+        return request(port, 'GET', '/rest/all').then(res => {
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body.find(device => device.dev === 'relay' && device.circuit === '2_01'),
+                {dev: 'relay', circuit: '2_01', value: 0, relay_type: 'physical'});
+            assert.deepStrictEqual(res.body.find(device => device.dev === 'input' && device.circuit === '1_01'),
+                {dev: 'input', circuit: '1_01', value: 0, counter: 0, debounce: 0, mode: 'Simple'});
+        });
+    });
+
+    it('lists the devices of a type', () => {
+        return request(port, 'GET', '/rest/register').then(res => {
+            assert.strictEqual(res.status, 200);
+            assert.ok(res.body.length > 0);
+            res.body.forEach(device => assert.strictEqual(device.dev, 'register'));
+            assert.ok(res.body.find(device => device.circuit === '1_1000'));
+        });
+    });
+
+    it('answers a single device', () => {
+        boardManager.boards.sim.simulator.set('DI1.1', true);
+        return helpers.waitFor(boardManager, 'update', id => id === 'sim-DI1.1')
+            .then(() => request(port, 'GET', '/rest/input/1_01'))
+            .then(res => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.body.dev, 'input');
+                assert.strictEqual(res.body.circuit, '1_01');
+                assert.strictEqual(res.body.value, 1);
+            });
+    });
+
+    it('changes a device on POST', () => {
+        return request(port, 'POST', '/rest/relay/2_01', {value: 1}).then(res => {
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body, {success: true, result: {dev: 'relay', circuit: '2_01', value: 1, relay_type: 'physical'}});
+            assert.strictEqual(boardManager.boards.sim.simulator.getState('RO2.1'), 1);
+        });
+    });
+
+    it('answers unknown devices with a 404', () => {
+        return request(port, 'GET', '/rest/relay/9_01').then(res => {
+            assert.strictEqual(res.status, 404);
+            assert.deepStrictEqual(res.body, {success: false, errors: {__all__: 'Unknown relay 9_01'}});
+        });
+    });
+
+    it('answers invalid changes with a 400', () => {
+        return request(port, 'POST', '/rest/input/1_01', {counter: 5}).then(res => {
+            assert.strictEqual(res.status, 400);
+            assert.deepStrictEqual(res.body, {success: false, errors: {__all__: 'Counters can only be reset to 0'}});
+        });
+    });
+
+    it('pushes updates to WebSocket clients', () => {
+        return connectSocket(port).then(socket => {
+            const message = waitForMessage(socket, body => Array.isArray(body) && body[0].circuit === '1_01' && body[0].value === 1);
+            boardManager.boards.sim.simulator.set('DI1.1', true);
+            return message.then(body => {
+                assert.strictEqual(body.length, 1);
+                assert.strictEqual(body[0].dev, 'input');
+            });
+        });
+    });
+
+    it('answers the all command of WebSocket clients', () => {
+        return connectSocket(port).then(socket => {
+            const message = waitForMessage(socket, body => Array.isArray(body) && body.length > 1);
+            socket.send(JSON.stringify({cmd: 'all'}));
+            return message.then(body => {
+                assert.strictEqual(body.length, server.devices().length);
+            });
+        });
+    });
+
+    it('applies the set command of WebSocket clients', () => {
+        return connectSocket(port).then(socket => {
+            const message = waitForMessage(socket, body => Array.isArray(body) && body[0].circuit === '2_01');
+            socket.send(JSON.stringify({cmd: 'set', dev: 'relay', circuit: '2_01', value: 1}));
+            return message.then(body => {
+                assert.deepStrictEqual(body, [{dev: 'relay', circuit: '2_01', value: 1, relay_type: 'physical'}]);
+            });
+        });
+    });
+
+    it('answers failed WebSocket commands', () => {
+        return connectSocket(port).then(socket => {
+            const message = waitForMessage(socket, body => body.success === false);
+            socket.send(JSON.stringify({cmd: 'unknown'}));
+            return message.then(body => {
+                assert.deepStrictEqual(body, {success: false, errors: {__all__: 'Unknown command unknown'}});
+            });
+        });
+    });
+});
@@ -0,0 +1,140 @@
+"use strict";
+
+const assert = require('assert');
+const sinon = require('sinon');
+const Gestures = require('../Gestures');
+
+describe('Gestures', () => {
+    let clock;
+    let gestures;
+    let events;
+
+    /**
+     * Change the input at the current time.
+     *
+     * @param value
+     */
+    const change = (value) => gestures.change('DI1.1', value, Date.now());
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({now: 10000});
+        gestures = new Gestures({'DI1.1': true, 'DI1.2': {doubleClick: 0}});
+        events = [];
+        Gestures.EVENTS.forEach(event => gestures.on(event, (...args) => events.push([event].concat(args))));
+    });
+
+    afterEach(() => {
+        gestures.close();
+        clock.restore();
+    });
+
+    it('reports a press once no second click follows', () => {
+        change(1);
+        clock.tick(100);
+        change(0);
+        assert.deepStrictEqual(events, [['release', 'DI1.1', 10100, 100]]);
+        clock.tick(299);
+        assert.strictEqual(events.length, 1);
+        clock.tick(1);
+        assert.deepStrictEqual(events, [['release', 'DI1.1', 10100, 100], ['press', 'DI1.1', 10100]]);
+    });
+
+    it('reports a press right away without a double click threshold', () => {
+        gestures.change('DI1.2', 1, 10000);
+        gestures.change('DI1.2', 0, 10100);
+        assert.deepStrictEqual(events, [['press', 'DI1.2', 10100], ['release', 'DI1.2', 10100, 100]]);
+    });
+
+    it('reports a double click instead of two presses', () => {
+        change(1);
+        clock.tick(100);
+        change(0);
+        clock.tick(200);
+        change(1);
+        clock.tick(100);
+        change(0);
+        clock.tick(1000);
+        assert.deepStrictEqual(events, [
+            ['release', 'DI1.1', 10100, 100],
+            ['doubleclick', 'DI1.1', 10400],
+            ['release', 'DI1.1', 10400, 100]
+        ]);
+    });
+
+    it('reports two presses when the second click is too late', () => {
+        change(1);
+        clock.tick(100);
+        change(0);
+        clock.tick(400);
+        change(1);
+        clock.tick(100);
+        change(0);
+        clock.tick(300);
+        assert.deepStrictEqual(events.filter(event => event[0] === 'press'), [['press', 'DI1.1', 10100], ['press', 'DI1.1', 10600]]);
+    });
+
+    it('reports a long press and repeats hold while the button stays down', () => {
+        change(1);
+        clock.tick(999);
+        assert.deepStrictEqual(events, []);
+        clock.tick(1);
+        assert.deepStrictEqual(events, [['longpress', 'DI1.1', 11000]]);
+        clock.tick(1500);
+        change(0);
+        clock.tick(1000);
+        assert.deepStrictEqual(events, [
+            ['longpress', 'DI1.1', 11000],
+            ['hold', 'DI1.1', 11500, 1],
+            ['hold', 'DI1.1', 12000, 2],
+            ['hold', 'DI1.1', 12500, 3],
+            ['release', 'DI1.1', 12500, 2500]
+        ]);
+    });
+
+    it('reports a long press when the release is polled after the long press threshold', () => {
+        // The timers have not run yet, e.g. the event loop was busy while the button was down.
+        gestures.change('DI1.1', 1, 10000);
+        gestures.change('DI1.1', 0, 11200);
+        clock.tick(1000);
+        assert.deepStrictEqual(events, [['longpress', 'DI1.1', 11000], ['release', 'DI1.1', 11200, 1200]]);
+    });
+
+    it('reports the first click of a double click that turned into a long press as a press', () => {
+        change(1);
+        clock.tick(100);
+        change(0);
+        clock.tick(200);
+        change(1);
+        clock.tick(1000);
+        assert.deepStrictEqual(events, [
+            ['release', 'DI1.1', 10100, 100],
+            ['press', 'DI1.1', 10100],
+            ['longpress', 'DI1.1', 11300]
+        ]);
+    });
+
+    it('times the long press from the change when the poll read it late', () => {
+        gestures.change('DI1.1', 1, 9800);
+        clock.tick(799);
+        assert.deepStrictEqual(events, []);
+        clock.tick(1);
+        assert.deepStrictEqual(events, [['longpress', 'DI1.1', 10800]]);
+    });
+
+    it('forgets the buttons on reset', () => {
+        change(1);
+        clock.tick(100);
+        gestures.reset();
+        clock.tick(2000);
+        change(0);
+        clock.tick(1000);
+        assert.deepStrictEqual(events, []);
+    });
+
+    it('ignores inputs without gestures', () => {
+        gestures.change('DI1.3', 1, 10000);
+        gestures.change('DI1.3', 0, 10100);
+        clock.tick(1000);
+        assert.deepStrictEqual(events, []);
+    });
+});
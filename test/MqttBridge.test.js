@@ -0,0 +1,157 @@
+"use strict";
+
+const assert = require('assert');
+const net = require('net');
+const aedes = require('aedes');
+const mqtt = require('mqtt');
+const BoardManager = require('../BoardManager');
+const MqttBridge = require('../MqttBridge');
+const helpers = require('./helpers/simulator');
+
+/**
+ * Start an in-process MQTT broker on a free port.
+ *
+ * @returns {Promise}
+ *   Resolves with {broker, server, url}.
+ */
+const startBroker = () => new Promise(resolve => {
+    const broker = aedes();
+    const server = net.createServer(broker.handle);
+    server.listen(0, '127.0.0.1', () => {
+        resolve({broker: broker, server: server, url: `mqtt://127.0.0.1:${server.address().port}`});
+    });
+});
+
+/**
+ * Connect a client that records the last message of every topic.
+ *
+ * @param url
+ * @returns {Promise}
+ *   Resolves with the client, its messages are in client.messages.
+ */
+const connectClient = (url) => new Promise(resolve => {
+    const client = mqtt.connect(url);
+    client.messages = {};
+    client.on('message', (topic, payload) => {
+        client.messages[topic] = payload.toString();
+    });
+    client.on('connect', () => client.subscribe('#', () => resolve(client)));
+});
+
+/**
+ * Wait for a message on a topic.
+ *
+ * @param client
+ * @param topic
+ * @param payload
+ *   Only resolve for this payload.
+ * @returns {Promise}
+ *   Resolves with the payload.
+ */
+const waitForMessage = (client, topic, payload) => {
+    if (client.messages[topic] !== undefined && (payload === undefined || client.messages[topic] === payload)) {
+        return Promise.resolve(client.messages[topic]);
+    }
+    return helpers.waitFor(client, 'message', (received, message) => {
+        return received === topic && (payload === undefined || message.toString() === payload);
+    }).then(args => args[1].toString());
+};
+
+describe('MqttBridge', function () {
+    this.timeout(5000);
+
+    let broker;
+    let client;
+    let boardManager;
+    let bridge;
+
+    beforeEach(() => startBroker().then(started => {
+        broker = started;
+        return connectClient(broker.url);
+    }).then(connected => {
+        client = connected;
+    }));
+
+    afterEach(() => bridge.close()
+        .then(() => boardManager.close())
+        .then(() => new Promise(resolve => client.end(false, {}, resolve)))
+        .then(() => new Promise(resolve => broker.broker.close(resolve)))
+        .then(() => new Promise(resolve => broker.server.close(resolve))));
+
+    describe('with a simulated board', () => {
+        let simulator;
+
+        beforeEach(() => helpers.start({model: 'M50x'}).then(manager => {
+            boardManager = manager;
+            simulator = boardManager.boards.sim.simulator;
+            bridge = new MqttBridge(boardManager, {url: broker.url});
+            const ready = helpers.waitFor(bridge, 'ready');
+            bridge.start();
+            return ready;
+        }));
+
+        it('publishes the status, availability and states', () => {
+            return Promise.all([
+                waitForMessage(client, 'unipi/status', 'online'),
+                waitForMessage(client, 'unipi/sim/availability', 'online'),
+                waitForMessage(client, 'unipi/sim/DI1.1/state', '0'),
+                waitForMessage(client, 'unipi/sim/AI1.1/state', '0'),
+                waitForMessage(client, 'unipi/sim/DI1.1/counter', '0')
+            ]);
+        });
+
+        it('publishes the Home Assistant discovery payloads', () => {
+            return waitForMessage(client, 'homeassistant/sensor/unipi_sim/AI1_1/config').then(payload => {
+                const config = JSON.parse(payload);
+                assert.strictEqual(config.state_topic, 'unipi/sim/AI1.1/state');
+                assert.strictEqual(config.unit_of_measurement, 'V');
+                assert.strictEqual(config.device_class, 'voltage');
+                return waitForMessage(client, 'homeassistant/switch/unipi_sim/RO2_1/config');
+            }).then(payload => {
+                assert.strictEqual(JSON.parse(payload).command_topic, 'unipi/sim/RO2.1/set');
+            });
+        });
+
+        it('publishes updates', () => {
+            simulator.set('DI1.1', true);
+            return waitForMessage(client, 'unipi/sim/DI1.1/state', '1');
+        });
+
+        it('sets outputs from their set topic', () => {
+            client.publish('unipi/sim/RO2.1/set', 'ON');
+            return waitForMessage(client, 'unipi/sim/RO2.1/state', '1')
+                .then(() => assert.strictEqual(simulator.getState('RO2.1'), 1));
+        });
+
+        it('reports invalid set payloads as errors', () => {
+            const failed = helpers.waitFor(bridge, 'error');
+            client.publish('unipi/sim/RO2.1/set', 'maybe');
+            return failed.then(args => assert.ok(args[0] instanceof RangeError));
+        });
+
+        it('marks the bridge offline on close', () => {
+            return bridge.close().then(() => waitForMessage(client, 'unipi/status', 'offline'));
+        });
+    });
+
+    describe('with a board that cannot be reached', () => {
+
+        beforeEach(() => {
+            // Nothing listens on port 1, the board stays offline.
+            boardManager = new BoardManager([
+                {name: 'sim', type: 'simulator', model: 'M50x', interval: 5},
+                {name: 'offline', model: 'M50x', port: 1}
+            ]);
+            bridge = new MqttBridge(boardManager, {url: broker.url});
+            bridge.start();
+        });
+
+        it('publishes the other boards', () => {
+            return Promise.all([
+                waitForMessage(client, 'unipi/offline/availability', 'offline'),
+                waitForMessage(client, 'unipi/sim/availability', 'online'),
+                waitForMessage(client, 'unipi/sim/DI1.1/state', '0')
+            ]).then(() => assert.strictEqual(client.messages['unipi/offline/DI1.1/state'], undefined));
+        });
+    });
+});
@@ -0,0 +1,132 @@
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OneWire = require('../OneWire');
+const helpers = require('./helpers/simulator');
+
+/**
+ * Write the files of a fake 1-Wire sensor.
+ *
+ * @param root
+ * @param address
+ * @param files
+ *   The contents by file name, e.g. {w1_slave: '...'}.
+ */
+const addSensor = (root, address, files) => {
+    fs.mkdirSync(path.join(root, address), {recursive: true});
+    Object.keys(files).forEach(file => fs.writeFileSync(path.join(root, address, file), files[file]));
+};
+
+/**
+ * The w1_slave file of a w1_therm thermometer.
+ *
+ * @param crc
+ *   YES or NO
+ * @param milliDegrees
+ * @returns {string}
+ */
+const thermometer = (crc, milliDegrees) => [
+    `72 01 4b 46 7f ff 0e 10 57 : crc=57 ${crc}`,
+    `72 01 4b 46 7f ff 0e 10 57 t=${milliDegrees}`,
+    ''
+].join('\n');
+
+describe('OneWire', () => {
+    let root;
+    let oneWire;
+    let data;
+    let errors;
+
+    beforeEach(() => {
+        // Mirrors /sys/bus/w1/devices, the bus master is listed next to its sensors.
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'unipi-w1-'));
+        fs.mkdirSync(path.join(root, 'w1_bus_master1'));
+        fs.writeFileSync(path.join(root, 'w1_bus_master1', 'w1_master_slave_count'), '2\n');
+        addSensor(root, '28-0316a2795eff', {w1_slave: thermometer('YES', 23125)});
+        addSensor(root, '26-000000f1e2d3', {temperature: '5952\n'});
+
+        oneWire = new OneWire({root: root});
+        data = {};
+        errors = [];
+        oneWire.on('data', (id, value) => data[id] = value);
+        oneWire.on('error', err => errors.push(err));
+    });
+
+    afterEach(() => {
+        oneWire.close();
+        fs.rmSync(root, {recursive: true, force: true});
+    });
+
+    it('finds the supported sensors', () => {
+        return oneWire.scan().then(addresses => {
+            assert.deepStrictEqual(addresses.sort(), ['26-000000f1e2d3', '28-0316a2795eff']);
+        });
+    });
+
+    it('reads the temperatures of the sensors', () => {
+        return oneWire.poll().then(() => {
+            assert.deepStrictEqual(oneWire.sensors, {'28-0316a2795eff': 'DS18B20', '26-000000f1e2d3': 'DS2438'});
+            assert.deepStrictEqual(data, {'1W.28-0316a2795eff': 23.125, '1W.26-000000f1e2d3': 23.25});
+            assert.deepStrictEqual(errors, []);
+        });
+    });
+
+    it('reads temperatures below zero', () => {
+        addSensor(root, '28-0316a2795eff', {w1_slave: thermometer('YES', -5062)});
+        return oneWire.poll().then(() => assert.strictEqual(data['1W.28-0316a2795eff'], -5.062));
+    });
+
+    it('emits an error for a failed CRC check and keeps reading the other sensors', () => {
+        addSensor(root, '28-0316a2795eff', {w1_slave: thermometer('NO', 85000)});
+        return oneWire.poll().then(() => {
+            assert.strictEqual(data['1W.28-0316a2795eff'], undefined);
+            assert.strictEqual(data['1W.26-000000f1e2d3'], 23.25);
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].message, 'CRC check failed');
+        });
+    });
+
+    it('drops a sensor that was removed', () => {
+        const removed = [];
+        oneWire.on('removed', id => removed.push(id));
+        return oneWire.poll()
+            .then(() => {
+                fs.rmSync(path.join(root, '28-0316a2795eff'), {recursive: true});
+                data = {};
+                return oneWire.poll();
+            })
+            .then(() => {
+                assert.deepStrictEqual(removed, ['1W.28-0316a2795eff']);
+                assert.deepStrictEqual(oneWire.sensors, {'26-000000f1e2d3': 'DS2438'});
+                assert.deepStrictEqual(data, {'1W.26-000000f1e2d3': 23.25});
+                assert.deepStrictEqual(errors, []);
+            });
+    });
+
+    it('emits an error when the devices directory is missing', () => {
+        oneWire = new OneWire({root: path.join(root, 'missing')});
+        oneWire.on('error', err => errors.push(err));
+        return oneWire.poll().then(() => {
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].code, 'ENOENT');
+        });
+    });
+
+    it('reports the sensors as ios of a board', () => {
+        return helpers.start({oneWire: {root: root, interval: 20}}).then(boardManager => {
+            return boardManager.getState('sim-1W.28-0316a2795eff')
+                .then(value => {
+                    assert.strictEqual(value, 23.125);
+                    fs.rmSync(path.join(root, '28-0316a2795eff'), {recursive: true});
+                    return helpers.wait(100);
+                })
+                .then(() => assert.strictEqual(boardManager.boards.sim.state['1W.28-0316a2795eff'], undefined))
+                .then(() => boardManager.close(), err => boardManager.close().then(() => {
+                    throw err;
+                }));
+        });
+    });
+});
@@ -0,0 +1,383 @@
+"use strict";
+
+const assert = require('assert');
+const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const BoardManager = require('../BoardManager');
+const Rules = require('../Rules');
+const ConfigError = require('../Errors').ConfigError;
+const TimeoutError = require('../Errors').TimeoutError;
+
+/**
+ * Create a board manager double with the boards local and extension that records the writes.
+ *
+ * @returns {EventEmitter}
+ *   The writes are in manager.writes as [id, value].
+ */
+const createManager = () => {
+    const manager = new EventEmitter();
+    manager.boards = {
+        local: {
+            features: {'DI1.1': {}, 'DI1.2': {}, 'AI1.1': {}, 'DO1.1': {}, 'DO1.2': {}},
+            state: {'DI1.1': 0, 'DI1.2': 0, 'AI1.1': 0, 'DO1.1': 0, 'DO1.2': 0}
+        },
+        extension: {
+            features: {'DI1.1': {}},
+            state: {'DI1.1': 0}
+        }
+    };
+    manager.writes = [];
+    manager.id = BoardManager.prototype.id;
+    manager.ready = () => Promise.resolve();
+    manager.set = (id, value) => {
+        value = (typeof value === 'boolean') ? Number(value) : value;
+        manager.writes.push([id, value]);
+        const parsed = manager.id(id);
+        manager.boards[parsed.board].state[parsed.id] = value;
+        return Promise.resolve();
+    };
+    return manager;
+};
+
+describe('Rules', () => {
+    let clock;
+    let manager;
+    let rules;
+
+    /**
+     * Start rules on the board manager double.
+     *
+     * @param definitions
+     * @returns {Promise}
+     *   Resolves with the names of the fired rules.
+     */
+    const start = (definitions) => {
+        rules = new Rules(manager, definitions);
+        rules.fired = [];
+        rules.on('fire', name => rules.fired.push(name));
+        return rules.start().then(() => rules.fired);
+    };
+
+    /**
+     * Report a change of an io the way the board manager does.
+     *
+     * @param id
+     * @param value
+     * @returns {Promise}
+     *   Resolves once the actions ran.
+     */
+    const update = (id, value) => {
+        const parsed = manager.id(id);
+        manager.boards[parsed.board].state[parsed.id] = value;
+        manager.emit('update', id, (typeof value === 'number' && id.indexOf('AI') === -1) ? String(value) : value, Date.now());
+        return clock.tickAsync(0);
+    };
+
+    beforeEach(() => {
+        // Monday 5 January 2026, 07:00 local time.
+        clock = sinon.useFakeTimers({now: new Date(2026, 0, 5, 7, 0).getTime()});
+        manager = createManager();
+    });
+
+    afterEach(() => {
+        if (rules) rules.stop();
+        rules = undefined;
+        clock.restore();
+    });
+
+    describe('triggers', () => {
+        const action = [{type: 'set', id: 'local-DO1.1', value: true}];
+
+        it('fires an edge trigger on rising edges by default', () => {
+            return start([{name: 'edge', trigger: {type: 'edge', id: 'local-DI1.1'}, actions: action}])
+                .then(() => update('local-DI1.1', 1))
+                .then(() => update('local-DI1.1', 0))
+                .then(() => assert.deepStrictEqual(rules.fired, ['edge']));
+        });
+
+        it('fires an edge trigger on falling and both edges', () => {
+            return start([
+                {name: 'falling', trigger: {type: 'edge', id: 'local-DI1.1', edge: 'falling'}, actions: action},
+                {name: 'both', trigger: {type: 'edge', id: 'local-DI1.1', edge: 'both'}, actions: action}
+            ])
+                .then(() => update('local-DI1.1', 1))
+                .then(() => update('local-DI1.1', 0))
+                .then(() => assert.deepStrictEqual(rules.fired, ['both', 'falling', 'both']));
+        });
+
+        it('fires a level trigger when the io becomes the value and when it is at the value on start', () => {
+            manager.boards.local.state['DI1.2'] = 1;
+            return start([
+                {name: 'on', trigger: {type: 'level', id: 'local-DI1.1', value: 1}, actions: action},
+                {name: 'started', trigger: {type: 'level', id: 'local-DI1.2', value: 1}, actions: action}
+            ])
+                .then(fired => assert.deepStrictEqual(fired, ['started']))
+                .then(() => update('local-DI1.1', 1))
+                .then(() => assert.deepStrictEqual(rules.fired, ['started', 'on']));
+        });
+
+        it('fires a threshold trigger once until the io went back by the hysteresis', () => {
+            const values = [8, 7.2, 8, 6, 8];
+            return start([{name: 'threshold', trigger: {type: 'threshold', id: 'local-AI1.1', above: 7, hysteresis: 0.5}, actions: action}])
+                .then(() => values.reduce((promise, value) => promise.then(() => update('local-AI1.1', value)), Promise.resolve()))
+                .then(() => assert.deepStrictEqual(rules.fired, ['threshold', 'threshold']));
+        });
+
+        it('does not fire a threshold trigger for an io already past the threshold on start', () => {
+            manager.boards.local.state['AI1.1'] = 3;
+            return start([{name: 'threshold', trigger: {type: 'threshold', id: 'local-AI1.1', below: 4}, actions: action}])
+                .then(() => update('local-AI1.1', 2))
+                .then(() => assert.deepStrictEqual(rules.fired, []))
+                .then(() => update('local-AI1.1', 5))
+                .then(() => update('local-AI1.1', 3))
+                .then(() => assert.deepStrictEqual(rules.fired, ['threshold']));
+        });
+
+        it('fires a counter trigger for every delta pulses', () => {
+            return start([{name: 'counter', trigger: {type: 'counter', id: 'local-DI1.1', delta: 3}, actions: action}])
+                .then(() => {
+                    manager.emit('counter', 'local-DI1.1', 2, Date.now(), 2);
+                    assert.deepStrictEqual(rules.fired, []);
+                    manager.emit('counter', 'local-DI1.1', 4, Date.now(), 2);
+                    assert.deepStrictEqual(rules.fired, ['counter']);
+                    manager.emit('counter', 'local-DI1.1', 11, Date.now(), 7);
+                    assert.deepStrictEqual(rules.fired, ['counter', 'counter', 'counter']);
+                });
+        });
+
+        it('fires a time trigger at the time of day on its days', () => {
+            return start([{name: 'time', trigger: {type: 'time', at: '07:30', days: [1]}, actions: action}])
+                .then(() => clock.tickAsync(29 * 60 * 1000))
+                .then(() => assert.deepStrictEqual(rules.fired, []))
+                .then(() => clock.tickAsync(60 * 1000))
+                .then(() => assert.deepStrictEqual(rules.fired, ['time']))
+                .then(() => clock.tickAsync(6 * 24 * 60 * 60 * 1000))
+                .then(() => assert.deepStrictEqual(rules.fired, ['time']))
+                .then(() => clock.tickAsync(24 * 60 * 60 * 1000))
+                .then(() => assert.deepStrictEqual(rules.fired, ['time', 'time']));
+        });
+    });
+
+    describe('actions', () => {
+        it('restarts the duration of a delay off on every trigger', () => {
+            return start([{name: 'stairs', trigger: {type: 'edge', id: 'local-DI1.1'}, actions: [{type: 'delayOff', id: 'local-DO1.1', duration: 1000}]}])
+                .then(() => update('local-DI1.1', 1))
+                .then(() => clock.tickAsync(600))
+                .then(() => update('local-DI1.1', 0))
+                .then(() => update('local-DI1.1', 1))
+                .then(() => clock.tickAsync(600))
+                .then(() => assert.deepStrictEqual(manager.writes, [['local-DO1.1', 1], ['local-DO1.1', 1]]))
+                .then(() => clock.tickAsync(400))
+                .then(() => assert.deepStrictEqual(manager.writes, [['local-DO1.1', 1], ['local-DO1.1', 1], ['local-DO1.1', 0]]));
+        });
+
+        it('ignores triggers during a pulse', () => {
+            return start([{name: 'strike', trigger: {type: 'edge', id: 'local-DI1.1'}, actions: [{type: 'pulse', id: 'local-DO1.1', duration: 1000}]}])
+                .then(() => update('local-DI1.1', 1))
+                .then(() => update('local-DI1.1', 0))
+                .then(() => clock.tickAsync(500))
+                .then(() => update('local-DI1.1', 1))
+                .then(() => clock.tickAsync(500))
+                .then(() => assert.deepStrictEqual(manager.writes, [['local-DO1.1', 1], ['local-DO1.1', 0]]))
+                .then(() => update('local-DI1.1', 0))
+                .then(() => update('local-DI1.1', 1))
+                .then(() => assert.deepStrictEqual(manager.writes, [['local-DO1.1', 1], ['local-DO1.1', 0], ['local-DO1.1', 1]]));
+        });
+
+        it('pulses again once a delay off replaced a running pulse', () => {
+            return start([
+                {name: 'strike', trigger: {type: 'edge', id: 'local-DI1.1'}, actions: [{type: 'pulse', id: 'local-DO1.1', duration: 1000}]},
+                {name: 'stairs', trigger: {type: 'edge', id: 'local-DI1.2'}, actions: [{type: 'delayOff', id: 'local-DO1.1', duration: 2000}]}
+            ])
+                .then(() => update('local-DI1.1', 1))
+                .then(() => clock.tickAsync(500))
+                .then(() => update('local-DI1.2', 1))
+                .then(() => clock.tickAsync(1000))
+                // The delay off keeps the output on past the end of the pulse.
+                .then(() => assert.deepStrictEqual(manager.writes, [['local-DO1.1', 1], ['local-DO1.1', 1]]))
+                .then(() => clock.tickAsync(1000))
+                .then(() => update('local-DI1.1', 0))
+                .then(() => update('local-DI1.1', 1))
+                .then(() => clock.tickAsync(1000))
+                .then(() => assert.deepStrictEqual(manager.writes, [
+                    ['local-DO1.1', 1], ['local-DO1.1', 1], ['local-DO1.1', 0], ['local-DO1.1', 1], ['local-DO1.1', 0]
+                ]));
+        });
+
+        it('toggles an output', () => {
+            return start([{name: 'toggle', trigger: {type: 'edge', id: 'local-DI1.1'}, actions: [{type: 'toggle', id: 'local-DO1.2'}]}])
+                .then(() => update('local-DI1.1', 1))
+                .then(() => update('local-DI1.1', 0))
+                .then(() => update('local-DI1.1', 1))
+                .then(() => assert.deepStrictEqual(manager.writes, [['local-DO1.2', 1], ['local-DO1.2', 0]]));
+        });
+    });
+
+    describe('conditions', () => {
+        const rule = (conditions) => ({
+            name: 'conditional',
+            trigger: {type: 'edge', id: 'local-DI1.1', edge: 'both'},
+            conditions: conditions,
+            actions: [{type: 'set', id: 'local-DO1.1', value: true}]
+        });
+
+        it('checks the value of an io on another board', () => {
+            return start([rule([{id: 'extension-DI1.1', equals: 1}])])
+                .then(() => update('local-DI1.1', 1))
+                .then(() => assert.deepStrictEqual(rules.fired, []))
+                .then(() => update('extension-DI1.1', 1))
+                .then(() => update('local-DI1.1', 0))
+                .then(() => assert.deepStrictEqual(rules.fired, ['conditional']));
+        });
+
+        it('checks above and below', () => {
+            manager.boards.local.state['AI1.1'] = 5;
+            return start([rule([{id: 'local-AI1.1', above: 4}, {id: 'local-AI1.1', below: 6}])])
+                .then(() => update('local-DI1.1', 1))
+                .then(() => assert.deepStrictEqual(rules.fired, ['conditional']))
+                .then(() => update('local-AI1.1', 6))
+                .then(() => update('local-DI1.1', 0))
+                .then(() => assert.deepStrictEqual(rules.fired, ['conditional']));
+        });
+
+        it('checks a time window', () => {
+            return start([rule([{after: '06:30', before: '08:00'}])])
+                .then(() => update('local-DI1.1', 1))
+                .then(() => assert.deepStrictEqual(rules.fired, ['conditional']))
+                .then(() => clock.tickAsync(60 * 60 * 1000))
+                .then(() => update('local-DI1.1', 0))
+                .then(() => assert.deepStrictEqual(rules.fired, ['conditional']));
+        });
+
+        it('checks a time window spanning midnight', () => {
+            return start([rule([{after: '18:00', before: '06:00'}])])
+                .then(() => update('local-DI1.1', 1))
+                .then(() => assert.deepStrictEqual(rules.fired, []))
+                // 23:00
+                .then(() => clock.tickAsync(16 * 60 * 60 * 1000))
+                .then(() => update('local-DI1.1', 0))
+                // 05:00
+                .then(() => clock.tickAsync(6 * 60 * 60 * 1000))
+                .then(() => update('local-DI1.1', 1))
+                // 06:00
+                .then(() => clock.tickAsync(60 * 60 * 1000))
+                .then(() => update('local-DI1.1', 0))
+                .then(() => assert.deepStrictEqual(rules.fired, ['conditional', 'conditional']));
+        });
+    });
+
+    describe('fromFile', () => {
+        let dir;
+        const definitions = [{name: 'stairs', trigger: {type: 'edge', id: 'local-DI1.1'}, actions: [{type: 'toggle', id: 'local-DO1.1'}]}];
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unipi-rules-'));
+        });
+
+        afterEach(() => {
+            fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+            fs.rmdirSync(dir);
+        });
+
+        it('loads the rules of a JSON file', () => {
+            const file = path.join(dir, 'rules.json');
+            fs.writeFileSync(file, JSON.stringify(definitions));
+            assert.deepStrictEqual(Rules.fromFile(manager, file).rules.map(rule => rule.name), ['stairs']);
+        });
+
+        it('loads the rules of a YAML file', () => {
+            const file = path.join(dir, 'rules.yaml');
+            fs.writeFileSync(file, [
+                '- name: stairs',
+                '  trigger: {type: edge, id: local-DI1.1}',
+                '  actions: [{type: toggle, id: local-DO1.1}]'
+            ].join('\n'));
+            const loaded = Rules.fromFile(manager, file).rules;
+            assert.strictEqual(loaded.length, 1);
+            assert.deepStrictEqual(loaded[0].trigger, definitions[0].trigger);
+        });
+
+        it('throws a ConfigError for a missing file, invalid syntax or no array', () => {
+            const invalid = path.join(dir, 'invalid.json');
+            const object = path.join(dir, 'object.yml');
+            fs.writeFileSync(invalid, '[{');
+            fs.writeFileSync(object, 'name: stairs');
+            [path.join(dir, 'missing.json'), invalid, object].forEach(file => {
+                assert.throws(() => Rules.fromFile(manager, file), err => err instanceof ConfigError && err.file === file);
+            });
+        });
+    });
+
+    describe('validation', () => {
+        /**
+         * Assert that a rule is rejected for a property.
+         *
+         * @param rule
+         * @param property
+         */
+        const rejects = (rule, property) => {
+            assert.throws(() => new Rules(manager, [rule]), err => {
+                assert.ok(err instanceof ConfigError);
+                assert.strictEqual(err.property, property);
+                assert.strictEqual(err.index, 0);
+                return true;
+            });
+        };
+        const actions = [{type: 'set', id: 'local-DO1.1', value: true}];
+
+        it('rejects unknown trigger and action types', () => {
+            rejects({trigger: {type: 'unknown'}, actions: actions}, 'trigger.type');
+            rejects({trigger: {type: 'edge', id: 'local-DI1.1'}, actions: [{type: 'unknown'}]}, 'actions[0].type');
+        });
+
+        it('rejects missing options', () => {
+            rejects({trigger: {type: 'level', id: 'local-DI1.1'}, actions: actions}, 'trigger.value');
+            rejects({trigger: {type: 'edge', id: 'local-DI1.1'}, actions: [{type: 'pulse', id: 'local-DO1.1'}]}, 'actions[0].duration');
+            rejects({trigger: {type: 'edge', id: 'local-DI1.1'}}, 'actions');
+        });
+
+        it('rejects unknown boards and ios', () => {
+            rejects({trigger: {type: 'edge', id: 'other-DI1.1'}, actions: actions}, 'trigger.id');
+            rejects({trigger: {type: 'edge', id: 'local-DI9.9'}, actions: actions}, 'trigger.id');
+            rejects({trigger: {type: 'edge', id: 'local'}, actions: actions}, 'trigger.id');
+            rejects({trigger: {type: 'edge', id: 'local-DI1.1'}, actions: [{type: 'toggle', id: 'local'}]}, 'actions[0].id');
+        });
+
+        it('rejects invalid trigger options', () => {
+            rejects({trigger: {type: 'edge', id: 'local-DI1.1', edge: 'up'}, actions: actions}, 'trigger.edge');
+            rejects({trigger: {type: 'threshold', id: 'local-AI1.1', above: 1, below: 2}, actions: actions}, 'trigger');
+            rejects({trigger: {type: 'counter', id: 'local-DI1.1', delta: 0}, actions: actions}, 'trigger.delta');
+            rejects({trigger: {type: 'time', at: '24:00'}, actions: actions}, 'trigger.at');
+        });
+
+        it('rejects invalid conditions', () => {
+            const trigger = {type: 'edge', id: 'local-DI1.1'};
+            rejects({trigger: trigger, conditions: {}, actions: actions}, 'conditions');
+            rejects({trigger: trigger, conditions: [{id: 'local-DI1.2'}], actions: actions}, 'conditions[0]');
+            rejects({trigger: trigger, conditions: [{}], actions: actions}, 'conditions[0]');
+            rejects({trigger: trigger, conditions: [{after: '7'}], actions: actions}, 'conditions[0].after');
+        });
+
+        it('names the rule in the error', () => {
+            assert.throws(() => new Rules(manager, [{name: 'stairs', trigger: {type: 'edge', id: 'local'}, actions: actions}]),
+                err => err.rule === 'stairs' && /"stairs"/.test(err.message));
+        });
+    });
+
+    it('emits a board that is not ready as an error and keeps running', () => {
+        const errors = [];
+        manager.ready = () => Promise.reject(new TimeoutError('Board local was not ready within 10000 ms', {board: 'local'}));
+        rules = new Rules(manager, [{name: 'edge', trigger: {type: 'edge', id: 'local-DI1.1'}, actions: [{type: 'set', id: 'local-DO1.1', value: true}]}]);
+        rules.on('error', err => errors.push(err));
+        return rules.start()
+            .then(() => {
+                assert.strictEqual(errors.length, 1);
+                assert.ok(errors[0] instanceof TimeoutError);
+            })
+            .then(() => update('local-DI1.1', 1))
+            .then(() => assert.deepStrictEqual(manager.writes, [['local-DO1.1', 1]]));
+    });
+});
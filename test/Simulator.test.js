@@ -0,0 +1,120 @@
+"use strict";
+
+const assert = require('assert');
+const net = require('net');
+const Simulator = require('../Simulator');
+const UnknownIdError = require('../Errors').UnknownIdError;
+const helpers = require('./helpers/simulator');
+
+describe('Simulator', () => {
+    let boardManager;
+    let simulator;
+
+    beforeEach(() => helpers.start().then(manager => {
+        boardManager = manager;
+        simulator = boardManager.boards.sim.simulator;
+    }));
+
+    afterEach(() => boardManager.close());
+
+    it('reports changed digital inputs as updates', () => {
+        const update = helpers.waitFor(boardManager, 'update', id => id === 'sim-DI1.1');
+        simulator.set('DI1.1', true);
+        return update.then(args => {
+            assert.strictEqual(args[1], '1');
+            return boardManager.getState('sim-DI1.1');
+        }).then(value => assert.strictEqual(value, 1));
+    });
+
+    it('stores the outputs written over Modbus', () => {
+        return boardManager.set('sim-RO2.1', true)
+            .then(() => assert.strictEqual(simulator.getState('RO2.1'), 1))
+            .then(() => boardManager.set('sim-RO2.1', false))
+            .then(() => assert.strictEqual(simulator.getState('RO2.1'), 0));
+    });
+
+    it('counts the pulses of digital inputs', () => {
+        const counter = helpers.waitFor(boardManager, 'counter', id => id === 'sim-DI1.2');
+        simulator.pulse('DI1.2', 3);
+        return counter.then(args => {
+            assert.strictEqual(args[1], 3);
+            assert.strictEqual(args[3], 3);
+        });
+    });
+
+    it('sets raw registers', () => {
+        const update = helpers.waitFor(boardManager, 'update', id => id === 'sim-REG1.1000');
+        simulator.set('REG1.1000', 42);
+        return update.then(args => assert.strictEqual(args[1], 42));
+    });
+
+    it('rejects unknown ids', () => {
+        assert.throws(() => simulator.set('DI9.9', true), UnknownIdError);
+        return boardManager.getState('sim-DI9.9').then(() => assert.fail('resolved'), err => {
+            assert.ok(err instanceof UnknownIdError);
+        });
+    });
+
+    it('runs on its own', () => {
+        const standalone = new Simulator({model: 'M50x'});
+        return standalone.listen().then(port => {
+            assert.ok(port > 0);
+            return standalone.close();
+        });
+    });
+
+    it('answers requests that arrive in a single chunk', () => {
+        /**
+         * Build a Modbus TCP request reading a holding register.
+         *
+         * @param transaction
+         * @param register
+         * @returns {Buffer}
+         */
+        const readRequest = (transaction, register) => {
+            const request = Buffer.alloc(12);
+            request.writeUInt16BE(transaction, 0);
+            request.writeUInt16BE(6, 4);
+            request.writeUInt8(1, 6);
+            request.writeUInt8(3, 7);
+            request.writeUInt16BE(register, 8);
+            request.writeUInt16BE(1, 10);
+            return request;
+        };
+        simulator.setRegister(1000, 7);
+
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(simulator.port, simulator.ip, () => {
+                // Both requests and half of a third one, the rest follows in the next chunk.
+                const third = readRequest(3, 1000);
+                socket.write(Buffer.concat([readRequest(1, 1000), readRequest(2, 1000), third.slice(0, 5)]));
+                setTimeout(() => socket.write(third.slice(5)), 20);
+            });
+            let answers = Buffer.alloc(0);
+            socket.on('data', data => {
+                answers = Buffer.concat([answers, data]);
+                // Every answer is 6 bytes of header and 5 bytes holding a single register.
+                if (answers.length < 33) return;
+                socket.destroy();
+                resolve(answers);
+            });
+            socket.on('error', reject);
+        }).then(answers => {
+            assert.deepStrictEqual([0, 11, 22].map(offset => answers.readUInt16BE(offset)), [1, 2, 3]);
+            assert.deepStrictEqual([0, 11, 22].map(offset => answers.readUInt16BE(offset + 9)), [7, 7, 7]);
+        });
+    });
+
+    it('rejects listen when the port is in use', () => {
+        const taken = new Simulator({model: 'M50x', port: simulator.port});
+        return taken.listen().then(() => assert.fail('resolved'), err => assert.strictEqual(err.code, 'EADDRINUSE'));
+    });
+
+    it('keeps running after an error without error listeners', () => {
+        const standalone = new Simulator({model: 'M50x'});
+        return helpers.waitFor(standalone, 'listening').then(() => {
+            standalone.server._server.emit('error', new Error('Test'));
+            return standalone.close();
+        });
+    });
+});
@@ -0,0 +1,13 @@
+"use strict";
+
+// Started by the Board tests: switches RO2.1 on, closes the boards on the signals and prints RO2.1 once closed.
+const helpers = require('../helpers/simulator');
+
+helpers.start({failsafe: {'RO2.1': false}}).then(boardManager => {
+    const simulator = boardManager.boards.sim.simulator;
+    boardManager.boards.sim.on('disconnected', () => process.stdout.write(`RO2.1=${simulator.getState('RO2.1')}\n`));
+    return boardManager.set('sim-RO2.1', true).then(() => {
+        boardManager.closeOnExit();
+        process.stdout.write('ready\n');
+    });
+});
@@ -0,0 +1,47 @@
+"use strict";
+
+const BoardManager = require('../../BoardManager');
+
+/**
+ * Start a board manager with a single simulated board named sim.
+ *
+ * @param config
+ *   Overrides of the board config, e.g. {model: 'M50x'}.
+ * @returns {Promise}
+ *   Resolves with the board manager once the board is ready.
+ */
+const start = (config) => {
+    const boardManager = new BoardManager([Object.assign({name: 'sim', type: 'simulator', model: 'L20x', interval: 5}, config)]);
+    return boardManager.ready().then(() => boardManager);
+};
+
+/**
+ * Wait for an event.
+ *
+ * @param emitter
+ * @param event
+ * @param filter
+ *   Only resolve for the events whose arguments pass the filter.
+ * @returns {Promise}
+ *   Resolves with the arguments of the event.
+ */
+const waitFor = (emitter, event, filter) => new Promise(resolve => {
+    const listener = (...args) => {
+        if (filter && !filter(...args)) return;
+        emitter.removeListener(event, listener);
+        resolve(args);
+    };
+    emitter.on(event, listener);
+});
+
+/**
+ * Wait for a time.
+ *
+ * @param ms
+ * @returns {Promise}
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports.start = start;
+module.exports.waitFor = waitFor;
+module.exports.wait = wait;